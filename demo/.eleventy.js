@@ -7,10 +7,19 @@ module.exports = function (eleventyConfig) {
     return new Date(date).toLocaleDateString()
   })
 
-  // Add rating filter
+  // Rating filters; ratings are 0-10 in half points, shown as 5 stars
+  // (as formatRating and ratingToStars in packages/shared/src/utils/ratings.ts)
   eleventyConfig.addFilter('starRating', function (rating) {
-    if (!rating) return ''
-    return '★'.repeat(Math.floor(rating)) + '☆'.repeat(5 - Math.floor(rating))
+    if (rating === null || rating === undefined) return ''
+    const stars = Math.round(rating) / 2
+    const fullStars = Math.floor(stars)
+    const halfStar = stars > fullStars ? '½' : ''
+    return '★'.repeat(fullStars) + halfStar + '☆'.repeat(5 - Math.ceil(stars))
+  })
+
+  eleventyConfig.addFilter('formatRating', function (rating) {
+    if (rating === null || rating === undefined) return ''
+    return `${Number(rating).toFixed(1)}/10`
   })
 
   // Add URL encode filter
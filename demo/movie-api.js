@@ -47,6 +47,16 @@ class MovieAPI {
     return this.request('/stats')
   }
 
+  // Get the public lists (no token needed; private lists are left out)
+  async getPublicLists() {
+    return this.request('/public/lists')
+  }
+
+  // Get one public list with its movies in list order
+  async getPublicList(slug) {
+    return this.request(`/public/lists/${encodeURIComponent(slug)}`)
+  }
+
   // Helper method to get poster URL from TMDB (if available)
   getPosterUrl(movie, size = 'w500') {
     if (movie.tmdb_id) {
@@ -0,0 +1,31 @@
+const { MovieAPI } = require('../../movie-api.js')
+require('dotenv').config()
+
+// Public lists with their movies, one page each (see src/lists/list.html)
+module.exports = async function () {
+  const API_URL = process.env.MOVIE_API_URL
+
+  try {
+    const api = new MovieAPI(API_URL)
+    const { lists: summaries } = await api.getPublicLists()
+
+    // One request per list; a list made private since the index was read is skipped
+    const lists = []
+    for (const summary of summaries) {
+      try {
+        lists.push(await api.getPublicList(summary.slug))
+      } catch (error) {
+        console.error(`Error fetching list ${summary.slug}:`, error)
+      }
+    }
+
+    return { lists }
+  } catch (error) {
+    console.error('Error fetching lists:', error)
+
+    return {
+      lists: [],
+      error: error.message,
+    }
+  }
+}
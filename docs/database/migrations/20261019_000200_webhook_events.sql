@@ -0,0 +1,30 @@
+-- Persistent log of every verified inbound webhook so failures can be inspected
+-- and replayed through the ingestion pipeline after a fix.
+
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  source VARCHAR NOT NULL DEFAULT 'unknown'
+    CHECK (source IN ('letterboxd', 'trakt', 'generic', 'unknown')),
+  status VARCHAR NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processed', 'failed')),
+  -- Parsed JSON body; raw_body is only kept when the body was not valid JSON
+  payload JSONB,
+  raw_body TEXT,
+  error_message TEXT,
+  movie_id UUID REFERENCES movies (id) ON DELETE SET NULL,
+  watch_id UUID REFERENCES movie_watches (id) ON DELETE SET NULL,
+  watch_status VARCHAR CHECK (watch_status IN ('created', 'updated', 'unchanged')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_attempt_at TIMESTAMPTZ,
+  processed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status_received_at
+  ON webhook_events (status, received_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_received_at
+  ON webhook_events (received_at DESC);
+
+-- Only the service role (used by the edge function) may read or write events
+ALTER TABLE webhook_events ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,189 @@
+-- Statistics for GET /movies/stats, computed in the database.
+-- The summary numbers are always returned; each breakdown is only computed when its
+-- name is passed in `breakdowns`, so callers pay for what they ask for.
+
+-- Runtime in minutes from TMDB, needed for total time watched
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS runtime INTEGER;
+COMMENT ON COLUMN movies.runtime IS 'Runtime in minutes from TMDB';
+
+CREATE OR REPLACE FUNCTION movie_stats(breakdowns TEXT[] DEFAULT '{}', top_limit INTEGER DEFAULT 10)
+RETURNS JSONB AS $$
+DECLARE
+  total_movies BIGINT;
+  movies_with_posters BIGINT;
+  result JSONB;
+BEGIN
+  SELECT COUNT(*), COUNT(poster_url) INTO total_movies, movies_with_posters FROM movies;
+
+  result := jsonb_build_object(
+    'total_movies', total_movies,
+    'total_watches', (SELECT COUNT(*) FROM movie_watches),
+    'movies_with_posters', movies_with_posters,
+    'poster_coverage', CASE WHEN total_movies > 0
+      THEN ROUND(100.0 * movies_with_posters / total_movies) ELSE 0 END,
+    'average_rating', (SELECT COALESCE(ROUND(AVG(personal_rating), 1), 0) FROM movie_watches)
+  );
+
+  IF 'years' = ANY(breakdowns) THEN
+    result := result || jsonb_build_object('watches_by_year', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'year', year, 'watches', watches, 'movies', movies
+      ) ORDER BY year), '[]'::JSONB)
+      FROM (
+        SELECT EXTRACT(YEAR FROM watched_on)::INTEGER AS year,
+          COUNT(*) AS watches, COUNT(DISTINCT movie_id) AS movies
+        FROM movie_watches
+        GROUP BY 1
+      ) years
+    ));
+  END IF;
+
+  IF 'months' = ANY(breakdowns) THEN
+    result := result || jsonb_build_object('watches_by_month', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'month', month, 'watches', watches, 'movies', movies
+      ) ORDER BY month), '[]'::JSONB)
+      FROM (
+        SELECT to_char(watched_on, 'YYYY-MM') AS month,
+          COUNT(*) AS watches, COUNT(DISTINCT movie_id) AS movies
+        FROM movie_watches
+        GROUP BY 1
+      ) months
+    ));
+  END IF;
+
+  IF 'genres' = ANY(breakdowns) THEN
+    result := result || jsonb_build_object('top_genres', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'genre', genre, 'movies', movies, 'watches', watches
+      ) ORDER BY watches DESC, movies DESC, genre), '[]'::JSONB)
+      FROM (
+        SELECT genre, COUNT(DISTINCT m.id) AS movies, COUNT(mw.id) AS watches
+        FROM movies m
+        CROSS JOIN LATERAL unnest(m.genres) AS genre
+        LEFT JOIN movie_watches mw ON mw.movie_id = m.id
+        GROUP BY genre
+        ORDER BY watches DESC, movies DESC, genre
+        LIMIT top_limit
+      ) genres
+    ));
+  END IF;
+
+  IF 'directors' = ANY(breakdowns) THEN
+    result := result || jsonb_build_object('top_directors', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'director', director, 'movies', movies, 'watches', watches
+      ) ORDER BY watches DESC, movies DESC, director), '[]'::JSONB)
+      FROM (
+        SELECT m.director, COUNT(DISTINCT m.id) AS movies, COUNT(mw.id) AS watches
+        FROM movies m
+        LEFT JOIN movie_watches mw ON mw.movie_id = m.id
+        WHERE m.director IS NOT NULL
+        GROUP BY m.director
+        ORDER BY watches DESC, movies DESC, m.director
+        LIMIT top_limit
+      ) directors
+    ));
+  END IF;
+
+  IF 'countries' = ANY(breakdowns) THEN
+    result := result || jsonb_build_object('top_countries', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'country', country, 'movies', movies, 'watches', watches
+      ) ORDER BY watches DESC, movies DESC, country), '[]'::JSONB)
+      FROM (
+        SELECT m.country, COUNT(DISTINCT m.id) AS movies, COUNT(mw.id) AS watches
+        FROM movies m
+        LEFT JOIN movie_watches mw ON mw.movie_id = m.id
+        WHERE m.country IS NOT NULL
+        GROUP BY m.country
+        ORDER BY watches DESC, movies DESC, m.country
+        LIMIT top_limit
+      ) countries
+    ));
+  END IF;
+
+  IF 'languages' = ANY(breakdowns) THEN
+    result := result || jsonb_build_object('top_languages', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'language', language, 'movies', movies, 'watches', watches
+      ) ORDER BY watches DESC, movies DESC, language), '[]'::JSONB)
+      FROM (
+        SELECT m.language, COUNT(DISTINCT m.id) AS movies, COUNT(mw.id) AS watches
+        FROM movies m
+        LEFT JOIN movie_watches mw ON mw.movie_id = m.id
+        WHERE m.language IS NOT NULL
+        GROUP BY m.language
+        ORDER BY watches DESC, movies DESC, m.language
+        LIMIT top_limit
+      ) languages
+    ));
+  END IF;
+
+  -- Ratings bucketed to the nearest half point
+  IF 'ratings' = ANY(breakdowns) THEN
+    result := result || jsonb_build_object('rating_histogram', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'rating', rating, 'watches', watches
+      ) ORDER BY rating), '[]'::JSONB)
+      FROM (
+        SELECT ROUND(personal_rating * 2) / 2 AS rating, COUNT(*) AS watches
+        FROM movie_watches
+        WHERE personal_rating IS NOT NULL
+        GROUP BY 1
+      ) ratings
+    ));
+  END IF;
+
+  IF 'genre_ratings' = ANY(breakdowns) THEN
+    result := result || jsonb_build_object('average_rating_by_genre', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'genre', genre, 'average_rating', average_rating, 'ratings', ratings
+      ) ORDER BY average_rating DESC, ratings DESC, genre), '[]'::JSONB)
+      FROM (
+        SELECT genre, ROUND(AVG(mw.personal_rating), 2) AS average_rating,
+          COUNT(mw.personal_rating) AS ratings
+        FROM movies m
+        CROSS JOIN LATERAL unnest(m.genres) AS genre
+        JOIN movie_watches mw ON mw.movie_id = m.id
+        WHERE mw.personal_rating IS NOT NULL
+        GROUP BY genre
+      ) genre_ratings
+    ));
+  END IF;
+
+  -- A watch is a rewatch when the same movie has an earlier watch
+  IF 'rewatches' = ANY(breakdowns) THEN
+    result := result || (
+      SELECT jsonb_build_object('rewatches', jsonb_build_object(
+        'first_watches', COUNT(*) FILTER (WHERE watch_number = 1),
+        'rewatches', COUNT(*) FILTER (WHERE watch_number > 1),
+        'rewatched_movies', COUNT(DISTINCT movie_id) FILTER (WHERE watch_number > 1)
+      ))
+      FROM (
+        SELECT movie_id,
+          ROW_NUMBER() OVER (PARTITION BY movie_id ORDER BY watched_at, id) AS watch_number
+        FROM movie_watches
+      ) numbered
+    );
+  END IF;
+
+  IF 'runtime' = ANY(breakdowns) THEN
+    result := result || (
+      SELECT jsonb_build_object('runtime', jsonb_build_object(
+        'total_minutes', COALESCE(SUM(m.runtime), 0),
+        'total_hours', ROUND(COALESCE(SUM(m.runtime), 0) / 60.0, 1),
+        'watches_with_runtime', COUNT(m.runtime),
+        'watches_without_runtime', COUNT(*) - COUNT(m.runtime)
+      ))
+      FROM movie_watches mw
+      JOIN movies m ON m.id = mw.movie_id
+    );
+  END IF;
+
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION movie_stats(TEXT[], INTEGER) IS
+  'Summary statistics plus the requested breakdowns for GET /movies/stats';
@@ -0,0 +1,212 @@
+-- Year-in-review summary for GET /movies/year/{year}/review.
+-- Watches belong to the year of their UTC watch day (watched_on).
+
+-- Headline totals for one year; also used for the previous-year comparison
+CREATE OR REPLACE FUNCTION year_watch_totals(for_year INTEGER)
+RETURNS JSONB AS $$
+  SELECT jsonb_build_object(
+    'year', for_year,
+    'watches', COUNT(*),
+    'films', COUNT(DISTINCT mw.movie_id),
+    'minutes', COALESCE(SUM(m.runtime), 0),
+    'hours', ROUND(COALESCE(SUM(m.runtime), 0) / 60.0, 1),
+    'average_rating', ROUND(AVG(mw.personal_rating), 2)
+  )
+  FROM movie_watches mw
+  JOIN movies m ON m.id = mw.movie_id
+  WHERE mw.watched_on >= make_date(for_year, 1, 1)
+    AND mw.watched_on < make_date(for_year + 1, 1, 1);
+$$ LANGUAGE sql STABLE;
+
+-- Compact movie object used throughout the review
+CREATE OR REPLACE FUNCTION review_movie(movie movies)
+RETURNS JSONB AS $$
+  SELECT jsonb_build_object(
+    'id', movie.id,
+    'title', movie.title,
+    'year', movie.year,
+    'director', movie.director,
+    'poster_url', movie.poster_url
+  );
+$$ LANGUAGE sql STABLE;
+
+-- Returns NULL when nothing was watched in review_year
+CREATE OR REPLACE FUNCTION year_review(review_year INTEGER, top_limit INTEGER DEFAULT 5)
+RETURNS JSONB AS $$
+DECLARE
+  year_start DATE := make_date(review_year, 1, 1);
+  year_end DATE := make_date(review_year + 1, 1, 1);
+  totals JSONB;
+  previous JSONB;
+  rated JSONB;
+  result JSONB;
+BEGIN
+  totals := year_watch_totals(review_year);
+  IF (totals->>'watches')::INTEGER = 0 THEN
+    RETURN NULL;
+  END IF;
+
+  previous := year_watch_totals(review_year - 1);
+
+  result := jsonb_build_object(
+    'year', review_year,
+    'total_watches', totals->'watches',
+    'total_films', totals->'films',
+    'total_minutes', totals->'minutes',
+    'total_hours', totals->'hours',
+    'average_rating', totals->'average_rating'
+  );
+
+  -- First and last watch of the year
+  result := result || jsonb_build_object(
+    'first_watch', (
+      SELECT jsonb_build_object('watch_id', mw.id, 'watched_at', mw.watched_at, 'movie', review_movie(m))
+      FROM movie_watches mw JOIN movies m ON m.id = mw.movie_id
+      WHERE mw.watched_on >= year_start AND mw.watched_on < year_end
+      ORDER BY mw.watched_at, mw.id
+      LIMIT 1
+    ),
+    'last_watch', (
+      SELECT jsonb_build_object('watch_id', mw.id, 'watched_at', mw.watched_at, 'movie', review_movie(m))
+      FROM movie_watches mw JOIN movies m ON m.id = mw.movie_id
+      WHERE mw.watched_on >= year_start AND mw.watched_on < year_end
+      ORDER BY mw.watched_at DESC, mw.id DESC
+      LIMIT 1
+    )
+  );
+
+  result := result || jsonb_build_object('most_watched_month', (
+    SELECT jsonb_build_object('month', month, 'watches', watches)
+    FROM (
+      SELECT EXTRACT(MONTH FROM watched_on)::INTEGER AS month, COUNT(*) AS watches
+      FROM movie_watches
+      WHERE watched_on >= year_start AND watched_on < year_end
+      GROUP BY 1
+      ORDER BY watches DESC, month
+      LIMIT 1
+    ) months
+  ));
+
+  -- Films rated this year, using each film's average rating across the year's watches
+  WITH year_ratings AS (
+    SELECT review_movie(m) AS movie, ratings.rating
+    FROM (
+      SELECT movie_id, ROUND(AVG(personal_rating), 2) AS rating
+      FROM movie_watches
+      WHERE watched_on >= year_start AND watched_on < year_end
+        AND personal_rating IS NOT NULL
+      GROUP BY movie_id
+    ) ratings
+    JOIN movies m ON m.id = ratings.movie_id
+  )
+  SELECT jsonb_build_object(
+    'highest_rated', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('movie', movie, 'rating', rating)
+        ORDER BY rating DESC, movie->>'title')
+      FROM (
+        SELECT * FROM year_ratings ORDER BY rating DESC, movie->>'title' LIMIT top_limit
+      ) best
+    ), '[]'::JSONB),
+    'lowest_rated', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('movie', movie, 'rating', rating)
+        ORDER BY rating, movie->>'title')
+      FROM (
+        SELECT * FROM year_ratings ORDER BY rating, movie->>'title' LIMIT top_limit
+      ) worst
+    ), '[]'::JSONB)
+  ) INTO rated;
+
+  result := result || rated;
+
+  result := result || jsonb_build_object(
+    'top_directors', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object('director', director, 'watches', watches)
+        ORDER BY watches DESC, director), '[]'::JSONB)
+      FROM (
+        SELECT m.director, COUNT(*) AS watches
+        FROM movie_watches mw JOIN movies m ON m.id = mw.movie_id
+        WHERE mw.watched_on >= year_start AND mw.watched_on < year_end
+          AND m.director IS NOT NULL
+        GROUP BY m.director
+        ORDER BY watches DESC, m.director
+        LIMIT top_limit
+      ) directors
+    ),
+    'top_genres', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object('genre', genre, 'watches', watches)
+        ORDER BY watches DESC, genre), '[]'::JSONB)
+      FROM (
+        SELECT genre, COUNT(*) AS watches
+        FROM movie_watches mw
+        JOIN movies m ON m.id = mw.movie_id
+        CROSS JOIN LATERAL unnest(m.genres) AS genre
+        WHERE mw.watched_on >= year_start AND mw.watched_on < year_end
+        GROUP BY genre
+        ORDER BY watches DESC, genre
+        LIMIT top_limit
+      ) genres
+    )
+  );
+
+  -- New to me = the first watch of that film ever, not just the first this year
+  result := result || (
+    SELECT jsonb_build_object('new_vs_rewatch', jsonb_build_object(
+      'new', COUNT(*) FILTER (WHERE watch_number = 1),
+      'rewatch', COUNT(*) FILTER (WHERE watch_number > 1)
+    ))
+    FROM (
+      SELECT watched_on,
+        ROW_NUMBER() OVER (PARTITION BY movie_id ORDER BY watched_at, id) AS watch_number
+      FROM movie_watches
+    ) numbered
+    WHERE watched_on >= year_start AND watched_on < year_end
+  );
+
+  result := result || jsonb_build_object(
+    'oldest_release', (
+      SELECT review_movie(m)
+      FROM movie_watches mw JOIN movies m ON m.id = mw.movie_id
+      WHERE mw.watched_on >= year_start AND mw.watched_on < year_end AND m.year IS NOT NULL
+      ORDER BY m.year, m.title
+      LIMIT 1
+    ),
+    'newest_release', (
+      SELECT review_movie(m)
+      FROM movie_watches mw JOIN movies m ON m.id = mw.movie_id
+      WHERE mw.watched_on >= year_start AND mw.watched_on < year_end AND m.year IS NOT NULL
+      ORDER BY m.year DESC, m.title
+      LIMIT 1
+    )
+  );
+
+  -- Longest run of consecutive days with at least one watch (gaps and islands)
+  result := result || jsonb_build_object('longest_streak', (
+    SELECT jsonb_build_object('days', COUNT(*), 'start', MIN(day), 'end', MAX(day))
+    FROM (
+      SELECT day, day - (ROW_NUMBER() OVER (ORDER BY day))::INTEGER AS island
+      FROM (
+        SELECT DISTINCT watched_on AS day
+        FROM movie_watches
+        WHERE watched_on >= year_start AND watched_on < year_end
+      ) days
+    ) islands
+    GROUP BY island
+    ORDER BY COUNT(*) DESC, MIN(day)
+    LIMIT 1
+  ));
+
+  result := result || jsonb_build_object('previous_year', previous || jsonb_build_object(
+    'change', jsonb_build_object(
+      'watches', (totals->>'watches')::INTEGER - (previous->>'watches')::INTEGER,
+      'films', (totals->>'films')::INTEGER - (previous->>'films')::INTEGER,
+      'hours', (totals->>'hours')::NUMERIC - (previous->>'hours')::NUMERIC,
+      'average_rating', (totals->>'average_rating')::NUMERIC - (previous->>'average_rating')::NUMERIC
+    )
+  ));
+
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION year_review(INTEGER, INTEGER) IS
+  'Year-in-review summary for GET /movies/year/{year}/review';
@@ -0,0 +1,5 @@
+-- Letterboxd feeds mark diary entries the member liked (letterboxd:memberLike).
+-- NULL means the source didn't say, not "not liked".
+
+ALTER TABLE movie_watches ADD COLUMN IF NOT EXISTS liked BOOLEAN;
+COMMENT ON COLUMN movie_watches.liked IS 'Liked (heart) on Letterboxd; NULL when the feed does not say';
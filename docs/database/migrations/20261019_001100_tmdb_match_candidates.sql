@@ -0,0 +1,109 @@
+-- TMDB match review queue. Enrichment scores TMDB search results (title, year,
+-- director, popularity); a confident match is applied straight away, otherwise the top
+-- candidates are stored here and the job finishes as 'needs_review' until someone
+-- accepts one through POST /movies/tmdb-matches/:id/accept.
+
+CREATE TABLE IF NOT EXISTS tmdb_match_candidates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  movie_id UUID NOT NULL REFERENCES movies (id) ON DELETE CASCADE,
+  tmdb_id VARCHAR(255) NOT NULL,
+  rank SMALLINT NOT NULL,
+  score NUMERIC(4, 3) NOT NULL,
+  -- Per-signal scores (title, year, director, popularity), each 0-1
+  score_breakdown JSONB NOT NULL DEFAULT '{}',
+  title VARCHAR NOT NULL,
+  original_title VARCHAR,
+  release_year INTEGER,
+  popularity NUMERIC,
+  poster_url TEXT,
+  status VARCHAR NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'accepted', 'rejected')),
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (movie_id, tmdb_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tmdb_match_candidates_status_movie
+  ON tmdb_match_candidates (status, movie_id);
+
+DROP TRIGGER IF EXISTS tmdb_match_candidates_updated_at_trigger ON tmdb_match_candidates;
+CREATE TRIGGER tmdb_match_candidates_updated_at_trigger
+  BEFORE UPDATE ON tmdb_match_candidates
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE tmdb_match_candidates ENABLE ROW LEVEL SECURITY;
+
+-- needs_review: candidates are waiting in tmdb_match_candidates
+ALTER TABLE enrichment_jobs DROP CONSTRAINT IF EXISTS enrichment_jobs_status_check;
+ALTER TABLE enrichment_jobs ADD CONSTRAINT enrichment_jobs_status_check
+  CHECK (status IN ('pending', 'running', 'succeeded', 'no_match', 'needs_review', 'failed'));
+
+-- Replace a movie's pending candidates. `candidates` is a JSON array of objects with
+-- the candidate columns (tmdb_id, rank, score, score_breakdown, title, ...).
+CREATE OR REPLACE FUNCTION queue_tmdb_candidates(candidate_movie_id UUID, candidates JSONB)
+RETURNS SETOF tmdb_match_candidates AS $$
+  DELETE FROM tmdb_match_candidates
+  WHERE movie_id = candidate_movie_id AND status = 'pending';
+
+  INSERT INTO tmdb_match_candidates (
+    movie_id, tmdb_id, rank, score, score_breakdown, title, original_title,
+    release_year, popularity, poster_url
+  )
+  SELECT candidate_movie_id, c.tmdb_id, c.rank, c.score, COALESCE(c.score_breakdown, '{}'),
+    c.title, c.original_title, c.release_year, c.popularity, c.poster_url
+  FROM jsonb_to_recordset(candidates) AS c (
+    tmdb_id VARCHAR, rank SMALLINT, score NUMERIC, score_breakdown JSONB, title VARCHAR,
+    original_title VARCHAR, release_year INTEGER, popularity NUMERIC, poster_url TEXT
+  )
+  -- A candidate rejected in an earlier review goes back up for review
+  ON CONFLICT (movie_id, tmdb_id) DO UPDATE
+  SET rank = EXCLUDED.rank,
+      score = EXCLUDED.score,
+      score_breakdown = EXCLUDED.score_breakdown,
+      title = EXCLUDED.title,
+      original_title = EXCLUDED.original_title,
+      release_year = EXCLUDED.release_year,
+      popularity = EXCLUDED.popularity,
+      poster_url = EXCLUDED.poster_url,
+      status = 'pending',
+      resolved_at = NULL
+  RETURNING *;
+$$ LANGUAGE sql;
+
+-- Close a movie's review: the accepted candidate (if any) is marked 'accepted' and the
+-- rest 'rejected'. needs_review jobs finish as 'succeeded', or 'no_match' when nothing
+-- was accepted. The caller applies the accepted TMDB data to the movie.
+CREATE OR REPLACE FUNCTION resolve_tmdb_candidates(
+  candidate_movie_id UUID,
+  accepted_tmdb_id VARCHAR DEFAULT NULL
+)
+RETURNS SETOF tmdb_match_candidates AS $$
+  UPDATE enrichment_jobs
+  SET status = CASE WHEN accepted_tmdb_id IS NULL THEN 'no_match' ELSE 'succeeded' END,
+      completed_at = NOW()
+  WHERE movie_id = candidate_movie_id AND status = 'needs_review';
+
+  UPDATE tmdb_match_candidates
+  SET status = CASE WHEN tmdb_id = accepted_tmdb_id THEN 'accepted' ELSE 'rejected' END,
+      resolved_at = NOW()
+  WHERE movie_id = candidate_movie_id AND status = 'pending'
+  RETURNING *;
+$$ LANGUAGE sql;
+
+-- needs_review jobs can be retried too, which searches TMDB again
+CREATE OR REPLACE FUNCTION retry_enrichment_job(job_id UUID)
+RETURNS enrichment_jobs AS $$
+  UPDATE enrichment_jobs
+  SET status = 'pending', attempts = 0, run_after = NOW(), last_error = NULL,
+      locked_at = NULL, completed_at = NULL
+  WHERE id = job_id
+    AND status IN ('succeeded', 'no_match', 'needs_review', 'failed')
+    AND NOT EXISTS (
+      SELECT 1 FROM enrichment_jobs open_job
+      WHERE open_job.movie_id = enrichment_jobs.movie_id
+        AND open_job.status IN ('pending', 'running')
+    )
+  RETURNING *;
+$$ LANGUAGE sql;
@@ -0,0 +1,43 @@
+-- Merge one movie row into another. Used when re-linking a movie to a TMDB id that
+-- another row already owns (PUT /movies/movie/:id/tmdb with "merge": true).
+--
+-- The source's watches move to the target and the source row is deleted; its
+-- enrichment jobs and match candidates go with it. External ids the target lacks are
+-- copied over. Enriched (TMDB) fields are the target's own and are left alone.
+
+CREATE OR REPLACE FUNCTION merge_movies(source_movie_id UUID, target_movie_id UUID)
+RETURNS movies AS $$
+DECLARE
+  source movies;
+  merged movies;
+BEGIN
+  IF source_movie_id = target_movie_id THEN
+    RAISE EXCEPTION 'Cannot merge a movie into itself';
+  END IF;
+
+  SELECT * INTO source FROM movies WHERE id = source_movie_id FOR UPDATE;
+  IF source.id IS NULL THEN
+    RAISE EXCEPTION 'Movie % not found', source_movie_id USING ERRCODE = 'no_data_found';
+  END IF;
+
+  PERFORM 1 FROM movies WHERE id = target_movie_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Movie % not found', target_movie_id USING ERRCODE = 'no_data_found';
+  END IF;
+
+  UPDATE movie_watches SET movie_id = target_movie_id WHERE movie_id = source_movie_id;
+
+  -- Deleted before the update below so its UNIQUE external ids are free to move
+  DELETE FROM movies WHERE id = source_movie_id;
+
+  UPDATE movies
+  SET letterboxd_id = COALESCE(letterboxd_id, source.letterboxd_id),
+      trakt_id = COALESCE(trakt_id, source.trakt_id),
+      director = COALESCE(director, source.director),
+      year = COALESCE(year, source.year)
+  WHERE id = target_movie_id
+  RETURNING * INTO merged;
+
+  RETURN merged;
+END;
+$$ LANGUAGE plpgsql;
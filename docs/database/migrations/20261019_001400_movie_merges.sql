@@ -0,0 +1,229 @@
+-- Duplicate movies and recorded merges.
+--
+-- The same film can end up twice, e.g. once from Letterboxd and once from Trakt with
+-- a slightly different title ("Se7en" / "Seven"). find_duplicate_movies() lists
+-- probable pairs; merge_movies() folds one into the other and records the merge in
+-- movie_merges, so webhooks that still carry the old ids or title find the survivor.
+
+CREATE EXTENSION IF NOT EXISTS fuzzystrmatch WITH SCHEMA extensions;
+
+CREATE TABLE IF NOT EXISTS movie_merges (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- The deleted row; no foreign key since it no longer exists
+  source_movie_id UUID NOT NULL,
+  target_movie_id UUID NOT NULL REFERENCES movies (id) ON DELETE CASCADE,
+  -- What the source was known by, so ingestion can resolve it to the target
+  title VARCHAR(255) NOT NULL,
+  year INTEGER,
+  letterboxd_id VARCHAR(255),
+  trakt_id VARCHAR(255),
+  tmdb_id VARCHAR(255),
+  watches_moved INTEGER NOT NULL DEFAULT 0,
+  -- 'manual' (POST /movies/merge) or 'tmdb_relink' (PUT /movies/movie/:id/tmdb)
+  reason VARCHAR NOT NULL DEFAULT 'manual',
+  -- The full source row as it was before the merge
+  source_snapshot JSONB NOT NULL,
+  merged_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_movie_merges_target ON movie_merges (target_movie_id);
+CREATE INDEX IF NOT EXISTS idx_movie_merges_letterboxd_id ON movie_merges (letterboxd_id);
+CREATE INDEX IF NOT EXISTS idx_movie_merges_trakt_id ON movie_merges (trakt_id);
+CREATE INDEX IF NOT EXISTS idx_movie_merges_tmdb_id ON movie_merges (tmdb_id);
+CREATE INDEX IF NOT EXISTS idx_movie_merges_title_year ON movie_merges (title, year);
+
+ALTER TABLE movie_merges ENABLE ROW LEVEL SECURITY;
+
+-- Enrichment that matches a TMDB id another movie already has found a duplicate.
+-- The job finishes as 'duplicate' instead of failing on the UNIQUE constraint.
+ALTER TABLE enrichment_jobs ADD COLUMN IF NOT EXISTS duplicate_movie_id UUID
+  REFERENCES movies (id) ON DELETE SET NULL;
+
+ALTER TABLE enrichment_jobs DROP CONSTRAINT IF EXISTS enrichment_jobs_status_check;
+ALTER TABLE enrichment_jobs ADD CONSTRAINT enrichment_jobs_status_check
+  CHECK (status IN (
+    'pending', 'running', 'succeeded', 'no_match', 'needs_review', 'duplicate', 'failed'
+  ));
+
+DROP FUNCTION IF EXISTS complete_enrichment_job(UUID, VARCHAR);
+CREATE OR REPLACE FUNCTION complete_enrichment_job(
+  job_id UUID,
+  outcome VARCHAR DEFAULT 'succeeded',
+  duplicate_of UUID DEFAULT NULL
+)
+RETURNS enrichment_jobs AS $$
+  UPDATE enrichment_jobs
+  SET status = outcome, duplicate_movie_id = duplicate_of, last_error = NULL,
+      locked_at = NULL, completed_at = NOW()
+  WHERE id = job_id
+  RETURNING *;
+$$ LANGUAGE sql;
+
+CREATE OR REPLACE FUNCTION retry_enrichment_job(job_id UUID)
+RETURNS enrichment_jobs AS $$
+  UPDATE enrichment_jobs
+  SET status = 'pending', attempts = 0, run_after = NOW(), last_error = NULL,
+      locked_at = NULL, completed_at = NULL, duplicate_movie_id = NULL
+  WHERE id = job_id
+    AND status IN ('succeeded', 'no_match', 'needs_review', 'duplicate', 'failed')
+    AND NOT EXISTS (
+      SELECT 1 FROM enrichment_jobs open_job
+      WHERE open_job.movie_id = enrichment_jobs.movie_id
+        AND open_job.status IN ('pending', 'running')
+    )
+  RETURNING *;
+$$ LANGUAGE sql;
+
+-- Same normalization as normalizeTitle in packages/shared/src/utils/tmdb-match.ts:
+-- lowercase, no accents or punctuation, "&" as "and", leading article dropped
+CREATE OR REPLACE FUNCTION normalize_movie_title(title TEXT)
+RETURNS TEXT AS $$
+  SELECT regexp_replace(
+    trim(regexp_replace(
+      replace(lower(extensions.unaccent(title)), '&', ' and '),
+      '[^a-z0-9]+', ' ', 'g'
+    )),
+    '^(the|a|an) ', ''
+  );
+$$ LANGUAGE sql STABLE;
+
+-- Probable duplicate pairs (movie_id < duplicate_id) with every reason that matched:
+--   tmdb_id      enrichment matched, or a pending review's best candidate is, a TMDB
+--                id the other movie has
+--   title_year   normalized titles at most one or two edits apart (depending on
+--                length), years at most one apart
+--   external_ids a Letterboxd slug and a Trakt slug for the same film
+--                ("se7en" / "se7en-1995")
+CREATE OR REPLACE FUNCTION find_duplicate_movies(result_limit INTEGER DEFAULT 100)
+RETURNS TABLE (movie_id UUID, duplicate_id UUID, reasons TEXT[]) AS $$
+  WITH normalized AS (
+    SELECT id, year, normalize_movie_title(title) AS title
+    FROM movies
+  ),
+  pairs AS (
+    SELECT j.movie_id AS a, j.duplicate_movie_id AS b, 'tmdb_id' AS reason
+    FROM enrichment_jobs j
+    WHERE j.status = 'duplicate' AND j.duplicate_movie_id IS NOT NULL
+
+    UNION ALL
+
+    SELECT c.movie_id, m.id, 'tmdb_id'
+    FROM tmdb_match_candidates c
+    JOIN movies m ON m.tmdb_id = c.tmdb_id AND m.id <> c.movie_id
+    WHERE c.status = 'pending' AND c.rank = 1
+
+    UNION ALL
+
+    SELECT x.id, y.id, 'title_year'
+    FROM normalized x
+    JOIN normalized y ON x.id < y.id
+    WHERE x.title <> ''
+      AND (
+        (abs(x.year - y.year) <= 1 AND extensions.levenshtein(x.title, y.title) <= CASE
+          WHEN length(x.title) >= 12 THEN 2
+          WHEN length(x.title) >= 5 THEN 1
+          ELSE 0
+        END)
+        OR ((x.year IS NULL OR y.year IS NULL) AND x.title = y.title)
+      )
+
+    UNION ALL
+
+    SELECT lb.id, tr.id, 'external_ids'
+    FROM movies lb
+    JOIN movies tr
+      ON regexp_replace(lb.letterboxd_id, '-\d{4}$', '')
+        = regexp_replace(tr.trakt_id, '-\d{4}$', '')
+    WHERE lb.letterboxd_id IS NOT NULL AND lb.trakt_id IS NULL
+      AND tr.trakt_id IS NOT NULL AND tr.letterboxd_id IS NULL
+  )
+  SELECT LEAST(a, b), GREATEST(a, b), array_agg(DISTINCT reason ORDER BY reason)
+  FROM pairs
+  WHERE a <> b
+  GROUP BY LEAST(a, b), GREATEST(a, b)
+  ORDER BY count(DISTINCT reason) DESC, LEAST(a, b)
+  LIMIT result_limit;
+$$ LANGUAGE sql STABLE;
+
+-- Merge source_movie_id into target_movie_id:
+--   * watches move to the target
+--   * external ids the target lacks are taken from the source
+--   * for every other field the richest value wins: the target's unless it is
+--     empty, and the longer plot summary
+--   * the merge is recorded, and earlier merges into the source now point at the
+--     target
+-- The source row is deleted; its enrichment jobs and match candidates go with it.
+DROP FUNCTION IF EXISTS merge_movies(UUID, UUID);
+CREATE OR REPLACE FUNCTION merge_movies(
+  source_movie_id UUID,
+  target_movie_id UUID,
+  merge_reason VARCHAR DEFAULT 'manual'
+)
+RETURNS movies AS $$
+DECLARE
+  source_movie movies;
+  moved INTEGER;
+  merged movies;
+BEGIN
+  IF source_movie_id = target_movie_id THEN
+    RAISE EXCEPTION 'Cannot merge a movie into itself';
+  END IF;
+
+  SELECT * INTO source_movie FROM movies WHERE id = source_movie_id FOR UPDATE;
+  IF source_movie.id IS NULL THEN
+    RAISE EXCEPTION 'Movie % not found', source_movie_id USING ERRCODE = 'no_data_found';
+  END IF;
+
+  PERFORM 1 FROM movies WHERE id = target_movie_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Movie % not found', target_movie_id USING ERRCODE = 'no_data_found';
+  END IF;
+
+  UPDATE movie_watches SET movie_id = target_movie_id WHERE movie_id = source_movie_id;
+  GET DIAGNOSTICS moved = ROW_COUNT;
+
+  UPDATE movie_merges SET target_movie_id = merge_movies.target_movie_id
+  WHERE movie_merges.target_movie_id = merge_movies.source_movie_id;
+
+  INSERT INTO movie_merges (
+    source_movie_id, target_movie_id, title, year, letterboxd_id, trakt_id, tmdb_id,
+    watches_moved, reason, source_snapshot
+  )
+  VALUES (
+    source_movie.id, target_movie_id, source_movie.title, source_movie.year,
+    source_movie.letterboxd_id, source_movie.trakt_id, source_movie.tmdb_id,
+    moved, merge_reason, to_jsonb(source_movie) - 'search_vector'
+  );
+
+  -- Deleted before the update below so its UNIQUE external ids are free to move
+  DELETE FROM movies WHERE id = source_movie_id;
+
+  UPDATE movies
+  SET letterboxd_id = COALESCE(letterboxd_id, source_movie.letterboxd_id),
+      trakt_id = COALESCE(trakt_id, source_movie.trakt_id),
+      tmdb_id = COALESCE(tmdb_id, source_movie.tmdb_id),
+      year = COALESCE(year, source_movie.year),
+      director = COALESCE(NULLIF(director, ''), source_movie.director),
+      poster_url = COALESCE(poster_url, source_movie.poster_url),
+      backdrop_url = COALESCE(backdrop_url, source_movie.backdrop_url),
+      plot_summary = CASE
+        WHEN length(COALESCE(source_movie.plot_summary, '')) > length(COALESCE(plot_summary, ''))
+          THEN source_movie.plot_summary
+        ELSE plot_summary
+      END,
+      genres = CASE
+        WHEN COALESCE(cardinality(genres), 0) = 0 THEN source_movie.genres
+        ELSE genres
+      END,
+      country = COALESCE(country, source_movie.country),
+      language = COALESCE(language, source_movie.language),
+      budget = COALESCE(budget, source_movie.budget),
+      box_office = COALESCE(box_office, source_movie.box_office),
+      runtime = COALESCE(runtime, source_movie.runtime),
+      trailer_url = COALESCE(trailer_url, source_movie.trailer_url)
+  WHERE id = target_movie_id
+  RETURNING * INTO merged;
+
+  RETURN merged;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,53 @@
+-- Cache of TMDB API responses, shared by the edge function and the enricher script.
+--
+-- Rows are keyed by endpoint plus sorted params (see tmdbCacheKey in
+-- packages/shared/src/utils/tmdb-cache.ts, which also sets the per-endpoint TTLs). A
+-- 404 is stored with status 404 and a null response. Expired rows are ignored on read
+-- and overwritten on the next fetch; purge_tmdb_cache() deletes them.
+
+CREATE TABLE IF NOT EXISTS tmdb_cache (
+  cache_key TEXT PRIMARY KEY,
+  endpoint VARCHAR NOT NULL,
+  params JSONB NOT NULL DEFAULT '{}',
+  status SMALLINT NOT NULL DEFAULT 200,
+  response JSONB,
+  fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_tmdb_cache_expires_at ON tmdb_cache (expires_at);
+
+ALTER TABLE tmdb_cache ENABLE ROW LEVEL SECURITY;
+
+-- Insert or refresh one response; ttl_seconds comes from tmdbCacheTtl(). Returns when
+-- the response expires.
+CREATE OR REPLACE FUNCTION store_tmdb_response(
+  key TEXT,
+  request_endpoint VARCHAR,
+  request_params JSONB,
+  response_status SMALLINT,
+  response_body JSONB,
+  ttl_seconds INTEGER
+)
+RETURNS TIMESTAMPTZ AS $$
+  INSERT INTO tmdb_cache (cache_key, endpoint, params, status, response, fetched_at, expires_at)
+  VALUES (
+    key, request_endpoint, COALESCE(request_params, '{}'), response_status, response_body,
+    NOW(), NOW() + make_interval(secs => ttl_seconds)
+  )
+  ON CONFLICT (cache_key) DO UPDATE
+  SET status = EXCLUDED.status,
+      response = EXCLUDED.response,
+      fetched_at = EXCLUDED.fetched_at,
+      expires_at = EXCLUDED.expires_at
+  RETURNING expires_at;
+$$ LANGUAGE sql;
+
+-- Delete expired responses; returns how many were removed
+CREATE OR REPLACE FUNCTION purge_tmdb_cache()
+RETURNS INTEGER AS $$
+  WITH purged AS (
+    DELETE FROM tmdb_cache WHERE expires_at <= NOW() RETURNING 1
+  )
+  SELECT COUNT(*)::INTEGER FROM purged;
+$$ LANGUAGE sql;
@@ -0,0 +1,189 @@
+-- User-defined lists ("Best of 2024", "Comfort films") of movies.
+--
+-- A list is ranked (items are numbered in order) or unranked (items keep a hand-sorted
+-- order but no numbers), and public or private. Public lists are readable without a
+-- token by slug (GET /movies/public/lists/{slug}), which the demo site renders as a
+-- page per list. Each item is a movie with an optional note.
+
+CREATE TABLE IF NOT EXISTS lists (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- URL name, e.g. 'best-of-2024'
+  slug VARCHAR(100) UNIQUE NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  mode VARCHAR(10) NOT NULL DEFAULT 'ranked' CHECK (mode IN ('ranked', 'unranked')),
+  visibility VARCHAR(10) NOT NULL DEFAULT 'private'
+    CHECK (visibility IN ('public', 'private')),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lists_visibility ON lists (visibility);
+
+DROP TRIGGER IF EXISTS lists_updated_at_trigger ON lists;
+CREATE TRIGGER lists_updated_at_trigger
+  BEFORE UPDATE ON lists
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE lists ENABLE ROW LEVEL SECURITY;
+
+CREATE TABLE IF NOT EXISTS list_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  list_id UUID NOT NULL REFERENCES lists (id) ON DELETE CASCADE,
+  movie_id UUID NOT NULL REFERENCES movies (id) ON DELETE CASCADE,
+  -- Order within the list, from 0; set by reorder_list_items()
+  position INTEGER NOT NULL DEFAULT 0,
+  note TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (list_id, movie_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_list_items_list_position ON list_items (list_id, position);
+CREATE INDEX IF NOT EXISTS idx_list_items_movie ON list_items (movie_id);
+
+DROP TRIGGER IF EXISTS list_items_updated_at_trigger ON list_items;
+CREATE TRIGGER list_items_updated_at_trigger
+  BEFORE UPDATE ON list_items
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE list_items ENABLE ROW LEVEL SECURITY;
+
+-- Put a list's items in the given order, as reorder_watchlist() does for the
+-- watchlist: items left out keep their relative order after the listed ones. Returns
+-- the number of items on the list.
+CREATE OR REPLACE FUNCTION reorder_list_items(items_list_id UUID, item_ids UUID[])
+RETURNS INTEGER AS $$
+DECLARE
+  item_count INTEGER;
+BEGIN
+  WITH ordered AS (
+    SELECT id, row_number() OVER (
+      ORDER BY array_position(item_ids, id) NULLS LAST, position, created_at
+    ) - 1 AS new_position
+    FROM list_items
+    WHERE list_id = items_list_id
+  )
+  UPDATE list_items
+  SET position = ordered.new_position
+  FROM ordered
+  WHERE list_items.id = ordered.id
+    AND list_items.position <> ordered.new_position;
+
+  SELECT count(*) INTO item_count FROM list_items WHERE list_id = items_list_id;
+  RETURN item_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- merge_movies() from the watchlist migration, now also moving the source's list items
+CREATE OR REPLACE FUNCTION merge_movies(
+  source_movie_id UUID,
+  target_movie_id UUID,
+  merge_reason VARCHAR DEFAULT 'manual'
+)
+RETURNS movies AS $$
+DECLARE
+  source_movie movies;
+  moved INTEGER;
+  merged movies;
+BEGIN
+  IF source_movie_id = target_movie_id THEN
+    RAISE EXCEPTION 'Cannot merge a movie into itself';
+  END IF;
+
+  SELECT * INTO source_movie FROM movies WHERE id = source_movie_id FOR UPDATE;
+  IF source_movie.id IS NULL THEN
+    RAISE EXCEPTION 'Movie % not found', source_movie_id USING ERRCODE = 'no_data_found';
+  END IF;
+
+  PERFORM 1 FROM movies WHERE id = target_movie_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Movie % not found', target_movie_id USING ERRCODE = 'no_data_found';
+  END IF;
+
+  UPDATE movie_watches SET movie_id = target_movie_id WHERE movie_id = source_movie_id;
+  GET DIAGNOSTICS moved = ROW_COUNT;
+
+  UPDATE movie_credits SET movie_id = merge_movies.target_movie_id
+  WHERE movie_credits.movie_id = merge_movies.source_movie_id
+    AND NOT EXISTS (
+      SELECT 1 FROM movie_credits existing
+      WHERE existing.movie_id = merge_movies.target_movie_id
+    );
+
+  -- Only one pending watchlist entry per movie: the target's wins
+  DELETE FROM watchlist
+  WHERE watchlist.movie_id = merge_movies.source_movie_id
+    AND watchlist.fulfilled_at IS NULL
+    AND EXISTS (
+      SELECT 1 FROM watchlist existing
+      WHERE existing.movie_id = merge_movies.target_movie_id
+        AND existing.fulfilled_at IS NULL
+    );
+
+  UPDATE watchlist SET movie_id = merge_movies.target_movie_id
+  WHERE watchlist.movie_id = merge_movies.source_movie_id;
+
+  -- A list holds a movie once: where both are on a list, the target's item stays
+  DELETE FROM list_items
+  WHERE list_items.movie_id = merge_movies.source_movie_id
+    AND EXISTS (
+      SELECT 1 FROM list_items existing
+      WHERE existing.list_id = list_items.list_id
+        AND existing.movie_id = merge_movies.target_movie_id
+    );
+
+  UPDATE list_items SET movie_id = merge_movies.target_movie_id
+  WHERE list_items.movie_id = merge_movies.source_movie_id;
+
+  UPDATE movie_merges SET target_movie_id = merge_movies.target_movie_id
+  WHERE movie_merges.target_movie_id = merge_movies.source_movie_id;
+
+  INSERT INTO movie_merges (
+    source_movie_id, target_movie_id, title, year, letterboxd_id, trakt_id, tmdb_id,
+    watches_moved, reason, source_snapshot
+  )
+  VALUES (
+    source_movie.id, target_movie_id, source_movie.title, source_movie.year,
+    source_movie.letterboxd_id, source_movie.trakt_id, source_movie.tmdb_id,
+    moved, merge_reason, to_jsonb(source_movie) - 'search_vector'
+  );
+
+  -- Deleted before the update below so its UNIQUE external ids are free to move
+  DELETE FROM movies WHERE id = source_movie_id;
+
+  UPDATE movies
+  SET letterboxd_id = COALESCE(letterboxd_id, source_movie.letterboxd_id),
+      trakt_id = COALESCE(trakt_id, source_movie.trakt_id),
+      tmdb_id = COALESCE(tmdb_id, source_movie.tmdb_id),
+      imdb_id = COALESCE(imdb_id, source_movie.imdb_id),
+      year = COALESCE(year, source_movie.year),
+      release_date = COALESCE(release_date, source_movie.release_date),
+      original_title = COALESCE(original_title, source_movie.original_title),
+      tagline = COALESCE(NULLIF(tagline, ''), source_movie.tagline),
+      director = COALESCE(NULLIF(director, ''), source_movie.director),
+      poster_url = COALESCE(poster_url, source_movie.poster_url),
+      backdrop_url = COALESCE(backdrop_url, source_movie.backdrop_url),
+      plot_summary = CASE
+        WHEN length(COALESCE(source_movie.plot_summary, '')) > length(COALESCE(plot_summary, ''))
+          THEN source_movie.plot_summary
+        ELSE plot_summary
+      END,
+      genres = CASE
+        WHEN COALESCE(cardinality(genres), 0) = 0 THEN source_movie.genres
+        ELSE genres
+      END,
+      country = COALESCE(country, source_movie.country),
+      language = COALESCE(language, source_movie.language),
+      budget = COALESCE(budget, source_movie.budget),
+      box_office = COALESCE(box_office, source_movie.box_office),
+      runtime = COALESCE(runtime, source_movie.runtime),
+      trailer_url = COALESCE(trailer_url, source_movie.trailer_url)
+  WHERE id = target_movie_id
+  RETURNING * INTO merged;
+
+  RETURN merged;
+END;
+$$ LANGUAGE plpgsql;
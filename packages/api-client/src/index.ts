@@ -15,7 +15,16 @@ export interface Movie {
   language: string | null
   budget: number | null
   box_office: number | null
+  runtime: number | null
+  release_date: string | null
+  original_title: string | null
+  tagline: string | null
+  imdb_id: string | null
   trailer_url: string | null
+  // Watch history, kept up to date from movie_watches
+  first_watched_at: string | null
+  last_watched_at: string | null
+  rewatch_count: number
   created_at: string
   updated_at: string
 }
@@ -24,8 +33,22 @@ export interface MovieWatch {
   id: string
   movie_id: string
   watched_at: string
+  watched_on: string
+  // Day a feed item was delivered for; feed items are matched on it, not watched_on
+  delivered_on: string | null
+  // 0-10 in half-point steps
   personal_rating: number | null
+  // Scale the source rated on (5 = stars) and the rating as the source wrote it
+  rating_scale: number | null
+  rating_raw: string | null
+  // Letterboxd heart; null when the source doesn't say
+  liked: boolean | null
   review_text: string | null
+  tags: string[]
+  // The feed's rewatch flag (metadata.rewatch) when it has one, otherwise whether the
+  // movie has an earlier watch
+  is_rewatch: boolean
+  // 'manual' for watches logged through POST /movies/watches
   source: string
   source_url: string | null
   external_id: string | null
@@ -40,36 +63,826 @@ export interface ApiResponse<T> {
   message?: string
 }
 
+// One viewing in GET /movies/movie/{id}, oldest first
+export interface MovieTimelineEntry {
+  watch_id: string
+  // 1 for the oldest recorded watch
+  viewing: number
+  watched_at: string
+  is_rewatch: boolean
+  rating: number | null
+  // Change since the previous rated viewing; null without one
+  rating_change: number | null
+  liked: boolean | null
+  source: string
+}
+
+export type CreditRole = 'cast' | 'director' | 'writer' | 'cinematographer' | 'composer'
+
+// A cast or crew member from TMDB, shared by every movie they are credited on
+export interface Person {
+  id: string
+  tmdb_id: string
+  name: string
+  profile_url: string | null
+  known_for_department: string | null
+  created_at: string
+  updated_at: string
+}
+
+// A credit in GET /movies/movie/{id}, with the person's fields alongside
+export interface MovieCredit {
+  person_id: string
+  tmdb_id: string
+  name: string
+  profile_url: string | null
+  role: CreditRole
+  // TMDB's job title ('Screenplay', ...); null for cast
+  job: string | null
+  character_name: string | null
+  // Position within the role, from 0
+  billing_order: number
+}
+
+export interface MovieCredits {
+  // Top-billed first
+  cast: MovieCredit[]
+  // Directors, writers, cinematographers, composers
+  crew: MovieCredit[]
+}
+
+export interface MovieDetails extends Movie {
+  movie_watches: Pick<
+    MovieWatch,
+    | 'id'
+    | 'watched_at'
+    | 'personal_rating'
+    | 'liked'
+    | 'review_text'
+    | 'is_rewatch'
+    | 'source'
+    | 'source_url'
+  >[]
+  credits: MovieCredits
+  timeline: MovieTimelineEntry[]
+}
+
+// A watched film in GET /movies/people/{id}
+export interface PersonFilm {
+  movie: Pick<Movie, 'id' | 'title' | 'year' | 'release_date' | 'poster_url'>
+  // Several when e.g. the person wrote and directed it
+  roles: Pick<MovieCredit, 'role' | 'job' | 'character_name' | 'billing_order'>[]
+  watch_count: number
+  average_rating: number | null
+  last_watched_at: string
+  // Oldest first
+  watches: {
+    watch_id: string
+    watched_at: string
+    rating: number | null
+    liked: boolean | null
+  }[]
+}
+
+export interface PersonDetails extends Person {
+  summary: {
+    films_watched: number
+    total_viewings: number
+    // Mean of each film's average rating
+    average_rating: number | null
+  }
+  // Newest release first
+  filmography: PersonFilm[]
+}
+
+export type TopPeopleSort = 'films' | 'viewings' | 'rating'
+
+export interface TopPerson {
+  person_id: string
+  tmdb_id: string
+  name: string
+  profile_url: string | null
+  films_watched: number
+  total_viewings: number
+  average_rating: number | null
+  last_watched_at: string
+}
+
+export interface TopPeopleResponse {
+  role: CreditRole
+  sort: TopPeopleSort
+  min_films: number
+  count: number
+  people: TopPerson[]
+}
+
+export type CollectionStatus = 'complete' | 'incomplete'
+
+// A movie in a collection, matched to the library by TMDB id
+export interface CollectionPart {
+  tmdb_id: string
+  title: string
+  release_date: string | null
+  poster_url: string | null
+  part_order: number
+  // Released already, or watched anyway
+  released: boolean
+  // The library movie, if it has been added
+  movie_id: string | null
+  watched: boolean
+  watch_count: number
+  first_watched_at: string | null
+  last_watched_at: string | null
+  average_rating: number | null
+}
+
+export interface Collection {
+  id: string
+  tmdb_id: string
+  name: string
+  overview: string | null
+  poster_url: string | null
+  backdrop_url: string | null
+  released_parts: number
+  watched_parts: number
+  // Percentage of released parts watched; null when none is released yet
+  completion: number | null
+}
+
+export type CollectionPartSummary = Pick<
+  CollectionPart,
+  'tmdb_id' | 'title' | 'release_date' | 'poster_url' | 'movie_id'
+>
+
+// A collection in GET /movies/collections; each list is in release order
+export interface CollectionSummary extends Collection {
+  watched: CollectionPartSummary[]
+  // Released but not watched
+  missing: CollectionPartSummary[]
+  upcoming: CollectionPartSummary[]
+}
+
+export interface CollectionsResponse {
+  count: number
+  collections: CollectionSummary[]
+}
+
+// GET /movies/collections/{id}
+export interface CollectionDetails extends CollectionSummary {
+  // Release order
+  parts: CollectionPart[]
+}
+
+// A movie as listed by GET /movies, with aggregates computed in the database
+export interface MovieListItem extends Movie {
+  movie_watches?: MovieWatch[]
+  watch_count: number
+  average_rating: number | null
+  has_poster: boolean
+  has_backdrop: boolean
+}
+
+export type MovieSortField =
+  | 'created'
+  | 'title'
+  | 'year'
+  | 'last_watched'
+  | 'rating'
+  | 'watch_count'
+
 export interface MoviesResponse {
   count: number
-  movies: (Movie & { movie_watches?: MovieWatch[] })[]
+  movies: MovieListItem[]
+  sort: string
+  next_cursor: string | null
+  total?: number
+}
+
+// Snippets with <mark> around matched terms, present only for fields that matched
+export interface MovieSearchHighlights {
+  title?: string
+  director?: string
+  plot?: string
+  review?: string
+}
+
+export interface MovieSearchResult extends MovieListItem {
+  rank: number
+  matched_in: (keyof MovieSearchHighlights)[]
+  highlights: MovieSearchHighlights
+  // Watch whose review produced the `review` snippet
+  matched_watch_id: string | null
+}
+
+export interface MovieSearchResponse {
+  query: string
+  count: number
+  results: MovieSearchResult[]
+  next_cursor: string | null
 }
 
 export interface WatchesResponse {
   count: number
   watches: (MovieWatch & { movies?: Movie })[]
+  next_cursor: string | null
+  total?: number
+}
+
+export interface PageParams {
+  limit?: number
+  cursor?: string
+  includeTotal?: boolean
+}
+
+export interface MovieListParams extends PageParams {
+  search?: string
+  posters?: boolean
+  genre?: string | string[]
+  yearFrom?: number
+  yearTo?: number
+  decade?: number
+  director?: string
+  country?: string
+  language?: string
+  ratingMin?: number
+  ratingMax?: number
+  watchedFrom?: string
+  watchedTo?: string
+  source?: string
+  rewatched?: boolean
+  sort?: MovieSortField
+  order?: 'asc' | 'desc'
 }
 
+// MovieListParams key -> GET /movies query parameter
+const MOVIE_LIST_QUERY_PARAMS: Record<string, string> = {
+  search: 'search',
+  yearFrom: 'year_from',
+  yearTo: 'year_to',
+  decade: 'decade',
+  director: 'director',
+  country: 'country',
+  language: 'language',
+  ratingMin: 'rating_min',
+  ratingMax: 'rating_max',
+  watchedFrom: 'watched_from',
+  watchedTo: 'watched_to',
+  source: 'source',
+  rewatched: 'rewatched',
+  sort: 'sort',
+  order: 'order',
+}
+
+export type WatchListParams = PageParams
+
+export interface WatchlistParams {
+  // 'pending' (default), 'fulfilled' or 'all'
+  status?: 'pending' | 'fulfilled' | 'all'
+  priority?: WatchlistPriority
+  genre?: string | string[]
+  yearFrom?: number
+  yearTo?: number
+  // Minutes
+  runtimeMin?: number
+  runtimeMax?: number
+  limit?: number
+}
+
+// WatchlistParams key -> GET /watchlist query parameter
+const WATCHLIST_QUERY_PARAMS: Record<string, string> = {
+  status: 'status',
+  priority: 'priority',
+  yearFrom: 'year_from',
+  yearTo: 'year_to',
+  runtimeMin: 'runtime_min',
+  runtimeMax: 'runtime_max',
+  limit: 'limit',
+}
+
+export type StatsBreakdown =
+  | 'years'
+  | 'months'
+  | 'genres'
+  | 'directors'
+  | 'countries'
+  | 'languages'
+  | 'ratings'
+  | 'genre_ratings'
+  | 'rewatches'
+  | 'runtime'
+
+export interface StatsCount {
+  movies: number
+  watches: number
+}
+
+// Breakdowns are only present when requested with `include`
 export interface StatsResponse {
   total_movies: number
+  // Every viewing; movies_watched counts each movie once
   total_watches: number
+  movies_watched: number
+  total_rewatches: number
   movies_with_posters: number
   poster_coverage: number
   average_rating: number
+  watches_by_year?: (StatsCount & { year: number })[]
+  watches_by_month?: (StatsCount & { month: string })[]
+  top_genres?: (StatsCount & { genre: string })[]
+  top_directors?: (StatsCount & { director: string })[]
+  top_countries?: (StatsCount & { country: string })[]
+  top_languages?: (StatsCount & { language: string })[]
+  rating_histogram?: { rating: number; watches: number }[]
+  average_rating_by_genre?: { genre: string; average_rating: number; ratings: number }[]
+  rewatches?: { first_watches: number; rewatches: number; rewatched_movies: number }
+  runtime?: {
+    total_minutes: number
+    total_hours: number
+    watches_with_runtime: number
+    watches_without_runtime: number
+  }
+}
+
+// Movie fields used in the year in review
+export interface ReviewMovie {
+  id: string
+  title: string
+  year: number | null
+  director: string | null
+  poster_url: string | null
+}
+
+export interface YearTotals {
+  year: number
+  watches: number
+  films: number
+  minutes: number
+  hours: number
+  average_rating: number | null
+}
+
+export interface YearReview {
+  year: number
+  total_watches: number
+  total_films: number
+  total_minutes: number
+  total_hours: number
+  average_rating: number | null
+  first_watch: { watch_id: string; watched_at: string; movie: ReviewMovie }
+  last_watch: { watch_id: string; watched_at: string; movie: ReviewMovie }
+  // month is 1-12
+  most_watched_month: { month: number; watches: number }
+  highest_rated: { movie: ReviewMovie; rating: number }[]
+  lowest_rated: { movie: ReviewMovie; rating: number }[]
+  top_directors: { director: string; watches: number }[]
+  top_genres: { genre: string; watches: number }[]
+  new_vs_rewatch: { new: number; rewatch: number }
+  oldest_release: ReviewMovie | null
+  newest_release: ReviewMovie | null
+  longest_streak: { days: number; start: string; end: string }
+  previous_year: YearTotals & {
+    change: { watches: number; films: number; hours: number; average_rating: number | null }
+  }
+}
+
+export type WebhookEventStatus = 'pending' | 'processed' | 'failed'
+
+export interface WebhookEvent {
+  id: string
+  received_at: string
+  source: 'letterboxd' | 'trakt' | 'generic' | 'unknown'
+  status: WebhookEventStatus
+  payload?: Record<string, any> | null
+  raw_body?: string | null
+  error_message: string | null
+  movie_id: string | null
+  watch_id: string | null
+  watch_status: 'created' | 'updated' | 'unchanged' | null
+  attempts: number
+  last_attempt_at: string | null
+  processed_at: string | null
+}
+
+export interface WebhookEventsResponse {
+  count: number
+  events: WebhookEvent[]
+}
+
+export interface WebhookReplayResponse {
+  replayed: number
+  succeeded: number
+  failed: number
+  results: Array<{
+    id: string
+    status: WebhookEventStatus
+    watch_status: 'created' | 'updated' | 'unchanged' | null
+    error: string | null
+  }>
+}
+
+export type FeedPollStatus = 'ok' | 'not_modified' | 'failed'
+
+// An RSS/Atom feed read by the built-in poller, with its last poll state
+export interface Feed {
+  id: string
+  url: string
+  enabled: boolean
+  title: string | null
+  last_item_at: string | null
+  last_polled_at: string | null
+  last_success_at: string | null
+  last_status: FeedPollStatus | null
+  last_error: string | null
+  items_ingested: number
+  created_at: string
+}
+
+export interface FeedsResponse {
+  count: number
+  feeds: Feed[]
+}
+
+export interface FeedPollResponse {
+  polled: number
+  failed: number
+  results: Array<{
+    feed_id: string
+    url: string
+    status: FeedPollStatus
+    items: number
+    ingested: number
+    skipped: number
+    failed: number
+    error: string | null
+  }>
+}
+
+// needs_review: candidates are waiting in the TMDB match review queue
+// duplicate: the match is a TMDB id another movie already has (see duplicate_movie_id)
+export type EnrichmentJobStatus =
+  | 'pending'
+  | 'running'
+  | 'succeeded'
+  | 'no_match'
+  | 'needs_review'
+  | 'duplicate'
+  | 'failed'
+
+// A queued TMDB lookup for one movie; retried with exponential backoff
+export interface EnrichmentJob {
+  id: string
+  movie_id: string
+  status: EnrichmentJobStatus
+  attempts: number
+  max_attempts: number
+  run_after: string
+  last_error: string | null
+  locked_at: string | null
+  completed_at: string | null
+  duplicate_movie_id: string | null
+  created_at: string
+  updated_at: string
+  movies?: Pick<Movie, 'id' | 'title' | 'year' | 'tmdb_id' | 'poster_url'>
+}
+
+export interface EnrichmentJobsResponse {
+  count: number
+  jobs: EnrichmentJob[]
+}
+
+export interface EnrichmentRunResponse {
+  claimed: number
+  succeeded: number
+  no_match: number
+  needs_review: number
+  duplicate: number
+  retrying: number
+  failed: number
+  // TMDB responses served from tmdb_cache vs fetched
+  cache: { hits: number; misses: number }
+  results: Array<{
+    id: string
+    movie_id: string
+    status: EnrichmentJobStatus
+    attempts: number
+    run_after: string
+    error: string | null
+  }>
+}
+
+export type TmdbMatchCandidateStatus = 'pending' | 'accepted' | 'rejected'
+
+// A TMDB movie that might be the right match for a movie, scored 0-1
+export interface TmdbMatchCandidate {
+  id: string
+  movie_id: string
+  tmdb_id: string
+  rank: number
+  score: number
+  score_breakdown: {
+    title: number
+    year: number
+    // null when there was no director to compare
+    director: number | null
+    popularity: number
+  }
+  title: string
+  original_title: string | null
+  release_year: number | null
+  popularity: number | null
+  poster_url: string | null
+  status: TmdbMatchCandidateStatus
+  resolved_at: string | null
+  created_at: string
+  updated_at: string
+}
+
+export interface TmdbMatchesResponse {
+  count: number
+  matches: Array<{
+    movie: Pick<Movie, 'id' | 'title' | 'year' | 'director' | 'tmdb_id'>
+    candidates: TmdbMatchCandidate[]
+  }>
+}
+
+export interface TmdbMatchResolveResponse {
+  success: boolean
+  // Only set when a candidate was accepted
+  movie?: Movie
+  candidates: TmdbMatchCandidate[]
+}
+
+export interface MovieTmdbLinkResponse {
+  success: boolean
+  // With merge, the movie that already had the TMDB id (and now has the watches)
+  movie: Movie
+  previous_tmdb_id: string | null
+  // Id of the movie that was merged away, if any
+  merged_from: string | null
+}
+
+export type DuplicateReason = 'tmdb_id' | 'title_year' | 'external_ids'
+
+export type DuplicateMovie = Pick<
+  Movie,
+  'id' | 'title' | 'year' | 'letterboxd_id' | 'trakt_id' | 'tmdb_id' | 'poster_url' | 'created_at'
+> & { watch_count: number }
+
+export interface DuplicateMoviesResponse {
+  count: number
+  duplicates: Array<{
+    movies: [DuplicateMovie, DuplicateMovie]
+    reasons: DuplicateReason[]
+    // The suggested movie to keep: linked to TMDB, then more watches, then older
+    survivor_id: string
+  }>
+}
+
+// A movie merged into another; its old ids still resolve to the target on ingestion
+export interface MovieMerge {
+  id: string
+  source_movie_id: string
+  target_movie_id: string
+  watches_moved: number
+  reason: 'manual' | 'tmdb_relink'
+  merged_at: string
+}
+
+export interface MergeMoviesResponse {
+  success: boolean
+  movie: Movie
+  merge: MovieMerge
+}
+
+// Fields for logging (POST /movies/watches) or editing (PATCH /movies/watches/{id}) a watch
+export interface WatchInput {
+  // ISO date-time, or YYYY-MM-DD for the day (midnight UTC); logging defaults to now
+  watched_at?: string
+  // On rating_scale (default 10), stored on the 0-10 scale; null clears it
+  rating?: number | null
+  rating_scale?: 5 | 10 | 100
+  review?: string | null
+  liked?: boolean | null
+  tags?: string[]
+  // null (the default) works it out from the movie's earlier watches
+  rewatch?: boolean | null
+}
+
+// Identify the movie by movie_id, tmdb_id (id or themoviedb.org URL), or title and year
+export interface MovieInput {
+  movie_id?: string
+  tmdb_id?: string | number
+  title?: string
+  year?: number
+}
+
+export interface CreateWatchInput extends WatchInput, MovieInput {}
+
+export interface WatchMutationResponse {
+  success: boolean
+  watch: MovieWatch
+}
+
+export interface CreateWatchResponse extends WatchMutationResponse {
+  movie: Movie
+  // The watchlist entry this watch fulfilled, if any
+  watchlist_entry: WatchlistEntry | null
+}
+
+export type WatchlistPriority = 'low' | 'normal' | 'high'
+
+// A watchlist row. fulfilled_at and watch_id are set by the first watch of the movie
+// logged on or after the day it was added.
+export interface WatchlistEntry {
+  id: string
+  movie_id: string
+  // Order among pending entries, from 0
+  position: number
+  priority: WatchlistPriority
+  recommended_by: string | null
+  note: string | null
+  added_at: string
+  fulfilled_at: string | null
+  watch_id: string | null
+  created_at: string
+  updated_at: string
+}
+
+// An entry as listed by GET /movies/watchlist
+export interface WatchlistItem extends WatchlistEntry {
+  movie: Pick<
+    Movie,
+    | 'id'
+    | 'title'
+    | 'year'
+    | 'release_date'
+    | 'runtime'
+    | 'genres'
+    | 'director'
+    | 'poster_url'
+    | 'tmdb_id'
+  >
+}
+
+export interface WatchlistResponse {
+  count: number
+  watchlist: WatchlistItem[]
+}
+
+// An entry as listed by GET /movies/public/watchlist, without the private fields
+export type PublicWatchlistItem = Omit<WatchlistItem, 'recommended_by' | 'note'>
+
+export interface PublicWatchlistResponse {
+  count: number
+  watchlist: PublicWatchlistItem[]
+}
+
+// Fields for adding (POST /movies/watchlist) or editing (PATCH /movies/watchlist/{id})
+// an entry; null clears recommended_by or note
+export interface WatchlistEntryInput {
+  priority?: WatchlistPriority
+  recommended_by?: string | null
+  note?: string | null
+}
+
+export interface AddToWatchlistInput extends WatchlistEntryInput, MovieInput {}
+
+export interface WatchlistEntryResponse {
+  success: boolean
+  entry: WatchlistItem
+}
+
+export interface ReorderWatchlistResponse {
+  success: boolean
+  count: number
+  // Pending entries in their new order
+  watchlist: Pick<WatchlistEntry, 'id' | 'position'>[]
+}
+
+export type ListMode = 'ranked' | 'unranked'
+export type ListVisibility = 'public' | 'private'
+
+export interface List {
+  id: string
+  // URL name, e.g. 'best-of-2024'
+  slug: string
+  title: string
+  description: string | null
+  mode: ListMode
+  visibility: ListVisibility
+  created_at: string
+  updated_at: string
+}
+
+export interface ListSummary extends List {
+  item_count: number
+}
+
+export interface ListItem {
+  id: string
+  // 1 for the top of a ranked list; null on an unranked list
+  rank: number | null
+  position: number
+  note: string | null
+  created_at: string
+  updated_at: string
+  movie: Pick<
+    MovieListItem,
+    | 'id'
+    | 'title'
+    | 'year'
+    | 'release_date'
+    | 'director'
+    | 'genres'
+    | 'runtime'
+    | 'plot_summary'
+    | 'poster_url'
+    | 'backdrop_url'
+    | 'tmdb_id'
+    | 'watch_count'
+    | 'average_rating'
+    | 'last_watched_at'
+  >
+}
+
+// GET /movies/lists/{id} and GET /movies/public/lists/{slug}; items in list order
+export interface ListDetails extends ListSummary {
+  items: ListItem[]
+}
+
+export interface ListsResponse {
+  count: number
+  lists: ListSummary[]
+}
+
+// Fields for creating (POST /movies/lists) or editing (PATCH /movies/lists/{id}) a
+// list. The slug defaults to the title, slugified.
+export interface ListInput {
+  title?: string
+  slug?: string
+  description?: string | null
+  mode?: ListMode
+  visibility?: ListVisibility
+}
+
+export interface CreateListInput extends ListInput {
+  title: string
+}
+
+export interface ListItemInput {
+  note?: string | null
+}
+
+export interface AddListItemInput extends ListItemInput, MovieInput {}
+
+export interface ListResponse {
+  success: boolean
+  list: ListDetails
+}
+
+export interface ListItemResponse {
+  success: boolean
+  item: ListItem
+}
+
+export interface ApiErrorBody {
+  error: {
+    code: string
+    message: string
+    details: unknown
+  }
+}
+
+export class MSBApiError extends Error {
+  status: number
+  code: string
+  details: unknown
+
+  constructor(status: number, code: string, message: string, details?: unknown) {
+    super(`API request failed: ${status} ${message}`)
+    this.name = 'MSBApiError'
+    this.status = status
+    this.code = code
+    this.details = details ?? null
+  }
 }
 
 export interface MSBApiConfig {
   baseUrl: string
   apiKey?: string
+  // Shared secret used to sign webhook payloads (server-side use only)
+  webhookSecret?: string
 }
 
 export class MSBApi {
   private baseUrl: string
   private apiKey?: string
+  private webhookSecret?: string
 
   constructor(config: MSBApiConfig) {
     this.baseUrl = config.baseUrl.replace(/\/$/, '')
     this.apiKey = config.apiKey
+    this.webhookSecret = config.webhookSecret
   }
 
   private async request<T>(endpoint: string, options: RequestInit = {}): Promise<T> {
@@ -89,50 +902,494 @@ export class MSBApi {
     })
 
     if (!response.ok) {
-      throw new Error(`API request failed: ${response.status} ${response.statusText}`)
+      // Errors use the envelope { error: { code, message, details } }
+      const body = await response.json().catch(() => null)
+      const message = body?.error?.message || response.statusText
+      throw new MSBApiError(
+        response.status,
+        body?.error?.code || 'http_error',
+        message,
+        body?.error?.details
+      )
     }
 
     return response.json()
   }
 
   // Movies API
-  async getMovies(params?: {
-    limit?: number
-    search?: string
-    posters?: boolean
-  }): Promise<MoviesResponse> {
+  async getMovies(params?: MovieListParams): Promise<MoviesResponse> {
     const searchParams = new URLSearchParams()
     if (params?.limit) searchParams.set('limit', params.limit.toString())
-    if (params?.search) searchParams.set('search', params.search)
     if (params?.posters) searchParams.set('posters', 'true')
+    if (params?.cursor) searchParams.set('cursor', params.cursor)
+    if (params?.includeTotal) searchParams.set('include_total', 'true')
+    if (params?.genre) {
+      searchParams.set('genre', Array.isArray(params.genre) ? params.genre.join(',') : params.genre)
+    }
+    for (const [key, param] of Object.entries(MOVIE_LIST_QUERY_PARAMS)) {
+      const value = params?.[key as keyof MovieListParams]
+      if (value !== undefined && value !== null && value !== '') {
+        searchParams.set(param, String(value))
+      }
+    }
 
     const query = searchParams.toString()
     return this.request<MoviesResponse>(`/movies${query ? `?${query}` : ''}`)
   }
 
-  async getMovie(id: string): Promise<Movie> {
-    return this.request<Movie>(`/movies/movie/${id}`)
+  // Walk every page of movies, following next_cursor until it runs out
+  async *iterateMovies(params?: Omit<MovieListParams, 'cursor'>) {
+    let cursor: string | null = null
+    do {
+      const page: MoviesResponse = await this.getMovies({ ...params, cursor: cursor ?? undefined })
+      yield* page.movies
+      cursor = page.next_cursor
+    } while (cursor)
+  }
+
+  // Full-text search; `q` accepts "quoted phrases", OR and -excluded terms
+  async searchMovies(
+    q: string,
+    params?: { limit?: number; cursor?: string }
+  ): Promise<MovieSearchResponse> {
+    const searchParams = new URLSearchParams({ q })
+    if (params?.limit) searchParams.set('limit', params.limit.toString())
+    if (params?.cursor) searchParams.set('cursor', params.cursor)
+
+    return this.request<MovieSearchResponse>(`/movies/search?${searchParams.toString()}`)
+  }
+
+  async getMovie(id: string): Promise<MovieDetails> {
+    return this.request<MovieDetails>(`/movies/movie/${id}`)
   }
 
   // Watches API
-  async getWatches(params?: { limit?: number }): Promise<WatchesResponse> {
+  async getWatches(params?: WatchListParams): Promise<WatchesResponse> {
     const searchParams = new URLSearchParams()
     if (params?.limit) searchParams.set('limit', params.limit.toString())
+    if (params?.cursor) searchParams.set('cursor', params.cursor)
+    if (params?.includeTotal) searchParams.set('include_total', 'true')
 
     const query = searchParams.toString()
     return this.request<WatchesResponse>(`/movies/watches${query ? `?${query}` : ''}`)
   }
 
+  // Walk every page of watches, newest first
+  async *iterateWatches(params?: Omit<WatchListParams, 'cursor'>) {
+    let cursor: string | null = null
+    do {
+      const page: WatchesResponse = await this.getWatches({
+        ...params,
+        cursor: cursor ?? undefined,
+      })
+      yield* page.watches
+      cursor = page.next_cursor
+    } while (cursor)
+  }
+
+  // Logs a watch by hand; requires an admin apiKey. A movie that isn't in the
+  // database yet is created (from TMDB when given a tmdb_id).
+  async createWatch(input: CreateWatchInput): Promise<CreateWatchResponse> {
+    return this.request<CreateWatchResponse>('/movies/watches', {
+      method: 'POST',
+      body: JSON.stringify(input),
+    })
+  }
+
+  // Changes only the given fields; requires an admin apiKey
+  async updateWatch(id: string, changes: WatchInput): Promise<WatchMutationResponse> {
+    return this.request<WatchMutationResponse>(`/movies/watches/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    })
+  }
+
+  async deleteWatch(
+    id: string
+  ): Promise<{ success: boolean; watch: Pick<MovieWatch, 'id' | 'movie_id'> }> {
+    return this.request<{ success: boolean; watch: Pick<MovieWatch, 'id' | 'movie_id'> }>(
+      `/movies/watches/${id}`,
+      { method: 'DELETE' }
+    )
+  }
+
+  // Watchlist API. getWatchlist requires an admin apiKey; getPublicWatchlist leaves out
+  // notes and recommenders and needs none.
+  async getWatchlist(params?: WatchlistParams): Promise<WatchlistResponse> {
+    return this.request<WatchlistResponse>(`/movies/watchlist${this.watchlistQuery(params)}`)
+  }
+
+  async getPublicWatchlist(params?: WatchlistParams): Promise<PublicWatchlistResponse> {
+    return this.request<PublicWatchlistResponse>(
+      `/movies/public/watchlist${this.watchlistQuery(params)}`
+    )
+  }
+
+  private watchlistQuery(params?: WatchlistParams): string {
+    const searchParams = new URLSearchParams()
+    if (params?.genre) {
+      searchParams.set('genre', Array.isArray(params.genre) ? params.genre.join(',') : params.genre)
+    }
+    for (const [key, param] of Object.entries(WATCHLIST_QUERY_PARAMS)) {
+      const value = params?.[key as keyof WatchlistParams]
+      if (value !== undefined && value !== null) {
+        searchParams.set(param, String(value))
+      }
+    }
+
+    const query = searchParams.toString()
+    return query ? `?${query}` : ''
+  }
+
+  // Adds to the end of the watchlist; requires an admin apiKey. A movie that isn't in
+  // the database yet is created, as for createWatch.
+  async addToWatchlist(input: AddToWatchlistInput): Promise<WatchlistEntryResponse> {
+    return this.request<WatchlistEntryResponse>('/movies/watchlist', {
+      method: 'POST',
+      body: JSON.stringify(input),
+    })
+  }
+
+  // Changes only the given fields; requires an admin apiKey
+  async updateWatchlistEntry(
+    id: string,
+    changes: WatchlistEntryInput
+  ): Promise<WatchlistEntryResponse> {
+    return this.request<WatchlistEntryResponse>(`/movies/watchlist/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    })
+  }
+
+  async removeFromWatchlist(
+    id: string
+  ): Promise<{ success: boolean; entry: Pick<WatchlistEntry, 'id' | 'movie_id'> }> {
+    return this.request<{ success: boolean; entry: Pick<WatchlistEntry, 'id' | 'movie_id'> }>(
+      `/movies/watchlist/${id}`,
+      { method: 'DELETE' }
+    )
+  }
+
+  // Pending entries in this order; the ones left out follow in their current order.
+  // Requires an admin apiKey.
+  async reorderWatchlist(ids: string[]): Promise<ReorderWatchlistResponse> {
+    return this.request<ReorderWatchlistResponse>('/movies/watchlist/order', {
+      method: 'PUT',
+      body: JSON.stringify({ ids }),
+    })
+  }
+
+  // Lists API. Public lists can be read without an apiKey; everything else requires
+  // an admin apiKey.
+  async getPublicLists(): Promise<ListsResponse> {
+    return this.request<ListsResponse>('/movies/public/lists')
+  }
+
+  async getPublicList(slug: string): Promise<ListDetails> {
+    return this.request<ListDetails>(`/movies/public/lists/${encodeURIComponent(slug)}`)
+  }
+
+  async getLists(params?: { visibility?: ListVisibility }): Promise<ListsResponse> {
+    const query = params?.visibility ? `?visibility=${params.visibility}` : ''
+    return this.request<ListsResponse>(`/movies/lists${query}`)
+  }
+
+  async getList(id: string): Promise<ListDetails> {
+    return this.request<ListDetails>(`/movies/lists/${id}`)
+  }
+
+  async createList(input: CreateListInput): Promise<ListResponse> {
+    return this.request<ListResponse>('/movies/lists', {
+      method: 'POST',
+      body: JSON.stringify(input),
+    })
+  }
+
+  // Changes only the given fields
+  async updateList(id: string, changes: ListInput): Promise<ListResponse> {
+    return this.request<ListResponse>(`/movies/lists/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    })
+  }
+
+  async deleteList(id: string): Promise<{ success: boolean; list: Pick<List, 'id' | 'slug'> }> {
+    return this.request<{ success: boolean; list: Pick<List, 'id' | 'slug'> }>(
+      `/movies/lists/${id}`,
+      { method: 'DELETE' }
+    )
+  }
+
+  // Adds to the end of the list. A movie that isn't in the database yet is created,
+  // as for createWatch.
+  async addListItem(listId: string, input: AddListItemInput): Promise<ListItemResponse> {
+    return this.request<ListItemResponse>(`/movies/lists/${listId}/items`, {
+      method: 'POST',
+      body: JSON.stringify(input),
+    })
+  }
+
+  async updateListItem(
+    listId: string,
+    itemId: string,
+    changes: ListItemInput
+  ): Promise<ListItemResponse> {
+    return this.request<ListItemResponse>(`/movies/lists/${listId}/items/${itemId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    })
+  }
+
+  async removeListItem(
+    listId: string,
+    itemId: string
+  ): Promise<{ success: boolean; item: { id: string; movie_id: string } }> {
+    return this.request<{ success: boolean; item: { id: string; movie_id: string } }>(
+      `/movies/lists/${listId}/items/${itemId}`,
+      { method: 'DELETE' }
+    )
+  }
+
+  // Items in this order; the ones left out follow in their current order
+  async reorderListItems(listId: string, ids: string[]): Promise<ListResponse> {
+    return this.request<ListResponse>(`/movies/lists/${listId}/items/order`, {
+      method: 'PUT',
+      body: JSON.stringify({ ids }),
+    })
+  }
+
   // Stats API
-  async getStats(): Promise<StatsResponse> {
-    return this.request<StatsResponse>('/movies/stats')
+  async getStats(params?: {
+    include?: StatsBreakdown[] | 'all'
+    top?: number
+  }): Promise<StatsResponse> {
+    const searchParams = new URLSearchParams()
+    if (params?.include) {
+      const include = params.include === 'all' ? 'all' : params.include.join(',')
+      searchParams.set('include', include)
+    }
+    if (params?.top) searchParams.set('top', params.top.toString())
+
+    const query = searchParams.toString()
+    return this.request<StatsResponse>(`/movies/stats${query ? `?${query}` : ''}`)
+  }
+
+  async getYearReview(year: number): Promise<YearReview> {
+    return this.request<YearReview>(`/movies/year/${year}/review`)
+  }
+
+  // People API
+  async getPerson(id: string): Promise<PersonDetails> {
+    return this.request<PersonDetails>(`/movies/people/${id}`)
+  }
+
+  async getTopPeople(params?: {
+    role?: CreditRole
+    sort?: TopPeopleSort
+    minFilms?: number
+    limit?: number
+  }): Promise<TopPeopleResponse> {
+    const searchParams = new URLSearchParams()
+    if (params?.role) searchParams.set('role', params.role)
+    if (params?.sort) searchParams.set('sort', params.sort)
+    if (params?.minFilms) searchParams.set('min_films', params.minFilms.toString())
+    if (params?.limit) searchParams.set('limit', params.limit.toString())
+
+    const query = searchParams.toString()
+    return this.request<TopPeopleResponse>(`/movies/people/top${query ? `?${query}` : ''}`)
+  }
+
+  // Collections API
+  async getCollections(params?: {
+    status?: CollectionStatus
+    limit?: number
+  }): Promise<CollectionsResponse> {
+    const searchParams = new URLSearchParams()
+    if (params?.status) searchParams.set('status', params.status)
+    if (params?.limit) searchParams.set('limit', params.limit.toString())
+
+    const query = searchParams.toString()
+    return this.request<CollectionsResponse>(`/movies/collections${query ? `?${query}` : ''}`)
+  }
+
+  async getCollection(id: string): Promise<CollectionDetails> {
+    return this.request<CollectionDetails>(`/movies/collections/${id}`)
+  }
+
+  // Sign a webhook body with HMAC-SHA256 over `${timestamp}.${body}`
+  private async signWebhook(body: string): Promise<Record<string, string>> {
+    if (!this.webhookSecret) return {}
+
+    const encoder = new TextEncoder()
+    const timestamp = Math.floor(Date.now() / 1000).toString()
+    const key = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(this.webhookSecret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    )
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`))
+    const hex = Array.from(new Uint8Array(signature))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('')
+
+    return {
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': `sha256=${hex}`,
+    }
   }
 
   // Webhook API (for testing)
   async sendWebhook(payload: any): Promise<ApiResponse<any>> {
+    const body = JSON.stringify(payload)
     return this.request<ApiResponse<any>>('/movies', {
       method: 'POST',
-      body: JSON.stringify(payload),
+      headers: await this.signWebhook(body),
+      body,
+    })
+  }
+
+  // Webhook event log API (requires an admin apiKey)
+  async getWebhookEvents(params?: {
+    limit?: number
+    status?: WebhookEventStatus
+    source?: WebhookEvent['source']
+    payload?: boolean
+  }): Promise<WebhookEventsResponse> {
+    const searchParams = new URLSearchParams()
+    if (params?.limit) searchParams.set('limit', params.limit.toString())
+    if (params?.status) searchParams.set('status', params.status)
+    if (params?.source) searchParams.set('source', params.source)
+    if (params?.payload) searchParams.set('payload', 'true')
+
+    const query = searchParams.toString()
+    return this.request<WebhookEventsResponse>(`/movies/webhooks/events${query ? `?${query}` : ''}`)
+  }
+
+  async getWebhookEvent(id: string): Promise<WebhookEvent> {
+    return this.request<WebhookEvent>(`/movies/webhooks/events/${id}`)
+  }
+
+  async replayWebhookEvent(id: string): Promise<ApiResponse<any>> {
+    return this.request<ApiResponse<any>>(`/movies/webhooks/events/${id}/replay`, {
+      method: 'POST',
+    })
+  }
+
+  async replayWebhookEvents(params?: {
+    ids?: string[]
+    status?: WebhookEventStatus
+    limit?: number
+  }): Promise<WebhookReplayResponse> {
+    return this.request<WebhookReplayResponse>('/movies/webhooks/events/replay', {
+      method: 'POST',
+      body: JSON.stringify(params || {}),
+    })
+  }
+
+  // Feed poller API (requires an admin apiKey)
+  async getFeeds(): Promise<FeedsResponse> {
+    return this.request<FeedsResponse>('/movies/feeds')
+  }
+
+  // Polls every enabled feed, or only `feedId`
+  async pollFeeds(feedId?: string): Promise<FeedPollResponse> {
+    const query = feedId ? `?feed=${encodeURIComponent(feedId)}` : ''
+    return this.request<FeedPollResponse>(`/movies/feeds/poll${query}`, { method: 'POST' })
+  }
+
+  // TMDB enrichment queue API (requires an admin apiKey)
+  async getEnrichmentJobs(params?: {
+    status?: EnrichmentJobStatus
+    limit?: number
+  }): Promise<EnrichmentJobsResponse> {
+    const searchParams = new URLSearchParams()
+    if (params?.status) searchParams.set('status', params.status)
+    if (params?.limit) searchParams.set('limit', params.limit.toString())
+
+    const query = searchParams.toString()
+    return this.request<EnrichmentJobsResponse>(
+      `/movies/enrichment/jobs${query ? `?${query}` : ''}`
+    )
+  }
+
+  async retryEnrichmentJob(id: string): Promise<{ success: boolean; job: EnrichmentJob }> {
+    return this.request<{ success: boolean; job: EnrichmentJob }>(
+      `/movies/enrichment/jobs/${id}/retry`,
+      { method: 'POST' }
+    )
+  }
+
+  // bypassCache asks TMDB again instead of using cached responses
+  async runEnrichmentJobs(
+    limit?: number,
+    options?: { bypassCache?: boolean }
+  ): Promise<EnrichmentRunResponse> {
+    const params = new URLSearchParams()
+    if (limit) params.set('limit', limit.toString())
+    if (options?.bypassCache) params.set('cache', 'bypass')
+    const query = params.toString() ? `?${params}` : ''
+    return this.request<EnrichmentRunResponse>(`/movies/enrichment/run${query}`, {
+      method: 'POST',
+    })
+  }
+
+  // TMDB match review API (requires an admin apiKey)
+  async getTmdbMatches(limit?: number): Promise<TmdbMatchesResponse> {
+    const query = limit ? `?limit=${limit}` : ''
+    return this.request<TmdbMatchesResponse>(`/movies/tmdb-matches${query}`)
+  }
+
+  // Links the movie to one of its pending candidates
+  async acceptTmdbMatch(movieId: string, tmdbId: string): Promise<TmdbMatchResolveResponse> {
+    return this.request<TmdbMatchResolveResponse>(`/movies/tmdb-matches/${movieId}/accept`, {
+      method: 'POST',
+      body: JSON.stringify({ tmdb_id: tmdbId }),
+    })
+  }
+
+  // Rejects every pending candidate, leaving the movie without a TMDB match
+  async rejectTmdbMatches(movieId: string): Promise<TmdbMatchResolveResponse> {
+    return this.request<TmdbMatchResolveResponse>(`/movies/tmdb-matches/${movieId}/reject`, {
+      method: 'POST',
+    })
+  }
+
+  // TMDB link API (requires an admin apiKey)
+  // Links the movie to a TMDB id or themoviedb.org URL and re-enriches it. If another
+  // movie already has that id this fails with a 409 MSBApiError (code
+  // 'tmdb_id_in_use') unless `merge` is set, which merges this movie into that one.
+  async relinkMovieTmdb(
+    id: string,
+    tmdbId: string | number,
+    options?: { merge?: boolean }
+  ): Promise<MovieTmdbLinkResponse> {
+    return this.request<MovieTmdbLinkResponse>(`/movies/movie/${id}/tmdb`, {
+      method: 'PUT',
+      body: JSON.stringify({ tmdb_id: tmdbId, merge: options?.merge ?? false }),
+    })
+  }
+
+  // Re-fetches TMDB metadata without changing the link
+  async refreshMovieTmdb(id: string): Promise<{ success: boolean; movie: Movie }> {
+    return this.request<{ success: boolean; movie: Movie }>(`/movies/movie/${id}/refresh`, {
+      method: 'POST',
+    })
+  }
+
+  // Duplicate movies API (requires an admin apiKey)
+  async getDuplicateMovies(limit?: number): Promise<DuplicateMoviesResponse> {
+    const query = limit ? `?limit=${limit}` : ''
+    return this.request<DuplicateMoviesResponse>(`/movies/duplicates${query}`)
+  }
+
+  // Merges sourceId into targetId: watches move to the target, which keeps the richest
+  // metadata, and sourceId is deleted
+  async mergeMovies(sourceId: string, targetId: string): Promise<MergeMoviesResponse> {
+    return this.request<MergeMoviesResponse>('/movies/merge', {
+      method: 'POST',
+      body: JSON.stringify({ source_id: sourceId, target_id: targetId }),
     })
   }
 
@@ -147,5 +1404,8 @@ export class MSBApi {
 
 // Types are exported above with interfaces
 
+// Rating types shared with the edge function (ratings are 0-10, half points)
+export type { RatingScale, ParsedRating } from '@msb/shared'
+
 // Default export for convenience
 export default MSBApi
@@ -0,0 +1,25 @@
+// supabase/functions/movies/admin-auth.ts
+// Bearer-token check for endpoints that read or modify private data
+
+import { parseSecretList, timingSafeEqual } from './webhook-auth.ts'
+
+// Comma-separated so tokens can be rotated without downtime
+const ADMIN_API_TOKENS = parseSecretList(Deno.env.get('ADMIN_API_TOKENS'))
+
+// Returns { ok: true } when the request carries a valid admin token
+export function verifyAdminRequest(req: Request) {
+  if (ADMIN_API_TOKENS.length === 0) {
+    console.error('Admin authentication is not configured (ADMIN_API_TOKENS)')
+    return { ok: false, reason: 'Admin authentication is not configured' }
+  }
+
+  const authorization = req.headers.get('authorization') || ''
+  const match = authorization.match(/^Bearer\s+(.+)$/i)
+  if (!match) {
+    return { ok: false, reason: 'Missing bearer token' }
+  }
+
+  const token = match[1].trim()
+  const valid = ADMIN_API_TOKENS.some(candidate => timingSafeEqual(token, candidate))
+  return valid ? { ok: true } : { ok: false, reason: 'Invalid bearer token' }
+}
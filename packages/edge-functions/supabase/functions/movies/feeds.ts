@@ -0,0 +1,165 @@
+// supabase/functions/movies/feeds.ts
+// Fetching and parsing RSS/Atom feeds for the built-in poller
+
+import { XMLParser } from 'https://esm.sh/fast-xml-parser@4'
+
+const FEED_TIMEOUT_MS = 15000
+const USER_AGENT = 'msb-feed-poller/1.0'
+
+type XmlNode = Record<string, any>
+
+// Same shape the webhook receives from EchoFeed, so items can go through
+// processMovieFeedItem unchanged. Namespaced elements (letterboxd:*, tmdb:*)
+// are copied over as prefixed keys.
+export interface FeedItem {
+  id: string | null
+  guid: string | null
+  title: string | null
+  link: string | null
+  content: string | null
+  summary: string | null
+  pubDate: string | null
+  [namespacedField: string]: unknown
+}
+
+export interface ParsedFeed {
+  format: 'rss' | 'atom'
+  title: string | null
+  items: FeedItem[]
+}
+
+export interface FeedValidators {
+  etag: string | null
+  last_modified: string | null
+}
+
+export type FeedFetchResult =
+  | { status: 'not_modified' }
+  | { status: 'ok'; feed: ParsedFeed; etag: string | null; lastModified: string | null }
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text',
+  // Keep every value a string; years and ids are validated by the extractors
+  parseTagValue: false,
+  trimValues: true,
+  isArray: name => name === 'item' || name === 'entry' || name === 'link',
+})
+
+function text(node: unknown): string | null {
+  if (node === null || node === undefined) return null
+  if (Array.isArray(node)) return text(node[0])
+  if (typeof node === 'object') return text((node as XmlNode)['#text'])
+  const value = String(node).trim()
+  return value || null
+}
+
+// Namespaced elements other than content:encoded, which becomes `content`
+function namespacedFields(node: XmlNode) {
+  const fields: Record<string, string> = {}
+  for (const [key, value] of Object.entries(node)) {
+    if (!key.includes(':') || key.startsWith('@_') || key === 'content:encoded') continue
+    const fieldText = text(value)
+    if (fieldText !== null) fields[key] = fieldText
+  }
+  return fields
+}
+
+function rssItem(item: XmlNode): FeedItem {
+  const guid = text(item.guid)
+  return {
+    ...namespacedFields(item),
+    id: guid,
+    guid,
+    title: text(item.title),
+    link: text(item.link),
+    content: text(item['content:encoded']) || text(item.description),
+    summary: null,
+    pubDate: text(item.pubDate) || text(item['dc:date']),
+  }
+}
+
+// Atom links are attributes; prefer rel="alternate" (the default when rel is missing)
+function atomLink(links: XmlNode[] = []): string | null {
+  const alternate = links.find(link => !link['@_rel'] || link['@_rel'] === 'alternate')
+  return (alternate || links[0])?.['@_href'] || null
+}
+
+function atomEntry(entry: XmlNode): FeedItem {
+  const id = text(entry.id)
+  return {
+    ...namespacedFields(entry),
+    id,
+    guid: id,
+    title: text(entry.title),
+    link: atomLink(entry.link),
+    content: text(entry.content),
+    summary: text(entry.summary),
+    pubDate: text(entry.published) || text(entry.updated),
+  }
+}
+
+export function parseFeed(xml: string): ParsedFeed {
+  const document = parser.parse(xml)
+
+  if (document.rss?.channel) {
+    const channel = document.rss.channel
+    return {
+      format: 'rss',
+      title: text(channel.title),
+      items: (channel.item || []).map(rssItem),
+    }
+  }
+
+  if (document.feed) {
+    return {
+      format: 'atom',
+      title: text(document.feed.title),
+      items: (document.feed.entry || []).map(atomEntry),
+    }
+  }
+
+  throw new Error('Not an RSS or Atom feed')
+}
+
+// Milliseconds since the epoch, or null when the item has no usable date
+export function itemPublishedAt(item: FeedItem): number | null {
+  if (!item.pubDate) return null
+  const time = Date.parse(item.pubDate)
+  return isNaN(time) ? null : time
+}
+
+// Conditional GET using the validators saved from the previous poll
+export async function fetchFeed(
+  url: string,
+  validators: FeedValidators,
+  fetchImpl: typeof fetch = fetch
+): Promise<FeedFetchResult> {
+  const headers: Record<string, string> = {
+    Accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8',
+    'User-Agent': USER_AGENT,
+  }
+  if (validators.etag) headers['If-None-Match'] = validators.etag
+  if (validators.last_modified) headers['If-Modified-Since'] = validators.last_modified
+
+  const response = await fetchImpl(url, {
+    headers,
+    signal: AbortSignal.timeout(FEED_TIMEOUT_MS),
+  })
+
+  if (response.status === 304) {
+    return { status: 'not_modified' }
+  }
+
+  if (!response.ok) {
+    throw new Error(`Feed request failed: ${response.status} ${response.statusText}`)
+  }
+
+  return {
+    status: 'ok',
+    feed: parseFeed(await response.text()),
+    etag: response.headers.get('etag'),
+    lastModified: response.headers.get('last-modified'),
+  }
+}
@@ -0,0 +1,67 @@
+// supabase/functions/movies/http.ts
+// Response helpers shared by every route
+
+import { SIGNATURE_HEADER, TIMESTAMP_HEADER } from './webhook-auth.ts'
+
+export const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': `authorization, x-client-info, apikey, content-type, ${SIGNATURE_HEADER}, ${TIMESTAMP_HEADER}`,
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+}
+
+// Thrown by handlers to return a specific status in the standard error envelope
+export class HttpError extends Error {
+  status: number
+  code: string
+  details: unknown
+
+  constructor(status: number, code: string, message: string, details: unknown = null) {
+    super(message)
+    this.name = 'HttpError'
+    this.status = status
+    this.code = code
+    this.details = details
+  }
+}
+
+export function jsonResponse(body: unknown, status = 200, headers: Record<string, string> = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      ...corsHeaders,
+      ...headers,
+      'Content-Type': 'application/json',
+    },
+  })
+}
+
+// Every error leaves the API as { error: { code, message, details } }
+export function errorResponse(
+  status: number,
+  code: string,
+  message: string,
+  details: unknown = null,
+  headers: Record<string, string> = {}
+) {
+  return jsonResponse({ error: { code, message, details } }, status, headers)
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// Row ids are UUIDs; Postgres rejects anything else with 22P02
+export function isUuid(value: unknown): value is string {
+  return typeof value === 'string' && UUID_PATTERN.test(value)
+}
+
+// Parse a JSON request body, turning malformed input into a 400. With allowEmpty, a
+// missing or blank body reads as {}.
+export async function readJsonBody(req: Request, { allowEmpty = false } = {}) {
+  const text = await req.text()
+  if (allowEmpty && text.trim() === '') return {}
+
+  try {
+    return JSON.parse(text)
+  } catch {
+    throw new HttpError(400, 'invalid_json', 'Request body must be valid JSON')
+  }
+}
@@ -2,6 +2,65 @@
 // Movie function with automatic TMDB enrichment
 
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { verifyWebhookRequest } from './webhook-auth.ts'
+import { verifyAdminRequest } from './admin-auth.ts'
+import {
+  corsHeaders,
+  errorResponse,
+  HttpError,
+  isUuid,
+  jsonResponse,
+  readJsonBody,
+} from './http.ts'
+import { describeRoutes, matchRoute, type Route } from './router.ts'
+import {
+  applyCursor,
+  decodeCursor,
+  orderForCursor,
+  paginateRows,
+  parseLimit,
+} from './pagination.ts'
+import {
+  applyMovieFilters,
+  MATCHING_WATCHES_EMBED,
+  parseMovieFilters,
+  parseMovieSort,
+  usesWatchFilters,
+} from './movie-filters.ts'
+import { readLetterboxdFields, watchedAtForDate } from './letterboxd.ts'
+import { fetchFeed, itemPublishedAt } from './feeds.ts'
+import {
+  parseRewatch,
+  parseWatchChanges,
+  requireFields,
+  WATCH_INPUT_FIELDS,
+} from './watch-input.ts'
+import {
+  applyWatchlistFilters,
+  parseEntryIds,
+  parseWatchlistChanges,
+  parseWatchlistFilters,
+  WATCHLIST_INPUT_FIELDS,
+} from './watchlist-input.ts'
+import {
+  LIST_INPUT_FIELDS,
+  LIST_ITEM_INPUT_FIELDS,
+  LIST_VISIBILITIES,
+  parseListChanges,
+  parseListItemChanges,
+} from './list-input.ts'
+// Shared code comes from packages/shared through the @msb/shared/ entry in deno.json,
+// which config.toml uses as the import map. Deno loads those modules as they are,
+// without the workspace's package resolution, so they must not import anything at
+// runtime (type imports are fine).
+import { normalizeRating, parseRating, parseStarRating } from '@msb/shared/utils/ratings.ts'
+import {
+  isConfidentMatch,
+  MATCH_CANDIDATE_LIMIT,
+  scoreCandidates,
+} from '@msb/shared/utils/tmdb-match.ts'
+import { tmdbCacheKey, tmdbCacheParams, tmdbCacheTtl } from '@msb/shared/utils/tmdb-cache.ts'
+import { presentFields, TMDBClient } from '@msb/shared/utils/tmdb-client.ts'
 
 const supabase = createClient(
   Deno.env.get('SUPABASE_URL'),
@@ -10,16 +69,347 @@ const supabase = createClient(
 
 // TMDB configuration
 const TMDB_API_KEY = Deno.env.get('TMDB_API_KEY')
-const TMDB_BASE_URL = 'https://api.themoviedb.org/3'
-const TMDB_IMAGE_BASE_URL = 'https://image.tmdb.org/t/p'
 
-Deno.serve(async req => {
-  const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-  }
+// Route table: every route is reachable as /movies/... and /movies/v1/...
+const routes: Route[] = [
+  {
+    method: 'GET',
+    path: '/',
+    description: 'Get enriched movies',
+    handler: getMovies,
+  },
+  {
+    method: 'POST',
+    path: '/',
+    description: 'Process signed webhooks + auto-enrich',
+    handler: handleEchoFeedWebhook,
+  },
+  {
+    // Kept for clients that request /movies relative to the function URL
+    method: 'GET',
+    path: '/movies',
+    description: 'Get enriched movies',
+    handler: getMovies,
+  },
+  {
+    method: 'GET',
+    path: '/search',
+    description: 'Full-text search across titles, directors, plots and reviews',
+    handler: searchMovies,
+  },
+  {
+    method: 'GET',
+    path: '/movie/:id',
+    description: 'Get movie details',
+    handler: getMovieById,
+  },
+  {
+    method: 'PUT',
+    path: '/movie/:id/tmdb',
+    description: 'Link a movie to a different TMDB id and re-enrich it',
+    auth: 'admin',
+    handler: relinkMovieTMDB,
+  },
+  {
+    method: 'POST',
+    path: '/movie/:id/refresh',
+    description: 'Re-fetch TMDB metadata for a movie',
+    auth: 'admin',
+    handler: refreshMovieTMDB,
+  },
+  {
+    method: 'GET',
+    path: '/watches',
+    description: 'Get recent watches',
+    handler: getWatches,
+  },
+  {
+    method: 'POST',
+    path: '/watches',
+    description: 'Log a watch manually',
+    auth: 'admin',
+    handler: createWatch,
+  },
+  {
+    method: 'PATCH',
+    path: '/watches/:id',
+    description: "Edit a watch's rating, review, date, liked flag or tags",
+    auth: 'admin',
+    handler: updateWatch,
+  },
+  {
+    method: 'DELETE',
+    path: '/watches/:id',
+    description: 'Delete a single watch',
+    auth: 'admin',
+    handler: deleteWatch,
+  },
+  {
+    method: 'GET',
+    path: '/watchlist',
+    description: 'Get the watchlist, filtered by genre, release year and runtime',
+    auth: 'admin',
+    handler: getWatchlist,
+  },
+  {
+    method: 'POST',
+    path: '/watchlist',
+    description: 'Add a movie to the watchlist',
+    auth: 'admin',
+    handler: addToWatchlist,
+  },
+  {
+    method: 'PUT',
+    path: '/watchlist/order',
+    description: 'Reorder the watchlist',
+    auth: 'admin',
+    handler: reorderWatchlist,
+  },
+  {
+    method: 'PATCH',
+    path: '/watchlist/:id',
+    description: "Edit a watchlist entry's priority, recommender or note",
+    auth: 'admin',
+    handler: updateWatchlistEntry,
+  },
+  {
+    method: 'DELETE',
+    path: '/watchlist/:id',
+    description: 'Remove a movie from the watchlist',
+    auth: 'admin',
+    handler: removeFromWatchlist,
+  },
+  {
+    method: 'GET',
+    path: '/public/watchlist',
+    description: 'Get the watchlist without notes or recommenders',
+    handler: getPublicWatchlist,
+  },
+  {
+    method: 'GET',
+    path: '/public/lists',
+    description: 'List public lists',
+    handler: getPublicLists,
+  },
+  {
+    method: 'GET',
+    path: '/public/lists/:slug',
+    description: 'Get a public list with its movies',
+    handler: getPublicList,
+  },
+  {
+    method: 'GET',
+    path: '/lists',
+    description: 'List every list, public and private',
+    auth: 'admin',
+    handler: getLists,
+  },
+  {
+    method: 'POST',
+    path: '/lists',
+    description: 'Create a list',
+    auth: 'admin',
+    handler: createList,
+  },
+  {
+    method: 'GET',
+    path: '/lists/:id',
+    description: 'Get a list with its movies',
+    auth: 'admin',
+    handler: getList,
+  },
+  {
+    method: 'PATCH',
+    path: '/lists/:id',
+    description: "Edit a list's title, slug, description, mode or visibility",
+    auth: 'admin',
+    handler: updateList,
+  },
+  {
+    method: 'DELETE',
+    path: '/lists/:id',
+    description: 'Delete a list',
+    auth: 'admin',
+    handler: deleteList,
+  },
+  {
+    method: 'POST',
+    path: '/lists/:id/items',
+    description: 'Add a movie to a list',
+    auth: 'admin',
+    handler: addListItem,
+  },
+  {
+    method: 'PUT',
+    path: '/lists/:id/items/order',
+    description: "Reorder a list's movies",
+    auth: 'admin',
+    handler: reorderListItems,
+  },
+  {
+    method: 'PATCH',
+    path: '/lists/:id/items/:itemId',
+    description: "Edit a list item's note",
+    auth: 'admin',
+    handler: updateListItem,
+  },
+  {
+    method: 'DELETE',
+    path: '/lists/:id/items/:itemId',
+    description: 'Remove a movie from a list',
+    auth: 'admin',
+    handler: removeListItem,
+  },
+  {
+    method: 'GET',
+    path: '/stats',
+    description: 'Get statistics',
+    handler: getMovieStats,
+  },
+  {
+    method: 'GET',
+    path: '/year/:year/review',
+    description: 'Year-in-review summary',
+    handler: getYearReview,
+  },
+  {
+    method: 'GET',
+    path: '/people/top',
+    description: 'Rank directors, actors, writers and composers by films watched',
+    handler: getTopPeople,
+  },
+  {
+    method: 'GET',
+    path: '/people/:id',
+    description: 'Get a person with every film of theirs that has been watched',
+    handler: getPerson,
+  },
+  {
+    method: 'GET',
+    path: '/collections',
+    description: 'List collections with how many of their movies have been watched',
+    handler: getCollections,
+  },
+  {
+    method: 'GET',
+    path: '/collections/:id',
+    description: 'Get a collection with each movie in release order and its watches',
+    handler: getCollection,
+  },
+  {
+    method: 'GET',
+    path: '/endpoints',
+    description: 'List available endpoints',
+    handler: getWelcome,
+  },
+  {
+    method: 'DELETE',
+    path: '/cleanup',
+    description: 'Delete movies and their watches',
+    auth: 'admin',
+    handler: handleCleanup,
+  },
+  {
+    method: 'GET',
+    path: '/webhooks/events',
+    description: 'List stored webhook events',
+    auth: 'admin',
+    handler: getWebhookEvents,
+  },
+  {
+    method: 'POST',
+    path: '/webhooks/events/replay',
+    description: 'Replay failed (or selected) webhook events',
+    auth: 'admin',
+    handler: replayWebhookEvents,
+  },
+  {
+    method: 'GET',
+    path: '/webhooks/events/:id',
+    description: 'Get a stored webhook event',
+    auth: 'admin',
+    handler: getWebhookEvent,
+  },
+  {
+    method: 'POST',
+    path: '/webhooks/events/:id/replay',
+    description: 'Replay a stored webhook event',
+    auth: 'admin',
+    handler: replayWebhookEvent,
+  },
+  {
+    method: 'GET',
+    path: '/feeds',
+    description: 'List polled RSS/Atom feeds with their last poll and error',
+    auth: 'admin',
+    handler: getFeeds,
+  },
+  {
+    method: 'POST',
+    path: '/feeds/poll',
+    description: 'Poll RSS/Atom feeds and ingest new items',
+    auth: 'admin',
+    handler: pollFeeds,
+  },
+  {
+    method: 'GET',
+    path: '/enrichment/jobs',
+    description: 'List TMDB enrichment jobs',
+    auth: 'admin',
+    handler: getEnrichmentJobs,
+  },
+  {
+    method: 'POST',
+    path: '/enrichment/jobs/:id/retry',
+    description: 'Queue a finished enrichment job again',
+    auth: 'admin',
+    handler: retryEnrichmentJob,
+  },
+  {
+    method: 'POST',
+    path: '/enrichment/run',
+    description: 'Run due TMDB enrichment jobs',
+    auth: 'admin',
+    handler: runEnrichmentJobs,
+  },
+  {
+    method: 'GET',
+    path: '/tmdb-matches',
+    description: 'List movies waiting for a TMDB match review',
+    auth: 'admin',
+    handler: getTmdbMatches,
+  },
+  {
+    method: 'POST',
+    path: '/tmdb-matches/:id/accept',
+    description: 'Link a movie to one of its TMDB match candidates',
+    auth: 'admin',
+    handler: acceptTmdbMatch,
+  },
+  {
+    method: 'POST',
+    path: '/tmdb-matches/:id/reject',
+    description: "Reject all of a movie's TMDB match candidates",
+    auth: 'admin',
+    handler: rejectTmdbMatches,
+  },
+  {
+    method: 'GET',
+    path: '/duplicates',
+    description: 'List probable duplicate movies',
+    auth: 'admin',
+    handler: getDuplicateMovies,
+  },
+  {
+    method: 'POST',
+    path: '/merge',
+    description: 'Merge a duplicate movie into another',
+    auth: 'admin',
+    handler: mergeMovies,
+  },
+]
 
+Deno.serve(async req => {
   if (req.method === 'OPTIONS') {
     return new Response('ok', { headers: corsHeaders })
   }
@@ -28,255 +418,220 @@ Deno.serve(async req => {
 
   try {
     const url = new URL(req.url)
-    const path = url.pathname
-
-    // Handle EchoFeed webhooks (POST requests)
-    if (req.method === 'POST') {
-      return await handleEchoFeedWebhook(req, corsHeaders)
-    }
-
-    // Handle DELETE requests for cleanup
-    if (req.method === 'DELETE' && path.includes('/cleanup')) {
-      return await handleCleanup(req, corsHeaders)
-    }
-
-    // Handle debug endpoint
-    if (path.includes('/debug') && req.method === 'POST') {
-      const payload = await req.json()
-      console.log('=== DEBUG WEBHOOK PAYLOAD ===')
-      console.log(JSON.stringify(payload, null, 2))
-      console.log('=== END DEBUG ===')
-
-      return new Response(
-        JSON.stringify({
-          message: 'Debug payload logged',
-          payload: payload,
-          keys: Object.keys(payload),
-          hasItem: !!payload.item,
-          hasTitle: !!payload.title,
-          hasId: !!payload.id,
-        }),
-        {
-          headers: {
-            ...corsHeaders,
-            'Content-Type': 'application/json',
-          },
-        }
-      )
-    }
+    const match = matchRoute(routes, req.method, url.pathname)
 
-    // Handle GET requests [previous GET endpoints remain the same]
-    if (path.includes('/movie/') && path.split('/').length >= 3) {
-      const movieId = path.split('/')[2]
-      return await getMovieById(movieId, corsHeaders)
+    if (match.status === 404) {
+      return errorResponse(404, 'not_found', `No route for ${req.method} ${url.pathname}`, {
+        endpoints: describeRoutes(routes),
+      })
     }
 
-    if (path.includes('/movies') || path === '/') {
-      return await getMovies(req, corsHeaders)
+    if (match.status === 405) {
+      return errorResponse(
+        405,
+        'method_not_allowed',
+        `${req.method} is not allowed on ${url.pathname}`,
+        { allowed: match.allowed },
+        { Allow: match.allowed.join(', ') }
+      )
     }
 
-    if (path.includes('/watches')) {
-      return await getWatches(req, corsHeaders)
+    if (match.route.auth === 'admin') {
+      const admin = verifyAdminRequest(req)
+      if (!admin.ok) {
+        return errorResponse(401, 'unauthorized', 'Unauthorized', admin.reason)
+      }
     }
 
-    if (path.includes('/stats')) {
-      return await getMovieStats(corsHeaders)
+    return await match.route.handler(req, match.params)
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return errorResponse(error.status, error.code, error.message, error.details)
     }
 
-    // Default response
-    return new Response(
-      JSON.stringify({
-        message: 'Movie API with Auto-TMDB Enrichment!',
-        endpoints: {
-          'POST /movies': 'Process webhooks + auto-enrich',
-          'GET /movies': 'Get enriched movies',
-          'GET /movies/movie/{id}': 'Get movie details',
-          'GET /movies/watches': 'Get recent watches',
-          'GET /movies/stats': 'Get statistics',
-        },
-        features: [
-          'Automatic TMDB enrichment for new movies',
-          'Poster and backdrop URLs',
-          'Plot summaries and metadata',
-          'Director and genre information',
-        ],
-        timestamp: new Date().toISOString(),
-      }),
-      {
-        headers: {
-          ...corsHeaders,
-          'Content-Type': 'application/json',
-        },
-      }
-    )
-  } catch (error) {
     console.error('API Error:', error)
-    return new Response(JSON.stringify({ error: error.message }), {
-      status: 500,
-      headers: {
-        ...corsHeaders,
-        'Content-Type': 'application/json',
-      },
-    })
+    return errorResponse(500, 'internal_error', error.message)
   }
 })
 
-// TMDB Helper Functions
-async function tmdbRequest(endpoint, params = {}) {
-  if (!TMDB_API_KEY) {
-    console.warn('TMDB_API_KEY not set, skipping enrichment')
-    return null
-  }
-
-  const url = new URL(`${TMDB_BASE_URL}${endpoint}`)
-  url.searchParams.append('api_key', TMDB_API_KEY)
-
-  Object.entries(params).forEach(([key, value]) => {
-    if (value !== null && value !== undefined) {
-      url.searchParams.append(key, value)
-    }
+function getWelcome() {
+  return jsonResponse({
+    message: 'Movie API with Auto-TMDB Enrichment!',
+    version: 'v1',
+    endpoints: describeRoutes(routes),
+    features: [
+      'Automatic TMDB enrichment for new movies',
+      'Poster and backdrop URLs',
+      'Plot summaries and metadata',
+      'Director and genre information',
+    ],
+    timestamp: new Date().toISOString(),
   })
+}
 
-  try {
-    console.log(`TMDB Request: ${endpoint}`)
-    const response = await fetch(url.toString())
+// TMDB Helper Functions
+// Requests go through the shared client (packages/shared/src/utils/tmdb-client.ts):
+// rate limited, retried on 429 and 5xx, null for a 404 and thrown on any other
+// failure, so the enrichment worker can tell "not on TMDB" from "try again later".
+// Responses are cached in tmdb_cache (see the tmdb_cache migration); pass
+// { bypassCache: true } to fetch from TMDB even when a fresh response is cached.
+
+// The cache is an optimization: a failed read or write is logged and TMDB is used
+const tmdbResponseCache = {
+  async get(endpoint, params) {
+    const cacheKey = tmdbCacheKey(endpoint, params)
+    const { data, error } = await supabase
+      .from('tmdb_cache')
+      .select('status, response')
+      .eq('cache_key', cacheKey)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle()
 
-    if (!response.ok) {
-      console.error(`TMDB API Error: ${response.status}`)
+    if (error) {
+      console.error(`Could not read TMDB cache for ${cacheKey}:`, error)
       return null
     }
+    return data && { status: data.status, body: data.response }
+  },
+
+  async set(endpoint, params, { status, body }) {
+    const cacheKey = tmdbCacheKey(endpoint, params)
+    const { error } = await supabase.rpc('store_tmdb_response', {
+      key: cacheKey,
+      request_endpoint: endpoint,
+      request_params: tmdbCacheParams(params),
+      response_status: status,
+      response_body: body,
+      ttl_seconds: tmdbCacheTtl(endpoint, status),
+    })
 
-    return await response.json()
-  } catch (error) {
-    console.error(`TMDB request failed: ${error.message}`)
-    return null
-  }
+    if (error) console.error(`Could not cache TMDB response for ${cacheKey}:`, error)
+  },
 }
 
-async function searchTMDBMovie(title, year = null) {
-  const params = { query: title }
-  if (year) {
-    params.year = year
-    params.primary_release_year = year
-  }
-
-  const searchResults = await tmdbRequest('/search/movie', params)
-
-  if (!searchResults?.results || searchResults.results.length === 0) {
-    return null
-  }
-
-  // Find best match
-  let bestMatch = searchResults.results[0]
-
-  if (year) {
-    const exactYearMatch = searchResults.results.find(movie => {
-      const releaseYear = movie.release_date ? new Date(movie.release_date).getFullYear() : null
-      return releaseYear === year
-    })
+const tmdb = new TMDBClient({
+  apiKey: TMDB_API_KEY,
+  posterSize: Deno.env.get('TMDB_IMAGE_SIZE'),
+  backdropSize: Deno.env.get('TMDB_BACKDROP_SIZE'),
+  cache: tmdbResponseCache,
+  log: console.warn,
+})
 
-    if (exactYearMatch) {
-      bestMatch = exactYearMatch
-    }
-  }
+// Only the fields TMDB has, so enrichment never clears anything
+function extractTMDBData(tmdbDetails) {
+  return presentFields(tmdb.movieData(tmdbDetails))
+}
 
-  return bestMatch
+// Every column enrichment writes. Re-linking or refreshing a movie clears the ones
+// TMDB doesn't have, so nothing from the previous match is left behind.
+function replaceTMDBData(tmdbDetails) {
+  return tmdb.movieData(tmdbDetails)
 }
 
-async function getTMDBMovieDetails(tmdbId) {
-  return await tmdbRequest(`/movie/${tmdbId}`, {
-    append_to_response: 'credits,videos',
+// Swap in the movie's cast and crew from the details (see the people_credits migration)
+async function saveMovieCredits(movieId, tmdbDetails) {
+  const { error } = await supabase.rpc('replace_movie_credits', {
+    credit_movie_id: movieId,
+    credits: tmdb.movieCredits(tmdbDetails),
   })
+
+  if (error) throw error
 }
 
-function buildImageUrls(tmdbMovie) {
-  const posterUrl = tmdbMovie.poster_path
-    ? `${TMDB_IMAGE_BASE_URL}/w500${tmdbMovie.poster_path}`
-    : null
+// Store the collection the movie belongs to, with every part, from TMDB's collection
+// endpoint (see the collections migration). Parts link to movies by TMDB id, so the
+// movie itself needs no update.
+async function saveMovieCollection(tmdbDetails, cacheOptions = {}) {
+  const belongsTo = tmdbDetails.belongs_to_collection
+  if (!belongsTo) return
+
+  const collection = await tmdb.getCollection(belongsTo.id, cacheOptions)
+  if (!collection) return
 
-  const backdropUrl = tmdbMovie.backdrop_path
-    ? `${TMDB_IMAGE_BASE_URL}/w1280${tmdbMovie.backdrop_path}`
-    : null
+  const { collection: collectionRow, parts } = tmdb.collectionData(collection)
+  const { error } = await supabase.rpc('store_tmdb_collection', {
+    collection: collectionRow,
+    parts,
+  })
 
-  return { posterUrl, backdropUrl }
+  if (error) throw error
 }
 
-function extractTMDBData(tmdbMovie, tmdbDetails = null) {
-  const data = tmdbDetails || tmdbMovie
-  const { posterUrl, backdropUrl } = buildImageUrls(data)
+// Everything stored alongside a movie's TMDB columns
+async function saveTMDBRelations(movieId, tmdbDetails, cacheOptions = {}) {
+  await saveMovieCredits(movieId, tmdbDetails)
+  await saveMovieCollection(tmdbDetails, cacheOptions)
+}
 
-  const enrichedData = {
-    poster_url: posterUrl,
-    backdrop_url: backdropUrl,
-    tmdb_id: data.id?.toString(),
-    plot_summary: data.overview || null,
-    country: data.production_countries?.[0]?.iso_3166_1 || null,
-    language: data.original_language || null,
-    budget: data.budget || null,
-    box_office: data.revenue || null,
+// TMDB details for an admin request: 503 without an API key, 404 for an unknown id
+async function requireTMDBDetails(tmdbId, cacheOptions = {}) {
+  if (!TMDB_API_KEY) {
+    throw new HttpError(503, 'enrichment_unavailable', 'TMDB_API_KEY is not configured')
   }
 
-  // Add director from credits
-  if (tmdbDetails?.credits?.crew) {
-    const director = tmdbDetails.credits.crew.find(person => person.job === 'Director')
-    if (director) {
-      enrichedData.director = director.name
-    }
-  }
+  const tmdbDetails = await tmdb.getMovieDetails(tmdbId, cacheOptions)
 
-  // Add genres
-  if (data.genres) {
-    enrichedData.genres = data.genres.map(genre => genre.name)
+  if (!tmdbDetails) {
+    throw new HttpError(404, 'not_found', `TMDB movie ${tmdbId} not found`)
   }
 
-  // Add trailer URL
-  if (tmdbDetails?.videos?.results) {
-    const trailer = tmdbDetails.videos.results.find(
-      video => video.type === 'Trailer' && video.site === 'YouTube'
-    )
-    if (trailer) {
-      enrichedData.trailer_url = `https://www.youtube.com/watch?v=${trailer.key}`
+  return tmdbDetails
+}
+
+// Match a movie to TMDB. With a known TMDB id (e.g. from the Letterboxd feed) the
+// search is skipped. Otherwise the search results are scored and the best one is only
+// used when it is a confident match; the top candidates are returned for review
+// instead. TMDB errors are thrown for the job queue to retry.
+async function matchMovieWithTMDB(movie, cacheOptions = {}) {
+  console.log(`Matching with TMDB: ${movie.title} (${movie.year})`)
+
+  if (movie.tmdb_id) {
+    const tmdbDetails = await tmdb.getMovieDetails(movie.tmdb_id, cacheOptions)
+    if (!tmdbDetails) {
+      console.log(`TMDB movie ${movie.tmdb_id} not found for ${movie.title} (${movie.year})`)
+      return { outcome: 'no_match' }
     }
-  }
 
-  // Filter out null values
-  return Object.fromEntries(
-    Object.entries(enrichedData).filter(
-      ([key, value]) => value !== null && value !== undefined && value !== ''
-    )
-  )
-}
+    return { outcome: 'matched', data: extractTMDBData(tmdbDetails), details: tmdbDetails }
+  }
 
-async function enrichMovieWithTMDB(title, year) {
-  try {
-    console.log(`Enriching with TMDB: ${title} (${year})`)
+  const results = await tmdb.searchMovies(movie.title, cacheOptions)
 
-    // Search for movie
-    const tmdbMovie = await searchTMDBMovie(title, year)
+  if (results.length === 0) {
+    console.log(`Movie not found on TMDB: ${movie.title} (${movie.year})`)
+    return { outcome: 'no_match' }
+  }
 
-    if (!tmdbMovie) {
-      console.log(`Movie not found on TMDB: ${title} (${year})`)
-      return {}
-    }
+  const target = { title: movie.title, year: movie.year, director: movie.director }
 
-    console.log(`Found TMDB movie: ${tmdbMovie.title} (ID: ${tmdbMovie.id})`)
+  // Search results have no credits or alternative titles, so only the most likely
+  // few are fetched in full and scored again
+  const shortlist = scoreCandidates(target, results).slice(0, MATCH_CANDIDATE_LIMIT)
+  const details = []
+  for (const candidate of shortlist) {
+    const tmdbDetails = await tmdb.getMovieDetails(candidate.tmdb_id, cacheOptions)
+    if (tmdbDetails) details.push(tmdbDetails)
+  }
 
-    // Get detailed info
-    const tmdbDetails = await getTMDBMovieDetails(tmdbMovie.id)
+  const scored = scoreCandidates(target, details)
 
-    // Extract enriched data
-    const enrichedData = extractTMDBData(tmdbMovie, tmdbDetails)
+  if (scored.length === 0) {
+    return { outcome: 'no_match' }
+  }
 
-    console.log(`TMDB enrichment added: ${Object.keys(enrichedData).join(', ')}`)
+  const [best] = scored
+  console.log(`Best TMDB match: ${best.title} (ID: ${best.tmdb_id}, score ${best.score})`)
 
-    return enrichedData
-  } catch (error) {
-    console.error(`TMDB enrichment failed for ${title}: ${error.message}`)
-    return {}
+  if (isConfidentMatch(scored)) {
+    const tmdbDetails = details.find(candidate => candidate.id === best.tmdb_id)
+    return { outcome: 'matched', data: extractTMDBData(tmdbDetails), details: tmdbDetails }
   }
+
+  return { outcome: 'needs_review', candidates: scored }
 }
 
-// Enhanced movie creation with automatic TMDB enrichment
+// Find or create the movie. TMDB enrichment happens later: inserting a movie queues
+// an enrichment job (see the enrichment_jobs migration), so the webhook never waits on TMDB.
 async function upsertMovie(movieData) {
   console.log(`Upserting movie: ${movieData.title} (${movieData.year})`)
 
@@ -292,6 +647,24 @@ async function upsertMovie(movieData) {
     existingMovie = data
   }
 
+  if (!existingMovie && movieData.externalIds.trakt_id) {
+    const { data } = await supabase
+      .from('movies')
+      .select('*')
+      .eq('trakt_id', movieData.externalIds.trakt_id)
+      .maybeSingle()
+    existingMovie = data
+  }
+
+  if (!existingMovie && movieData.externalIds.tmdb_id) {
+    const { data } = await supabase
+      .from('movies')
+      .select('*')
+      .eq('tmdb_id', movieData.externalIds.tmdb_id)
+      .maybeSingle()
+    existingMovie = data
+  }
+
   if (!existingMovie && movieData.title && movieData.year) {
     const { data } = await supabase
       .from('movies')
@@ -302,33 +675,45 @@ async function upsertMovie(movieData) {
     existingMovie = data
   }
 
+  if (!existingMovie) {
+    existingMovie = await findMergedMovie(movieData)
+  }
+
   if (existingMovie) {
     console.log(`Found existing movie: ${existingMovie.id}`)
 
-    // If existing movie doesn't have poster, try to enrich it
-    if (!existingMovie.poster_url && TMDB_API_KEY) {
-      console.log('Existing movie missing poster, enriching...')
-      const tmdbData = await enrichMovieWithTMDB(existingMovie.title, existingMovie.year)
+    // Store ids the movie doesn't have yet (a Trakt id for a movie first seen on
+    // Letterboxd, or the feed's exact TMDB id), so later items match directly
+    const missingIds = Object.fromEntries(
+      Object.entries(movieData.externalIds).filter(([key, value]) => value && !existingMovie[key])
+    )
 
-      if (Object.keys(tmdbData).length > 0) {
-        const { data: updatedMovie, error } = await supabase
-          .from('movies')
-          .update(tmdbData)
-          .eq('id', existingMovie.id)
-          .select()
-          .single()
+    if (Object.keys(missingIds).length > 0) {
+      const { data: linkedMovie, error } = await supabase
+        .from('movies')
+        .update(missingIds)
+        .eq('id', existingMovie.id)
+        .select()
+        .single()
+
+      if (error) {
+        console.error(
+          `Could not link ${existingMovie.id} to ${Object.keys(missingIds).join(', ')}:`,
+          error
+        )
+        return existingMovie
+      }
 
-        if (!error) {
-          console.log(`Enriched existing movie: ${existingMovie.title}`)
-          return updatedMovie
-        }
+      // Re-enrich with the exact TMDB id when the movie is still missing its poster
+      if (missingIds.tmdb_id && !linkedMovie.poster_url) {
+        await enqueueEnrichment(linkedMovie.id)
       }
+      return linkedMovie
     }
 
     return existingMovie
   }
 
-  // Create new movie with TMDB enrichment
   console.log('Creating new movie...')
 
   const baseMovieData = {
@@ -337,20 +722,12 @@ async function upsertMovie(movieData) {
     director: movieData.director,
     letterboxd_id: movieData.externalIds.letterboxd_id,
     trakt_id: movieData.externalIds.trakt_id,
+    tmdb_id: movieData.externalIds.tmdb_id,
   }
 
-  // Try to get TMDB data for new movie
-  let tmdbData = {}
-  if (TMDB_API_KEY && movieData.title && movieData.year) {
-    tmdbData = await enrichMovieWithTMDB(movieData.title, movieData.year)
-  }
-
-  // Merge base data with TMDB data
-  const fullMovieData = { ...baseMovieData, ...tmdbData }
-
   const { data: newMovie, error } = await supabase
     .from('movies')
-    .insert(fullMovieData)
+    .insert(baseMovieData)
     .select()
     .single()
 
@@ -359,87 +736,222 @@ async function upsertMovie(movieData) {
     throw error
   }
 
-  const enrichmentStatus =
-    Object.keys(tmdbData).length > 0
-      ? ` + TMDB enriched (${Object.keys(tmdbData).join(', ')})`
-      : ' (no TMDB enrichment)'
-
-  console.log(`Created new movie: ${newMovie.id}${enrichmentStatus}`)
+  console.log(`Created new movie: ${newMovie.id} (TMDB enrichment queued)`)
   return newMovie
 }
 
+// A movie that was merged into another (see the movie_merges migration) resolves to
+// the survivor, by any of its old external ids or by its old title and year
+async function findMergedMovie(movieData) {
+  const idFilters = ['letterboxd_id', 'trakt_id', 'tmdb_id']
+    .filter(key => movieData.externalIds[key])
+    .map(key => `${key}.eq.${movieData.externalIds[key]}`)
+
+  let merge = null
+
+  if (idFilters.length > 0) {
+    const { data } = await supabase
+      .from('movie_merges')
+      .select('target_movie_id')
+      .or(idFilters.join(','))
+      .order('merged_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+    merge = data
+  }
+
+  if (!merge && movieData.title && movieData.year) {
+    const { data } = await supabase
+      .from('movie_merges')
+      .select('target_movie_id')
+      .eq('title', movieData.title)
+      .eq('year', movieData.year)
+      .order('merged_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+    merge = data
+  }
+
+  if (!merge) return null
+
+  const { data: movie } = await supabase
+    .from('movies')
+    .select('*')
+    .eq('id', merge.target_movie_id)
+    .maybeSingle()
+
+  if (movie) console.log(`Resolved merged movie to ${movie.id}`)
+  return movie
+}
+
 // [Rest of the functions remain the same - webhook handling, data extraction, etc.]
-async function handleEchoFeedWebhook(req, corsHeaders) {
+async function handleEchoFeedWebhook(req) {
+  // Read the raw body once: the signature covers the exact bytes that were sent
+  const rawBody = await req.text()
+  const verification = await verifyWebhookRequest(req, rawBody)
+
+  if (!verification.ok) {
+    console.warn(`Rejected webhook: ${verification.reason}`)
+    return errorResponse(401, 'unauthorized', 'Unauthorized', verification.reason)
+  }
+
+  let payload = null
   try {
-    const payload = await req.json()
-    console.log('EchoFeed webhook received:', JSON.stringify(payload, null, 2))
-
-    // Handle different payload structures
-    let feedItem = null
-
-    if (payload.item) {
-      // Standard format: { item: { ... } }
-      feedItem = payload.item
-    } else if (payload.id || payload.title) {
-      // Direct format: { id: ..., title: ..., ... }
-      feedItem = payload
-    } else {
-      throw new Error(
-        'No valid feed item found in webhook payload. Expected either payload.item or direct payload with id/title fields'
-      )
-    }
+    payload = JSON.parse(rawBody)
+  } catch {
+    console.error('Webhook body is not valid JSON')
+  }
 
-    const result = await processMovieFeedItem(feedItem)
+  console.log(
+    `EchoFeed webhook received (verified by ${verification.mode}):`,
+    JSON.stringify(payload, null, 2)
+  )
 
-    return new Response(
-      JSON.stringify({
-        success: true,
-        message: `Successfully processed movie: ${result.movie.title}`,
-        enriched: !!result.movie.poster_url,
-        result: result,
-      }),
-      {
-        status: 200,
-        headers: {
-          ...corsHeaders,
-          'Content-Type': 'application/json',
-        },
-      }
-    )
+  const event = await recordWebhookEvent(payload, rawBody)
+  const outcome = await processWebhookPayload(payload, event)
+
+  if (!outcome.ok) {
+    console.error('Webhook processing error:', outcome.error)
+    return errorResponse(500, 'webhook_processing_failed', 'Failed to process webhook', {
+      reason: outcome.error.message,
+      event_id: event?.id || null,
+    })
+  }
+
+  const { result } = outcome
+
+  return jsonResponse({
+    success: true,
+    message: `Successfully processed movie: ${result.movie.title} (watch ${result.status})`,
+    enriched: !!result.movie.poster_url,
+    result: result,
+    event_id: event?.id || null,
+  })
+}
+
+// Pull the feed item out of the different payload shapes EchoFeed sends
+function extractFeedItem(payload) {
+  if (!payload || typeof payload !== 'object') {
+    throw new Error('Webhook body is not a valid JSON object')
+  }
+
+  if (payload.item) {
+    // Standard format: { item: { ... } }
+    return payload.item
+  }
+
+  if (payload.id || payload.title) {
+    // Direct format: { id: ..., title: ..., ... }
+    return payload
+  }
+
+  throw new Error(
+    'No valid feed item found in webhook payload. Expected either payload.item or direct payload with id/title fields'
+  )
+}
+
+// Work out which feed a payload came from, mirroring extractMovieData's choice
+function detectFeedSource(feedItem) {
+  const { id, link, trakt_id } = feedItem
+
+  if (link && link.includes('letterboxd.com')) return 'letterboxd'
+  if (readLetterboxdFields(feedItem)) return 'letterboxd'
+  if (link && link.includes('trakt.tv')) return 'trakt'
+  if (trakt_id) return 'trakt'
+  if (typeof id === 'string' && /tag:trakt\.tv,\d+:Movie\/\d+\//.test(id)) return 'trakt'
+  return 'generic'
+}
+
+// Store the inbound webhook before processing. Logging failures must not block ingestion.
+async function recordWebhookEvent(payload, rawBody) {
+  let source = 'unknown'
+  try {
+    source = detectFeedSource(extractFeedItem(payload))
+  } catch {
+    // Unrecognised payloads are still logged so they can be inspected and replayed
+  }
+
+  const { data: event, error } = await supabase
+    .from('webhook_events')
+    .insert({
+      source,
+      status: 'pending',
+      payload,
+      raw_body: payload === null ? rawBody : null,
+    })
+    .select()
+    .single()
+
+  if (error) {
+    console.error('Error recording webhook event:', error)
+    return null
+  }
+
+  console.log(`Recorded webhook event: ${event.id}`)
+  return event
+}
+
+// Run a payload through the ingestion pipeline and record the outcome on its event
+async function processWebhookPayload(payload, event = null) {
+  const attemptedAt = new Date().toISOString()
+  let outcome
+
+  try {
+    const result = await processMovieFeedItem(extractFeedItem(payload))
+    outcome = { ok: true, result }
   } catch (error) {
-    console.error('Webhook processing error:', error)
-    return new Response(
-      JSON.stringify({
-        error: 'Failed to process webhook',
-        details: error.message,
-      }),
-      {
-        status: 500,
-        headers: {
-          ...corsHeaders,
-          'Content-Type': 'application/json',
-        },
+    outcome = { ok: false, error }
+  }
+
+  if (!event) return outcome
+
+  const update = outcome.ok
+    ? {
+        status: 'processed',
+        error_message: null,
+        movie_id: outcome.result.movie.id,
+        watch_id: outcome.result.watch.id,
+        watch_status: outcome.result.status,
+        processed_at: attemptedAt,
       }
-    )
+    : {
+        status: 'failed',
+        error_message: outcome.error.message,
+      }
+
+  const { data: updatedEvent, error } = await supabase
+    .from('webhook_events')
+    .update({ ...update, attempts: (event.attempts || 0) + 1, last_attempt_at: attemptedAt })
+    .eq('id', event.id)
+    .select()
+    .single()
+
+  if (error) {
+    console.error(`Error updating webhook event ${event.id}:`, error)
   }
+
+  return { ...outcome, event: updatedEvent || event }
 }
 
 async function processMovieFeedItem(feedItem) {
   console.log('Processing feed item:', feedItem.title)
 
   const movieData = await extractMovieData(feedItem)
-  const movie = await upsertMovie(movieData) // This now includes automatic TMDB enrichment
-  const watch = await createMovieWatch(movie.id, feedItem, movieData)
+  const movie = await upsertMovie(movieData) // New movies are queued in enrichment_jobs
+  const { watch, status } = await upsertMovieWatch(movie.id, feedItem, movieData)
+  const watchlistEntry = status === 'created' ? await fulfilWatchlist(watch.id) : null
 
   return {
     movie: movie,
     watch: watch,
+    status: status,
+    watchlist_entry: watchlistEntry,
     action: 'movie_watch_recorded',
   }
 }
 
 // [Include all the previous extraction and watch creation functions here...]
-// extractMovieData, extractLetterboxdData, extractTraktData, extractGenericData, createMovieWatch
+// extractMovieData, extractLetterboxdData, extractTraktData, extractGenericData, upsertMovieWatch
 
 async function extractMovieData(feedItem) {
   const { id, title, year, trakt_id, content, link, guid, pubDate, date } = feedItem
@@ -448,11 +960,18 @@ async function extractMovieData(feedItem) {
     title: null,
     year: null,
     director: null,
+    // Canonical 0-10 rating plus the scale and text it was parsed from
     rating: null,
+    ratingScale: null,
+    ratingRaw: null,
     review: null,
+    // Only known when the feed says so (Letterboxd namespace fields)
+    rewatch: null,
+    liked: null,
     source: 'unknown',
     sourceUrl: link,
-    watchedAt: pubDate || date || new Date().toISOString(),
+    // Null when the feed has no date; upsertMovieWatch stamps the first delivery
+    watchedAt: pubDate || date || null,
     externalIds: {},
   }
 
@@ -477,17 +996,16 @@ async function extractMovieData(feedItem) {
     `Initial extraction - raw title: "${title}", link: "${link}", has_trakt_id: ${!!movieData.externalIds.trakt_id}`
   )
 
+  // A trakt_id without a trakt.tv link still uses Trakt extraction
+  const feedSource = detectFeedSource(feedItem)
+
   let extractedData
-  if (link && link.includes('letterboxd.com')) {
+  if (feedSource === 'letterboxd') {
     console.log('Using Letterboxd extraction')
     extractedData = await extractLetterboxdData(feedItem, movieData)
-  } else if (link && link.includes('trakt.tv')) {
+  } else if (feedSource === 'trakt') {
     console.log('Using Trakt extraction')
     extractedData = await extractTraktData(feedItem, movieData)
-  } else if (movieData.externalIds.trakt_id) {
-    // If we have a trakt_id but no trakt.tv link, still use Trakt extraction
-    console.log('Using Trakt extraction (based on trakt_id)')
-    extractedData = await extractTraktData(feedItem, movieData)
   } else {
     console.log('Using generic extraction')
     extractedData = await extractGenericData(feedItem, movieData)
@@ -499,13 +1017,19 @@ async function extractMovieData(feedItem) {
   return extractedData
 }
 
+// Prefers the letterboxd:* / tmdb:* namespace fields and falls back to parsing the
+// title ("Film, 2023 - ★★★½") and description when a payload doesn't carry them
 async function extractLetterboxdData(feedItem, movieData) {
   const { title, content, link } = feedItem
+  const fields = readLetterboxdFields(feedItem)
 
   movieData.source = 'letterboxd'
 
-  // Only parse title/year from title field if not already set
-  if (!movieData.title) {
+  if (fields?.filmTitle) {
+    movieData.title = fields.filmTitle
+    movieData.year = fields.filmYear
+  } else if (!movieData.title) {
+    // Only parse title/year from title field if not already set
     const titleMatch = title.match(/^(.+?),\s*(\d{4})/)
     if (titleMatch) {
       movieData.title = titleMatch[1].trim()
@@ -515,15 +1039,36 @@ async function extractLetterboxdData(feedItem, movieData) {
     }
   }
 
+  const titleStars = parseStarRating(title)
+  if (fields?.memberRating) {
+    applyRating(movieData, {
+      rating: normalizeRating(fields.memberRating, 5),
+      scale: 5,
+      raw: titleStars?.raw || `${fields.memberRating}/5`,
+    })
+  } else {
+    // Stars are in the item title; fall back to the description
+    applyRating(movieData, titleStars || parseStarRating(content))
+  }
+
+  if (fields?.watchedDate) {
+    movieData.watchedAt = watchedAtForDate(fields.watchedDate, movieData.watchedAt)
+  }
+
+  if (fields) {
+    movieData.rewatch = fields.rewatch
+    movieData.liked = fields.liked
+  }
+
+  if (fields?.tmdbId) {
+    movieData.externalIds.tmdb_id = fields.tmdbId
+  }
+
   if (content) {
-    const ratingMatch = content.match(/★+/)
-    if (ratingMatch) {
-      movieData.rating = ratingMatch[0].length
-    }
     movieData.review = content.replace(/<[^>]*>/g, '').trim()
   }
 
-  const letterboxdMatch = link.match(/letterboxd\.com\/[^\/]+\/film\/([^\/]+)/)
+  const letterboxdMatch = link?.match(/letterboxd\.com\/[^\/]+\/film\/([^\/]+)/)
   if (letterboxdMatch) {
     movieData.externalIds.letterboxd_id = letterboxdMatch[1]
   }
@@ -551,11 +1096,7 @@ async function extractTraktData(feedItem, movieData) {
   // Extract review content from content or summary, handling HTML
   if (content) {
     movieData.review = content.replace(/<[^>]*>/g, '').trim()
-    // Check for numeric ratings in content
-    const ratingMatch = content.match(/(\d+(?:\.\d+)?)\s*\/\s*10/)
-    if (ratingMatch) {
-      movieData.rating = parseFloat(ratingMatch[1])
-    }
+    applyRating(movieData, parseRating(content))
   } else if (summary) {
     movieData.review = summary.replace(/<[^>]*>/g, '').trim()
   }
@@ -593,113 +1134,343 @@ async function extractGenericData(feedItem, movieData) {
 
   if (content) {
     movieData.review = content.replace(/<[^>]*>/g, '').trim()
+    applyRating(movieData, parseRating(content))
   }
 
   return movieData
 }
 
-async function createMovieWatch(movieId, feedItem, movieData) {
-  console.log('Creating movie watch record...')
+function applyRating(movieData, parsed) {
+  if (!parsed) return
+  movieData.rating = parsed.rating
+  movieData.ratingScale = parsed.scale
+  movieData.ratingRaw = parsed.raw
+}
+
+// Fields that decide whether a re-delivered watch actually changed
+const WATCH_COMPARE_FIELDS = [
+  'movie_id',
+  'watched_at',
+  'personal_rating',
+  'rating_scale',
+  'rating_raw',
+  'liked',
+  'review_text',
+  'source',
+  'source_url',
+]
+
+// Insert a watch, or update the existing one for the same feed item (GUID or link) and
+// day it was delivered for (delivered_on, which edits don't move). Returns the watch plus whether it was 'created', 'updated' or 'unchanged'.
+async function upsertMovieWatch(movieId, feedItem, movieData) {
+  const externalId = feedItem.guid || feedItem.link || null
+
+  let watchedAt = null
+  if (movieData.watchedAt) {
+    const watchedDate = new Date(movieData.watchedAt)
+    if (isNaN(watchedDate.getTime())) {
+      throw new Error(`Invalid watch date: ${movieData.watchedAt}`)
+    }
+    watchedAt = watchedDate.toISOString()
+  }
+
+  const watchRecord = {
+    movie_id: movieId,
+    watched_at: watchedAt || new Date().toISOString(),
+    personal_rating: movieData.rating,
+    rating_scale: movieData.ratingScale,
+    rating_raw: movieData.ratingRaw,
+    liked: movieData.liked,
+    review_text: movieData.review,
+    source: movieData.source,
+    source_url: movieData.sourceUrl,
+    external_id: externalId,
+    metadata: {
+      feed_title: feedItem.title,
+      feed_content: feedItem.content,
+      rewatch: movieData.rewatch,
+      processed_at: new Date().toISOString(),
+    },
+  }
+
+  // Without a GUID or link there is nothing to deduplicate on
+  let existingWatch = externalId ? await findWatchByExternalId(externalId, watchedAt) : null
+
+  if (!existingWatch) {
+    console.log('Creating movie watch record...')
+
+    const deliveredOn = externalId ? watchRecord.watched_at.slice(0, 10) : null
+    const { data: watch, error } = await supabase
+      .from('movie_watches')
+      .insert({ ...watchRecord, delivered_on: deliveredOn })
+      .select()
+      .single()
+
+    if (!error) {
+      console.log(`Created watch record: ${watch.id}`)
+      return { watch, status: 'created' }
+    }
+
+    // A concurrent delivery of the same item won the race; fall through to update it
+    if (error.code !== '23505') {
+      console.error('Error creating watch:', error)
+      throw error
+    }
+
+    existingWatch = await findWatchByExternalId(externalId, watchedAt)
+    if (!existingWatch) throw error
+  }
+
+  // An undated item keeps the date of the watch it matched
+  if (!watchedAt) watchRecord.watched_at = existingWatch.watched_at
+
+  // Edits made through PATCH /watches/:id win over re-delivered feed items
+  if (existingWatch.metadata?.edited_at) {
+    console.log(`Watch edited manually, keeping it: ${existingWatch.id}`)
+    return { watch: existingWatch, status: 'unchanged' }
+  }
+
+  // The feed's rewatch flag lives in metadata and decides is_rewatch
+  const changed =
+    WATCH_COMPARE_FIELDS.some(field =>
+      watchFieldChanged(field, existingWatch[field], watchRecord[field])
+    ) || (existingWatch.metadata?.rewatch ?? null) !== watchRecord.metadata.rewatch
+
+  if (!changed) {
+    console.log(`Watch unchanged: ${existingWatch.id}`)
+    return { watch: existingWatch, status: 'unchanged' }
+  }
 
   const { data: watch, error } = await supabase
     .from('movie_watches')
-    .insert({
-      movie_id: movieId,
-      watched_at: movieData.watchedAt,
-      personal_rating: movieData.rating,
-      review_text: movieData.review,
-      source: movieData.source,
-      source_url: movieData.sourceUrl,
-      external_id: feedItem.guid || feedItem.link,
-      metadata: {
-        feed_title: feedItem.title,
-        feed_content: feedItem.content,
-        processed_at: new Date().toISOString(),
-      },
-    })
+    .update(watchRecord)
+    .eq('id', existingWatch.id)
     .select()
     .single()
 
   if (error) {
-    console.error('Error creating watch:', error)
+    console.error('Error updating watch:', error)
     throw error
   }
 
-  console.log(`Created watch record: ${watch.id}`)
-  return watch
+  console.log(`Updated watch record: ${watch.id}`)
+  return { watch, status: 'updated' }
+}
+
+// The watch for a feed item delivered for the day of watchedAt. An undated item
+// matches its latest watch, whose date it then keeps.
+async function findWatchByExternalId(externalId, watchedAt) {
+  let query = supabase.from('movie_watches').select('*').eq('external_id', externalId)
+  query = watchedAt
+    ? query.eq('delivered_on', watchedAt.slice(0, 10))
+    : query.order('watched_at', { ascending: false }).limit(1)
+
+  const { data, error } = await query.maybeSingle()
+
+  if (error) throw error
+  return data
+}
+
+function watchFieldChanged(field, stored, incoming) {
+  const storedEmpty = stored === null || stored === undefined
+  const incomingEmpty = incoming === null || incoming === undefined
+  if (storedEmpty || incomingEmpty) return storedEmpty !== incomingEmpty
+
+  // Postgres returns timestamps in a different format than we send them
+  if (field === 'watched_at') return Date.parse(stored) !== Date.parse(incoming)
+
+  return String(stored) !== String(incoming)
 }
 
 // [Include the enhanced GET endpoints from the previous enhanced API...]
-async function getMovies(req, corsHeaders) {
+async function getMovies(req) {
   const url = new URL(req.url)
-  const limit = parseInt(url.searchParams.get('limit') || '50')
-  const search = url.searchParams.get('search')
-  const withPosters = url.searchParams.get('posters') === 'true'
+  const limit = parseLimit(url.searchParams.get('limit'), 50)
+  const filters = parseMovieFilters(url.searchParams)
+  const sort = parseMovieSort(url.searchParams)
+  const cursor = decodeCursor(url.searchParams.get('cursor'), sort.key, sort.type)
+  const includeTotal = url.searchParams.get('include_total') === 'true'
+  const watchEmbed = usesWatchFilters(filters) ? `, ${MATCHING_WATCHES_EMBED}` : ''
 
   let query = supabase
     .from('movies')
     .select(
       `
       *,
+      watch_count,
+      average_rating,
       movie_watches (
         id,
         watched_at,
         personal_rating,
         review_text,
         source
-      )
+      )${watchEmbed}
     `
     )
-    .order('created_at', { ascending: false })
-    .limit(limit)
+    .limit(limit + 1)
 
-  if (search) {
-    query = query.ilike('title', `%${search}%`)
-  }
+  query = orderForCursor(query, sort.column, sort.ascending)
+  query = applyMovieFilters(query, filters)
+  query = applyCursor(query, sort.column, sort.ascending, cursor)
+
+  const [{ data, error }, total] = await Promise.all([
+    query,
+    includeTotal
+      ? countRows(applyMovieFilters(countQuery('movies', `id${watchEmbed}`), filters))
+      : null,
+  ])
+
+  if (error) throw error
 
-  if (withPosters) {
-    query = query.not('poster_url', 'is', null)
+  const { page, nextCursor } = paginateRows(data, limit, sort.key, sort.column)
+
+  const enhancedMovies = page.map(
+    ({ matching_watches: _matched, search_vector: _sv, ...movie }) => ({
+      ...movie,
+      has_poster: !!movie.poster_url,
+      has_backdrop: !!movie.backdrop_url,
+    })
+  )
+
+  return jsonResponse({
+    count: enhancedMovies.length,
+    movies: enhancedMovies,
+    sort: sort.key,
+    next_cursor: nextCursor,
+    ...(includeTotal ? { total } : {}),
+  })
+}
+
+// Ranked full-text search (see the search_movies SQL function). Each result carries
+// <mark>-highlighted snippets for the fields that matched.
+async function searchMovies(req) {
+  const url = new URL(req.url)
+  const q = (url.searchParams.get('q') || '').trim()
+  if (!q) {
+    throw new HttpError(400, 'invalid_request', 'q is required')
   }
 
-  const { data, error } = await query
+  const limit = parseLimit(url.searchParams.get('limit'), 20)
+  const cursor = decodeCursor(url.searchParams.get('cursor'), 'rank', 'number')
+
+  const { data, error } = await supabase.rpc('search_movies', {
+    search_query: q,
+    result_limit: limit + 1,
+    after_rank: cursor ? cursor.value : null,
+    after_id: cursor ? cursor.id : null,
+  })
 
   if (error) throw error
 
-  const enhancedMovies = data.map(movie => ({
-    ...movie,
-    watch_count: movie.movie_watches?.length || 0,
-    has_poster: !!movie.poster_url,
-    has_backdrop: !!movie.backdrop_url,
+  const { page, nextCursor } = paginateRows(data, limit, 'rank', 'rank')
+
+  const results = page.map(row => ({
+    ...row.movie,
+    has_poster: !!row.movie.poster_url,
+    has_backdrop: !!row.movie.backdrop_url,
+    rank: row.rank,
+    matched_in: Object.keys(row.highlights),
+    highlights: row.highlights,
+    matched_watch_id: row.matched_watch_id,
   }))
 
-  return new Response(
-    JSON.stringify({
-      count: enhancedMovies.length,
-      movies: enhancedMovies,
-    }),
-    {
-      status: 200,
-      headers: {
-        ...corsHeaders,
-        'Content-Type': 'application/json',
-      },
-    }
-  )
+  return jsonResponse({
+    query: q,
+    count: results.length,
+    results,
+    next_cursor: nextCursor,
+  })
 }
 
-async function getMovieById(movieId, corsHeaders) {
-  const { data: movie, error } = await supabase
-    .from('movies')
-    .select(
-      `
-      *,
-      movie_watches (
-        id,
-        watched_at,
+function countQuery(table, columns = 'id') {
+  return supabase.from(table).select(columns, { count: 'exact', head: true })
+}
+
+async function countRows(query) {
+  const { count, error } = await query
+  if (error) throw error
+  return count
+}
+
+// Viewings oldest first, each with its rating and how it moved since the last rated
+// viewing
+function buildWatchTimeline(watches) {
+  const sorted = [...watches].sort(
+    (a, b) => Date.parse(a.watched_at) - Date.parse(b.watched_at) || a.id.localeCompare(b.id)
+  )
+
+  let previousRating = null
+  return sorted.map((watch, index) => {
+    const rating = watch.personal_rating
+    const ratingChange =
+      rating !== null && previousRating !== null
+        ? Math.round((rating - previousRating) * 10) / 10
+        : null
+    if (rating !== null) previousRating = rating
+
+    return {
+      watch_id: watch.id,
+      viewing: index + 1,
+      watched_at: watch.watched_at,
+      is_rewatch: watch.is_rewatch,
+      rating,
+      rating_change: ratingChange,
+      liked: watch.liked,
+      source: watch.source,
+    }
+  })
+}
+
+const CREW_ROLES = ['director', 'writer', 'cinematographer', 'composer']
+
+// movie_credits rows as { cast, crew }: cast in billing order, crew by role then
+// billing order, each with the person's fields alongside the credit's
+function groupCredits(rows) {
+  const credits = rows
+    .map(({ people: person, ...credit }) => ({
+      person_id: person.id,
+      tmdb_id: person.tmdb_id,
+      name: person.name,
+      profile_url: person.profile_url,
+      ...credit,
+    }))
+    .sort(
+      (a, b) =>
+        CREW_ROLES.indexOf(a.role) - CREW_ROLES.indexOf(b.role) || a.billing_order - b.billing_order
+    )
+
+  return {
+    cast: credits.filter(credit => credit.role === 'cast'),
+    crew: credits.filter(credit => credit.role !== 'cast'),
+  }
+}
+
+async function getMovieById(_req, { id: movieId }) {
+  // Any other id would fail the uuid cast (22P02); there is no such movie either way
+  if (!isUuid(movieId)) throw new HttpError(404, 'not_found', 'Movie not found')
+
+  const { data: movie, error } = await supabase
+    .from('movies')
+    .select(
+      `
+      *,
+      movie_watches (
+        id,
+        watched_at,
         personal_rating,
+        liked,
         review_text,
+        is_rewatch,
         source,
         source_url
+      ),
+      movie_credits (
+        role,
+        job,
+        character_name,
+        billing_order,
+        people (id, tmdb_id, name, profile_url)
       )
     `
     )
@@ -708,31 +1479,26 @@ async function getMovieById(movieId, corsHeaders) {
 
   if (error) {
     if (error.code === 'PGRST116') {
-      return new Response(JSON.stringify({ error: 'Movie not found' }), {
-        status: 404,
-        headers: {
-          ...corsHeaders,
-          'Content-Type': 'application/json',
-        },
-      })
+      throw new HttpError(404, 'not_found', 'Movie not found')
     }
     throw error
   }
 
-  return new Response(JSON.stringify(movie), {
-    status: 200,
-    headers: {
-      ...corsHeaders,
-      'Content-Type': 'application/json',
-    },
+  const { search_vector: _sv, movie_credits: credits, ...details } = movie
+  return jsonResponse({
+    ...details,
+    credits: groupCredits(credits),
+    timeline: buildWatchTimeline(movie.movie_watches),
   })
 }
 
-async function getWatches(req, corsHeaders) {
+async function getWatches(req) {
   const url = new URL(req.url)
-  const limit = parseInt(url.searchParams.get('limit') || '20')
+  const limit = parseLimit(url.searchParams.get('limit'), 20)
+  const cursor = decodeCursor(url.searchParams.get('cursor'), 'watched_at', 'date')
+  const includeTotal = url.searchParams.get('include_total') === 'true'
 
-  const { data, error } = await supabase
+  let query = supabase
     .from('movie_watches')
     .select(
       `
@@ -748,34 +1514,36 @@ async function getWatches(req, corsHeaders) {
       )
     `
     )
-    .order('watched_at', { ascending: false })
-    .limit(limit)
+    .limit(limit + 1)
+
+  query = orderForCursor(query, 'watched_at', false)
+  query = applyCursor(query, 'watched_at', false, cursor)
+
+  const [{ data, error }, total] = await Promise.all([
+    query,
+    includeTotal ? countRows(countQuery('movie_watches')) : null,
+  ])
 
   if (error) throw error
 
-  return new Response(JSON.stringify({ count: data.length, watches: data }), {
-    status: 200,
-    headers: {
-      ...corsHeaders,
-      'Content-Type': 'application/json',
-    },
+  const { page, nextCursor } = paginateRows(data, limit, 'watched_at', 'watched_at')
+
+  return jsonResponse({
+    count: page.length,
+    watches: page.map(({ review_search_vector: _sv, ...watch }) => watch),
+    next_cursor: nextCursor,
+    ...(includeTotal ? { total } : {}),
   })
 }
 
-async function handleCleanup(req, corsHeaders) {
-  try {
-    const { movieIds } = await req.json()
-
-    if (!movieIds || !Array.isArray(movieIds)) {
-      return new Response(JSON.stringify({ error: 'movieIds array is required' }), {
-        status: 400,
-        headers: {
-          ...corsHeaders,
-          'Content-Type': 'application/json',
-        },
-      })
-    }
+async function handleCleanup(req) {
+  const { movieIds } = await readJsonBody(req)
 
+  if (!movieIds || !Array.isArray(movieIds)) {
+    throw new HttpError(400, 'invalid_request', 'movieIds array is required')
+  }
+
+  try {
     console.log(`Cleaning up movies: ${movieIds.join(', ')}`)
 
     // First delete watch records
@@ -804,76 +1572,1899 @@ async function handleCleanup(req, corsHeaders) {
       `Deleted ${deletedWatches?.length || 0} watches and ${deletedMovies?.length || 0} movies`
     )
 
-    return new Response(
-      JSON.stringify({
-        success: true,
-        deleted: {
-          watches: deletedWatches?.length || 0,
-          movies: deletedMovies?.length || 0,
-        },
-      }),
-      {
-        headers: {
-          ...corsHeaders,
-          'Content-Type': 'application/json',
-        },
-      }
-    )
+    return jsonResponse({
+      success: true,
+      deleted: {
+        watches: deletedWatches?.length || 0,
+        movies: deletedMovies?.length || 0,
+      },
+    })
   } catch (error) {
     console.error('Cleanup error:', error)
-    return new Response(
-      JSON.stringify({
-        error: 'Cleanup failed',
-        details: error.message,
-      }),
-      {
-        status: 500,
-        headers: {
-          ...corsHeaders,
-          'Content-Type': 'application/json',
+    return errorResponse(500, 'cleanup_failed', 'Cleanup failed', error.message)
+  }
+}
+
+// Breakdowns computed by the movie_stats SQL function, selected with ?include=
+const STAT_BREAKDOWNS = [
+  'years',
+  'months',
+  'genres',
+  'directors',
+  'countries',
+  'languages',
+  'ratings',
+  'genre_ratings',
+  'rewatches',
+  'runtime',
+]
+
+function parseStatBreakdowns(value) {
+  if (!value) return []
+
+  const requested = value
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name.length > 0)
+
+  if (requested.includes('all')) return STAT_BREAKDOWNS
+
+  const unknown = requested.filter(name => !STAT_BREAKDOWNS.includes(name))
+  if (unknown.length > 0) {
+    throw new HttpError(400, 'invalid_request', `Unknown stats breakdown: ${unknown.join(', ')}`, {
+      allowed: [...STAT_BREAKDOWNS, 'all'],
+    })
+  }
+
+  return requested
+}
+
+async function getMovieStats(req) {
+  const url = new URL(req.url)
+  const breakdowns = parseStatBreakdowns(url.searchParams.get('include'))
+  const top = url.searchParams.get('top') || '10'
+
+  if (!/^\d+$/.test(top) || parseInt(top) < 1 || parseInt(top) > 100) {
+    throw new HttpError(400, 'invalid_request', 'top must be an integer between 1 and 100')
+  }
+
+  const { data, error } = await supabase.rpc('movie_stats', {
+    breakdowns,
+    top_limit: parseInt(top),
+  })
+
+  if (error) throw error
+
+  return jsonResponse(data)
+}
+
+// Year-in-review summary (see the year_review SQL function)
+// The year of the oldest surviving film; anything earlier can't have a watch
+const FIRST_REVIEW_YEAR = 1874
+
+async function getYearReview(_req, { year }) {
+  const lastYear = new Date().getUTCFullYear() + 1
+  const reviewYear = /^\d{4}$/.test(year) ? parseInt(year) : NaN
+
+  if (!(reviewYear >= FIRST_REVIEW_YEAR && reviewYear <= lastYear)) {
+    throw new HttpError(
+      400,
+      'invalid_request',
+      `year must be between ${FIRST_REVIEW_YEAR} and ${lastYear}`
+    )
+  }
+
+  const { data, error } = await supabase.rpc('year_review', { review_year: reviewYear })
+
+  if (error) throw error
+
+  if (!data) {
+    throw new HttpError(404, 'not_found', `No watches recorded in ${year}`)
+  }
+
+  return jsonResponse(data)
+}
+
+// People
+const PERSON_ROLES = ['director', 'cast', 'writer', 'cinematographer', 'composer']
+const TOP_PEOPLE_SORTS = ['films', 'viewings', 'rating']
+
+function averageOf(values) {
+  if (values.length === 0) return null
+  return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100
+}
+
+// movie_credits rows (with the movie and its watches) as one entry per film, newest
+// release first. Someone who both wrote and directed a film has both roles on it.
+function buildFilmography(credits) {
+  const films = new Map()
+
+  for (const { movies: movie, ...credit } of credits) {
+    if (!films.has(movie.id)) {
+      const watches = movie.movie_watches
+        .map(watch => ({
+          watch_id: watch.id,
+          watched_at: watch.watched_at,
+          rating: watch.personal_rating,
+          liked: watch.liked,
+        }))
+        .sort((a, b) => Date.parse(a.watched_at) - Date.parse(b.watched_at))
+
+      films.set(movie.id, {
+        movie: {
+          id: movie.id,
+          title: movie.title,
+          year: movie.year,
+          release_date: movie.release_date,
+          poster_url: movie.poster_url,
         },
-      }
+        roles: [],
+        watch_count: watches.length,
+        average_rating: averageOf(
+          watches.map(watch => watch.rating).filter(rating => rating !== null)
+        ),
+        last_watched_at: watches[watches.length - 1].watched_at,
+        watches,
+      })
+    }
+
+    films.get(movie.id).roles.push(credit)
+  }
+
+  return [...films.values()].sort(
+    (a, b) =>
+      (b.movie.year ?? 0) - (a.movie.year ?? 0) || a.movie.title.localeCompare(b.movie.title)
+  )
+}
+
+async function getPerson(_req, { id: personId }) {
+  if (!isUuid(personId)) throw new HttpError(404, 'not_found', 'Person not found')
+
+  const { data: person, error } = await supabase
+    .from('people')
+    .select('*')
+    .eq('id', personId)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!person) {
+    throw new HttpError(404, 'not_found', 'Person not found')
+  }
+
+  // Only credits on movies with at least one watch
+  const { data: credits, error: creditsError } = await supabase
+    .from('movie_credits')
+    .select(
+      `
+      role,
+      job,
+      character_name,
+      billing_order,
+      movies!inner (
+        id,
+        title,
+        year,
+        release_date,
+        poster_url,
+        movie_watches!inner (id, watched_at, personal_rating, liked)
+      )
+    `
+    )
+    .eq('person_id', personId)
+
+  if (creditsError) throw creditsError
+
+  const filmography = buildFilmography(credits)
+
+  return jsonResponse({
+    ...person,
+    summary: {
+      films_watched: filmography.length,
+      total_viewings: filmography.reduce((sum, film) => sum + film.watch_count, 0),
+      // Each film's average counts once, as in GET /people/top
+      average_rating: averageOf(
+        filmography.map(film => film.average_rating).filter(rating => rating !== null)
+      ),
+    },
+    filmography,
+  })
+}
+
+// People in one role ranked by films watched, viewings or average rating (see the
+// top_people SQL function)
+async function getTopPeople(req) {
+  const url = new URL(req.url)
+  const role = url.searchParams.get('role') || 'director'
+  const sort = url.searchParams.get('sort') || 'films'
+  const minFilms = url.searchParams.get('min_films') || '2'
+  const limit = parseLimit(url.searchParams.get('limit'), 20)
+
+  if (!PERSON_ROLES.includes(role)) {
+    throw new HttpError(400, 'invalid_request', `role must be one of: ${PERSON_ROLES.join(', ')}`)
+  }
+  if (!TOP_PEOPLE_SORTS.includes(sort)) {
+    throw new HttpError(
+      400,
+      'invalid_request',
+      `sort must be one of: ${TOP_PEOPLE_SORTS.join(', ')}`
     )
   }
+  if (!/^\d+$/.test(minFilms) || parseInt(minFilms) < 1) {
+    throw new HttpError(400, 'invalid_request', 'min_films must be a positive integer')
+  }
+
+  const { data: people, error } = await supabase.rpc('top_people', {
+    person_role: role,
+    min_films: parseInt(minFilms),
+    sort_by: sort,
+    result_limit: limit,
+  })
+
+  if (error) throw error
+
+  return jsonResponse({ role, sort, min_films: parseInt(minFilms), count: people.length, people })
 }
 
-async function getMovieStats(corsHeaders) {
-  const { data: movieCount } = await supabase.from('movies').select('id', { count: 'exact' })
+// Collections
+const COLLECTION_STATUSES = ['complete', 'incomplete']
+
+// A collection_progress row with its parts sorted into watched, missing (released but
+// not watched) and upcoming (not released yet), each in release order
+function summarizeCollection({ parts, ...collection }) {
+  const summarize = part => ({
+    tmdb_id: part.tmdb_id,
+    title: part.title,
+    release_date: part.release_date,
+    poster_url: part.poster_url,
+    movie_id: part.movie_id,
+  })
 
-  const { data: watchCount } = await supabase.from('movie_watches').select('id', { count: 'exact' })
+  return {
+    ...collection,
+    watched: parts.filter(part => part.watched).map(summarize),
+    missing: parts.filter(part => part.released && !part.watched).map(summarize),
+    upcoming: parts.filter(part => !part.released).map(summarize),
+  }
+}
 
-  const { data: moviesWithPosters } = await supabase
-    .from('movies')
-    .select('id', { count: 'exact' })
-    .not('poster_url', 'is', null)
+// Collections by completion, most complete first (see the collection_progress SQL
+// function)
+async function getCollections(req) {
+  const url = new URL(req.url)
+  const status = url.searchParams.get('status')
+  const limit = parseLimit(url.searchParams.get('limit'), 50, 200)
+
+  if (status && !COLLECTION_STATUSES.includes(status)) {
+    throw new HttpError(
+      400,
+      'invalid_request',
+      `status must be one of: ${COLLECTION_STATUSES.join(', ')}`
+    )
+  }
 
-  const { data: avgRating } = await supabase
-    .from('movie_watches')
-    .select('personal_rating')
-    .not('personal_rating', 'is', null)
-
-  const avgRatingValue =
-    avgRating.length > 0
-      ? avgRating.reduce((sum, w) => sum + w.personal_rating, 0) / avgRating.length
-      : 0
-
-  return new Response(
-    JSON.stringify({
-      total_movies: movieCount?.length || 0,
-      total_watches: watchCount?.length || 0,
-      movies_with_posters: moviesWithPosters?.length || 0,
-      poster_coverage:
-        movieCount?.length > 0
-          ? Math.round(((moviesWithPosters?.length || 0) / movieCount.length) * 100)
-          : 0,
-      average_rating: Math.round(avgRatingValue * 10) / 10,
-    }),
-    {
-      status: 200,
-      headers: {
-        ...corsHeaders,
-        'Content-Type': 'application/json',
-      },
-    }
+  const { data, error } = await supabase.rpc('collection_progress', {
+    completion_status: status,
+    result_limit: limit,
+  })
+
+  if (error) throw error
+
+  return jsonResponse({ count: data.length, collections: data.map(summarizeCollection) })
+}
+
+// One collection summarized as in the list, plus every part in release order with its
+// watch data
+async function getCollection(_req, { id: collectionId }) {
+  if (!isUuid(collectionId)) throw new HttpError(404, 'not_found', 'Collection not found')
+
+  const { data, error } = await supabase.rpc('collection_progress', {
+    for_collection: collectionId,
+    result_limit: 1,
+  })
+
+  if (error) throw error
+  if (!data?.length) {
+    throw new HttpError(404, 'not_found', 'Collection not found')
+  }
+
+  return jsonResponse({ ...summarizeCollection(data[0]), parts: data[0].parts })
+}
+
+// Webhook event log
+const WEBHOOK_EVENT_STATUSES = ['pending', 'processed', 'failed']
+const WEBHOOK_EVENT_LIST_COLUMNS =
+  'id, received_at, source, status, error_message, movie_id, watch_id, watch_status, attempts, last_attempt_at, processed_at'
+
+async function getWebhookEvents(req) {
+  const url = new URL(req.url)
+  const limit = parseLimit(url.searchParams.get('limit'), 50, 200)
+  const status = url.searchParams.get('status')
+  const source = url.searchParams.get('source')
+  const includePayload = url.searchParams.get('payload') === 'true'
+
+  if (status && !WEBHOOK_EVENT_STATUSES.includes(status)) {
+    throw new HttpError(
+      400,
+      'invalid_request',
+      `status must be one of: ${WEBHOOK_EVENT_STATUSES.join(', ')}`
+    )
+  }
+
+  let query = supabase
+    .from('webhook_events')
+    .select(includePayload ? '*' : WEBHOOK_EVENT_LIST_COLUMNS)
+    .order('received_at', { ascending: false })
+    .limit(limit)
+
+  if (status) {
+    query = query.eq('status', status)
+  }
+
+  if (source) {
+    query = query.eq('source', source)
+  }
+
+  const { data, error } = await query
+
+  if (error) throw error
+
+  return jsonResponse({ count: data.length, events: data })
+}
+
+async function findWebhookEvent(eventId) {
+  if (!isUuid(eventId)) return null
+
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .select('*')
+    .eq('id', eventId)
+    .maybeSingle()
+
+  if (error) throw error
+  return data
+}
+
+async function getWebhookEvent(_req, { id: eventId }) {
+  const event = await findWebhookEvent(eventId)
+
+  if (!event) {
+    throw new HttpError(404, 'not_found', 'Webhook event not found')
+  }
+
+  return jsonResponse(event)
+}
+
+// Re-run one stored event through the pipeline (e.g. after fixing a parser bug)
+async function replayWebhookEvent(_req, { id: eventId }) {
+  const event = await findWebhookEvent(eventId)
+
+  if (!event) {
+    throw new HttpError(404, 'not_found', 'Webhook event not found')
+  }
+
+  console.log(`Replaying webhook event: ${event.id}`)
+  const outcome = await processWebhookPayload(event.payload, event)
+
+  if (!outcome.ok) {
+    return errorResponse(500, 'replay_failed', 'Replay failed', {
+      reason: outcome.error.message,
+      event: outcome.event,
+    })
+  }
+
+  return jsonResponse({
+    success: true,
+    event: outcome.event,
+    result: outcome.result,
+  })
+}
+
+const REPLAY_FIELDS = ['ids', 'status', 'limit']
+
+// Replay several events: explicit { ids } or the oldest events with { status } (default failed)
+async function replayWebhookEvents(req) {
+  // An empty body replays failed events
+  const body = requireFields(await readJsonBody(req, { allowEmpty: true }), REPLAY_FIELDS)
+
+  const { ids, status = 'failed' } = body
+  const limit = parseLimit(body.limit === undefined ? null : String(body.limit), 50, 200)
+
+  if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0)) {
+    throw new HttpError(400, 'invalid_request', 'ids must be a non-empty array')
+  }
+
+  const malformed = ids ? ids.filter(id => !isUuid(id)) : []
+  if (malformed.length > 0) {
+    throw new HttpError(400, 'invalid_request', 'ids must be webhook event ids', {
+      invalid: malformed,
+    })
+  }
+
+  if (!ids && !WEBHOOK_EVENT_STATUSES.includes(status)) {
+    throw new HttpError(
+      400,
+      'invalid_request',
+      `status must be one of: ${WEBHOOK_EVENT_STATUSES.join(', ')}`
+    )
+  }
+
+  let query = supabase.from('webhook_events').select('*').order('received_at', { ascending: true })
+
+  query = ids ? query.in('id', ids.slice(0, 200)) : query.eq('status', status).limit(limit)
+
+  const { data: events, error } = await query
+
+  if (error) throw error
+
+  console.log(`Replaying ${events.length} webhook events`)
+
+  // Sequential so replays of the same movie don't race each other
+  const results = []
+  for (const event of events) {
+    const outcome = await processWebhookPayload(event.payload, event)
+    results.push({
+      id: event.id,
+      status: outcome.event.status,
+      watch_status: outcome.ok ? outcome.result.status : null,
+      error: outcome.ok ? null : outcome.error.message,
+    })
+  }
+
+  const succeeded = results.filter(result => !result.error).length
+
+  return jsonResponse({
+    replayed: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results,
+  })
+}
+
+// Feed poller: a second ingestion path that reads RSS/Atom feeds directly
+// Comma-separated feed URLs; each gets a row in `feeds` holding its poll state
+const FEED_URLS = (Deno.env.get('FEED_URLS') || '')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean)
+const FEED_LIST_COLUMNS =
+  'id, url, enabled, title, last_item_at, last_polled_at, last_success_at, last_status, last_error, items_ingested, created_at'
+
+// Add rows for newly configured URLs; existing rows and their state are left alone
+async function syncConfiguredFeeds() {
+  if (FEED_URLS.length === 0) return
+
+  const { error } = await supabase.from('feeds').upsert(
+    FEED_URLS.map(url => ({ url })),
+    { onConflict: 'url', ignoreDuplicates: true }
   )
+
+  if (error) throw error
+}
+
+async function getFeeds() {
+  await syncConfiguredFeeds()
+
+  const { data, error } = await supabase
+    .from('feeds')
+    .select(FEED_LIST_COLUMNS)
+    .order('created_at', { ascending: true })
+
+  if (error) throw error
+
+  return jsonResponse({ count: data.length, feeds: data })
+}
+
+// Poll every enabled feed, or just ?feed=<id>. Called on a schedule (see the README).
+async function pollFeeds(req) {
+  const url = new URL(req.url)
+  const feedId = url.searchParams.get('feed')
+
+  if (feedId !== null && !isUuid(feedId)) {
+    throw new HttpError(400, 'invalid_request', 'feed must be a feed id')
+  }
+
+  await syncConfiguredFeeds()
+
+  let query = supabase.from('feeds').select('*').order('created_at', { ascending: true })
+  query = feedId ? query.eq('id', feedId) : query.eq('enabled', true)
+
+  const { data: feeds, error } = await query
+
+  if (error) throw error
+
+  if (feedId && feeds.length === 0) {
+    throw new HttpError(404, 'not_found', 'Feed not found')
+  }
+
+  // Sequential so items for the same movie in different feeds don't race each other
+  const results = []
+  for (const feed of feeds) {
+    results.push(await pollFeed(feed))
+  }
+
+  return jsonResponse({
+    polled: results.length,
+    failed: results.filter(result => result.status === 'failed').length,
+    results,
+  })
+}
+
+// Fetch one feed and run its new items through the webhook pipeline. The cursor
+// (last_item_at) only moves past items that were ingested, so a failed item and
+// everything after it is retried on the next poll.
+async function pollFeed(feed) {
+  const polledAt = new Date().toISOString()
+  const result = {
+    feed_id: feed.id,
+    url: feed.url,
+    status: 'ok',
+    items: 0,
+    ingested: 0,
+    skipped: 0,
+    failed: 0,
+    error: null,
+  }
+  let update = {}
+
+  try {
+    const fetched = await fetchFeed(feed.url, feed)
+
+    if (fetched.status === 'not_modified') {
+      result.status = 'not_modified'
+      update = { last_status: 'not_modified', last_error: null, last_success_at: polledAt }
+    } else {
+      const cursor = feed.last_item_at ? Date.parse(feed.last_item_at) : null
+      const items = fetched.feed.items
+        .map(item => ({ item, publishedAt: itemPublishedAt(item) }))
+        .sort((a, b) => (a.publishedAt ?? 0) - (b.publishedAt ?? 0))
+
+      result.items = items.length
+      let lastItemAt = cursor
+      let firstError = null
+
+      for (const { item, publishedAt } of items) {
+        // Undated items are always processed; ingestion is idempotent
+        if (cursor !== null && publishedAt !== null && publishedAt <= cursor) {
+          result.skipped++
+          continue
+        }
+
+        try {
+          await processMovieFeedItem(item)
+          result.ingested++
+          if (!firstError && publishedAt !== null) lastItemAt = publishedAt
+        } catch (error) {
+          console.error(`Feed item failed (${feed.url}): ${error.message}`)
+          result.failed++
+          firstError ??= `${item.title || item.guid || 'Feed item'}: ${error.message}`
+        }
+      }
+
+      result.status = firstError ? 'failed' : 'ok'
+      result.error = firstError
+      update = {
+        title: fetched.feed.title || feed.title,
+        last_item_at: lastItemAt === null ? null : new Date(lastItemAt).toISOString(),
+        last_status: result.status,
+        last_error: firstError,
+        items_ingested: (feed.items_ingested || 0) + result.ingested,
+      }
+
+      // Keep the old validators after a failure so the next poll gets the items again
+      if (!firstError) {
+        Object.assign(update, {
+          etag: fetched.etag,
+          last_modified: fetched.lastModified,
+          last_success_at: polledAt,
+        })
+      }
+    }
+  } catch (error) {
+    console.error(`Feed poll failed (${feed.url}): ${error.message}`)
+    result.status = 'failed'
+    result.error = error.message
+    update = { last_status: 'failed', last_error: error.message }
+  }
+
+  const { error } = await supabase
+    .from('feeds')
+    .update({ ...update, last_polled_at: polledAt })
+    .eq('id', feed.id)
+
+  if (error) {
+    console.error(`Error updating feed ${feed.id}:`, error)
+  }
+
+  return result
+}
+
+// TMDB enrichment queue
+const ENRICHMENT_JOB_STATUSES = [
+  'pending',
+  'running',
+  'succeeded',
+  'no_match',
+  'needs_review',
+  'duplicate',
+  'failed',
+]
+
+async function enqueueEnrichment(movieId) {
+  const { error } = await supabase.rpc('enqueue_enrichment_job', { job_movie_id: movieId })
+
+  if (error) {
+    // The movie is saved either way; the job can be queued again with a retry
+    console.error(`Error queueing enrichment for ${movieId}:`, error)
+  }
+}
+
+async function getEnrichmentJobs(req) {
+  const url = new URL(req.url)
+  const limit = parseLimit(url.searchParams.get('limit'), 50, 200)
+  const status = url.searchParams.get('status')
+
+  if (status && !ENRICHMENT_JOB_STATUSES.includes(status)) {
+    throw new HttpError(
+      400,
+      'invalid_request',
+      `status must be one of: ${ENRICHMENT_JOB_STATUSES.join(', ')}`
+    )
+  }
+
+  let query = supabase
+    .from('enrichment_jobs')
+    .select('*, movies (id, title, year, tmdb_id, poster_url)')
+    .order('updated_at', { ascending: false })
+    .limit(limit)
+
+  if (status) {
+    query = query.eq('status', status)
+  }
+
+  const { data, error } = await query
+
+  if (error) throw error
+
+  return jsonResponse({ count: data.length, jobs: data })
+}
+
+// Queue a finished (usually failed) job again with a fresh set of attempts
+async function retryEnrichmentJob(_req, { id: jobId }) {
+  if (!isUuid(jobId)) throw new HttpError(404, 'not_found', 'Enrichment job not found')
+
+  const { data: job, error } = await supabase
+    .from('enrichment_jobs')
+    .select('id, status')
+    .eq('id', jobId)
+    .maybeSingle()
+
+  if (error) throw error
+
+  if (!job) {
+    throw new HttpError(404, 'not_found', 'Enrichment job not found')
+  }
+
+  const { data: retried, error: retryError } = await supabase
+    .rpc('retry_enrichment_job', { job_id: jobId })
+    .maybeSingle()
+
+  if (retryError) throw retryError
+
+  if (!retried?.id) {
+    throw new HttpError(409, 'job_in_progress', 'The movie already has a queued enrichment job', {
+      status: job.status,
+    })
+  }
+
+  return jsonResponse({ success: true, job: retried })
+}
+
+// Drain due jobs. Called on a schedule (see the README); ?limit= caps the batch.
+async function runEnrichmentJobs(req) {
+  if (!TMDB_API_KEY) {
+    throw new HttpError(503, 'enrichment_unavailable', 'TMDB_API_KEY is not configured')
+  }
+
+  const url = new URL(req.url)
+  const limit = parseLimit(url.searchParams.get('limit'), 10, 50)
+  // ?cache=bypass asks TMDB again instead of using cached responses
+  const cacheOptions = { bypassCache: url.searchParams.get('cache') === 'bypass' }
+  // The client's counters cover the isolate's lifetime; this run is the difference
+  const { cacheHits, cacheMisses } = tmdb.stats
+
+  const { data: jobs, error } = await supabase.rpc('claim_enrichment_jobs', { batch_size: limit })
+
+  if (error) throw error
+
+  console.log(`Running ${jobs.length} enrichment jobs`)
+
+  const results = []
+  for (const job of jobs) {
+    results.push(await runEnrichmentJob(job, cacheOptions))
+  }
+
+  const count = status => results.filter(result => result.status === status).length
+
+  return jsonResponse({
+    claimed: results.length,
+    succeeded: count('succeeded'),
+    no_match: count('no_match'),
+    needs_review: count('needs_review'),
+    duplicate: count('duplicate'),
+    retrying: count('pending'),
+    failed: count('failed'),
+    cache: { hits: tmdb.stats.cacheHits - cacheHits, misses: tmdb.stats.cacheMisses - cacheMisses },
+    results,
+  })
+}
+
+async function runEnrichmentJob(job, cacheOptions = {}) {
+  let finished
+
+  try {
+    const { data: movie, error } = await supabase
+      .from('movies')
+      .select('id, title, year, director, tmdb_id')
+      .eq('id', job.movie_id)
+      .single()
+
+    if (error) throw error
+
+    const match = await matchMovieWithTMDB(movie, cacheOptions)
+    let outcome = match.outcome === 'matched' ? 'succeeded' : match.outcome
+    let duplicateOf = null
+
+    if (match.outcome === 'matched') {
+      const { error: updateError } = await supabase
+        .from('movies')
+        .update(match.data)
+        .eq('id', movie.id)
+
+      // Another movie already has this TMDB id: a duplicate to merge, not a retry
+      if (updateError?.code === '23505' && match.data.tmdb_id !== movie.tmdb_id) {
+        const { data: owner, error: ownerError } = await supabase
+          .from('movies')
+          .select('id')
+          .eq('tmdb_id', match.data.tmdb_id)
+          .single()
+
+        if (ownerError) throw ownerError
+        console.log(`${movie.title} matches TMDB ${match.data.tmdb_id}, already on ${owner.id}`)
+        outcome = 'duplicate'
+        duplicateOf = owner.id
+      } else if (updateError) {
+        throw updateError
+      }
+    }
+
+    if (outcome === 'succeeded') {
+      await saveTMDBRelations(movie.id, match.details, cacheOptions)
+
+      // Candidates left from an earlier review are settled by the match
+      const { error: resolveError } = await supabase.rpc('resolve_tmdb_candidates', {
+        candidate_movie_id: movie.id,
+        accepted_tmdb_id: match.data.tmdb_id,
+      })
+
+      if (resolveError) throw resolveError
+    }
+
+    if (match.outcome === 'needs_review') {
+      const { error: queueError } = await supabase.rpc('queue_tmdb_candidates', {
+        candidate_movie_id: movie.id,
+        candidates: match.candidates.map(candidateRow),
+      })
+
+      if (queueError) throw queueError
+    }
+
+    const { data, error: completeError } = await supabase
+      .rpc('complete_enrichment_job', { job_id: job.id, outcome, duplicate_of: duplicateOf })
+      .single()
+
+    if (completeError) throw completeError
+    finished = data
+  } catch (error) {
+    console.error(`Enrichment job ${job.id} failed: ${error.message}`)
+
+    const { data, error: failError } = await supabase
+      .rpc('fail_enrichment_job', { job_id: job.id, error_message: error.message })
+      .single()
+
+    if (failError) {
+      console.error(`Error recording failure for job ${job.id}:`, failError)
+    }
+    finished = data || { ...job, last_error: error.message }
+  }
+
+  return {
+    id: job.id,
+    movie_id: job.movie_id,
+    status: finished.status,
+    attempts: finished.attempts,
+    run_after: finished.run_after,
+    error: finished.last_error,
+  }
+}
+
+// TMDB match review queue: movies whose best TMDB match wasn't confident enough
+
+// A scored candidate as a tmdb_match_candidates row
+function candidateRow(candidate, index) {
+  return {
+    tmdb_id: candidate.tmdb_id.toString(),
+    rank: index + 1,
+    score: candidate.score,
+    score_breakdown: candidate.breakdown,
+    title: candidate.title,
+    original_title: candidate.original_title,
+    release_year: candidate.year,
+    popularity: candidate.popularity,
+    poster_url: tmdb.posterUrl(candidate.poster_path),
+  }
+}
+
+// Movies with pending candidates, each with its candidates best first
+async function getTmdbMatches(req) {
+  const url = new URL(req.url)
+  const limit = parseLimit(url.searchParams.get('limit'), 50, 200)
+
+  const { data, error } = await supabase
+    .from('movies')
+    .select('id, title, year, director, tmdb_id, tmdb_match_candidates!inner (*)')
+    .eq('tmdb_match_candidates.status', 'pending')
+    .order('created_at', { ascending: false })
+    .limit(limit)
+
+  if (error) throw error
+
+  const matches = data.map(({ tmdb_match_candidates: candidates, ...movie }) => ({
+    movie,
+    candidates: candidates.sort((a, b) => a.rank - b.rank),
+  }))
+
+  return jsonResponse({ count: matches.length, matches })
+}
+
+async function findPendingCandidates(movieId) {
+  if (!isUuid(movieId)) {
+    throw new HttpError(404, 'not_found', 'No pending TMDB match for this movie')
+  }
+
+  const { data, error } = await supabase
+    .from('tmdb_match_candidates')
+    .select('tmdb_id')
+    .eq('movie_id', movieId)
+    .eq('status', 'pending')
+
+  if (error) throw error
+
+  if (data.length === 0) {
+    throw new HttpError(404, 'not_found', 'No pending TMDB match for this movie')
+  }
+
+  return data
+}
+
+// Apply one of a movie's pending candidates: { tmdb_id }
+async function acceptTmdbMatch(req, { id: movieId }) {
+  const { tmdb_id: tmdbId } = await readJsonBody(req)
+
+  if (!tmdbId) {
+    throw new HttpError(400, 'invalid_request', 'tmdb_id is required')
+  }
+
+  const candidates = await findPendingCandidates(movieId)
+
+  if (!candidates.some(candidate => candidate.tmdb_id === tmdbId.toString())) {
+    throw new HttpError(400, 'invalid_request', 'tmdb_id is not one of the pending candidates', {
+      candidates: candidates.map(candidate => candidate.tmdb_id),
+    })
+  }
+
+  const tmdbDetails = await requireTMDBDetails(tmdbId)
+
+  const { data: movie, error } = await supabase
+    .from('movies')
+    .update(extractTMDBData(tmdbDetails))
+    .eq('id', movieId)
+    .select()
+    .single()
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new HttpError(409, 'tmdb_id_in_use', 'Another movie is already linked to this TMDB id')
+    }
+    throw error
+  }
+
+  await saveTMDBRelations(movieId, tmdbDetails)
+
+  const { data: resolved, error: resolveError } = await supabase.rpc('resolve_tmdb_candidates', {
+    candidate_movie_id: movieId,
+    accepted_tmdb_id: movie.tmdb_id,
+  })
+
+  if (resolveError) throw resolveError
+
+  return jsonResponse({ success: true, movie, candidates: resolved })
+}
+
+// None of the candidates is right: reject them all and leave the movie unmatched
+async function rejectTmdbMatches(_req, { id: movieId }) {
+  await findPendingCandidates(movieId)
+
+  const { data: resolved, error } = await supabase.rpc('resolve_tmdb_candidates', {
+    candidate_movie_id: movieId,
+  })
+
+  if (error) throw error
+
+  return jsonResponse({ success: true, candidates: resolved })
+}
+
+// Re-linking and refreshing TMDB data
+// Accepts a TMDB id or a themoviedb.org movie URL
+function parseTMDBId(value) {
+  if (typeof value === 'number' && Number.isInteger(value) && value > 0) {
+    return value.toString()
+  }
+  if (typeof value !== 'string') return null
+
+  const input = value.trim()
+  if (/^\d+$/.test(input)) return input
+
+  const match = input.match(/^(?:https?:\/\/)?(?:www\.)?themoviedb\.org\/movie\/(\d+)/i)
+  return match ? match[1] : null
+}
+
+async function findMovieForTMDB(movieId) {
+  if (!isUuid(movieId)) throw new HttpError(404, 'not_found', 'Movie not found')
+
+  const { data: movie, error } = await supabase
+    .from('movies')
+    .select('id, title, year, tmdb_id')
+    .eq('id', movieId)
+    .maybeSingle()
+
+  if (error) throw error
+
+  if (!movie) {
+    throw new HttpError(404, 'not_found', 'Movie not found')
+  }
+
+  return movie
+}
+
+// Overwrite the movie's TMDB fields and settle any match review for it
+async function applyTMDBDetails(movieId, tmdbDetails, cacheOptions = {}) {
+  const { data: movie, error } = await supabase
+    .from('movies')
+    .update(replaceTMDBData(tmdbDetails))
+    .eq('id', movieId)
+    .select()
+    .single()
+
+  if (error) throw error
+
+  await saveTMDBRelations(movieId, tmdbDetails, cacheOptions)
+
+  const { error: resolveError } = await supabase.rpc('resolve_tmdb_candidates', {
+    candidate_movie_id: movieId,
+    accepted_tmdb_id: movie.tmdb_id,
+  })
+
+  if (resolveError) throw resolveError
+
+  const { search_vector: _sv, ...details } = movie
+  return details
+}
+
+// Link the movie to { tmdb_id } (an id or TMDB URL). When another movie already has
+// that TMDB id the request fails with 409 unless it sets "merge": true, in which case
+// this movie is merged into the other one (see the merge_movies migration).
+async function relinkMovieTMDB(req, { id: movieId }) {
+  const body = await readJsonBody(req)
+  const tmdbId = parseTMDBId(body.tmdb_id)
+
+  if (!tmdbId) {
+    throw new HttpError(400, 'invalid_request', 'tmdb_id must be a TMDB movie id or URL')
+  }
+
+  const movie = await findMovieForTMDB(movieId)
+
+  const { data: owner, error } = await supabase
+    .from('movies')
+    .select('id, title, year')
+    .eq('tmdb_id', tmdbId)
+    .neq('id', movie.id)
+    .maybeSingle()
+
+  if (error) throw error
+
+  if (owner && body.merge !== true) {
+    throw new HttpError(
+      409,
+      'tmdb_id_in_use',
+      `${owner.title} is already linked to TMDB movie ${tmdbId}`,
+      {
+        movie: owner,
+        merge: 'Send the request again with "merge": true to merge this movie into it',
+      }
+    )
+  }
+
+  // Fetched before merging, so a bad id leaves both movies untouched
+  const tmdbDetails = await requireTMDBDetails(tmdbId)
+
+  if (owner) {
+    const { error: mergeError } = await supabase.rpc('merge_movies', {
+      source_movie_id: movie.id,
+      target_movie_id: owner.id,
+      merge_reason: 'tmdb_relink',
+    })
+
+    if (mergeError) throw mergeError
+    console.log(`Merged ${movie.title} (${movie.id}) into ${owner.title} (${owner.id})`)
+  }
+
+  const updated = await applyTMDBDetails(owner ? owner.id : movie.id, tmdbDetails)
+  console.log(`Linked ${updated.title} to TMDB movie ${tmdbId} (was ${movie.tmdb_id})`)
+
+  return jsonResponse({
+    success: true,
+    movie: updated,
+    previous_tmdb_id: movie.tmdb_id,
+    merged_from: owner ? movie.id : null,
+  })
+}
+
+// Re-fetch TMDB metadata for the movie's current TMDB id, bypassing the cache
+async function refreshMovieTMDB(_req, { id: movieId }) {
+  const movie = await findMovieForTMDB(movieId)
+
+  if (!movie.tmdb_id) {
+    throw new HttpError(
+      409,
+      'not_linked',
+      'Movie has no TMDB id; link one with PUT /movies/movie/{id}/tmdb'
+    )
+  }
+
+  // A refresh always asks TMDB, and the fresh response replaces the cached one
+  const cacheOptions = { bypassCache: true }
+  const tmdbDetails = await requireTMDBDetails(movie.tmdb_id, cacheOptions)
+
+  return jsonResponse({
+    success: true,
+    movie: await applyTMDBDetails(movie.id, tmdbDetails, cacheOptions),
+  })
+}
+
+// Manual watch logging and editing
+const MOVIE_INPUT_FIELDS = ['movie_id', 'tmdb_id', 'title', 'year']
+
+// The movie for a manual watch, a watchlist entry or a list item: by id, by TMDB id
+// (created from TMDB details when we don't have it yet) or by title and year (created
+// and queued for enrichment)
+async function resolveMovieInput(body) {
+  if (body.movie_id !== undefined) {
+    if (!isUuid(body.movie_id)) {
+      throw new HttpError(400, 'invalid_request', 'movie_id must be a movie id')
+    }
+
+    const { data: movie, error } = await supabase
+      .from('movies')
+      .select('*')
+      .eq('id', body.movie_id)
+      .maybeSingle()
+
+    if (error) throw error
+    if (!movie) throw new HttpError(404, 'not_found', 'Movie not found')
+    return movie
+  }
+
+  if (body.tmdb_id !== undefined) {
+    const tmdbId = parseTMDBId(body.tmdb_id)
+    if (!tmdbId) {
+      throw new HttpError(400, 'invalid_request', 'tmdb_id must be a TMDB movie id or URL')
+    }
+
+    const { data: existing, error } = await supabase
+      .from('movies')
+      .select('*')
+      .eq('tmdb_id', tmdbId)
+      .maybeSingle()
+
+    if (error) throw error
+    if (existing) return existing
+
+    const tmdbDetails = await requireTMDBDetails(tmdbId)
+    const { data: movie, error: insertError } = await supabase
+      .from('movies')
+      .insert({
+        title: tmdbDetails.title,
+        year: tmdbDetails.release_date ? parseInt(tmdbDetails.release_date.slice(0, 4)) : null,
+        ...extractTMDBData(tmdbDetails),
+      })
+      .select()
+      .single()
+
+    if (insertError) throw insertError
+    await saveTMDBRelations(movie.id, tmdbDetails)
+    console.log(`Created movie from TMDB ${tmdbId}: ${movie.id}`)
+    return movie
+  }
+
+  if (body.title !== undefined) {
+    if (typeof body.title !== 'string' || !body.title.trim()) {
+      throw new HttpError(400, 'invalid_request', 'title must be a non-empty string')
+    }
+    if (!Number.isInteger(body.year)) {
+      throw new HttpError(400, 'invalid_request', 'year is required with title')
+    }
+
+    return await upsertMovie({
+      title: body.title.trim(),
+      year: body.year,
+      director: null,
+      externalIds: {},
+    })
+  }
+
+  throw new HttpError(400, 'invalid_request', 'Give movie_id, tmdb_id, or title and year')
+}
+
+// Log a watch by hand. Without watched_at the watch is logged now.
+async function createWatch(req) {
+  const body = requireFields(await readJsonBody(req), [
+    ...MOVIE_INPUT_FIELDS,
+    ...WATCH_INPUT_FIELDS,
+    'rewatch',
+  ])
+
+  const rewatch = body.rewatch === undefined ? null : parseRewatch(body.rewatch)
+  const changes = parseWatchChanges(body)
+  const resolved = await resolveMovieInput(body)
+
+  const { data: inserted, error } = await supabase
+    .from('movie_watches')
+    .insert({
+      movie_id: resolved.id,
+      watched_at: new Date().toISOString(),
+      ...changes,
+      source: 'manual',
+      metadata: {
+        rewatch,
+        processed_at: new Date().toISOString(),
+      },
+    })
+    .select('id')
+    .single()
+
+  if (error) throw error
+
+  console.log(`Logged manual watch ${inserted.id} for ${resolved.title}`)
+
+  const watchlistEntry = await fulfilWatchlist(inserted.id)
+  const { watch, movie } = await loadWatch(inserted.id)
+  return jsonResponse({ success: true, watch, movie, watchlist_entry: watchlistEntry }, 201)
+}
+
+// A watch and its movie as stored, after movie_watches_history_trigger has set
+// is_rewatch and the movie's watch history
+async function loadWatch(watchId) {
+  const { data, error } = await supabase
+    .from('movie_watches')
+    .select('*, movies (*)')
+    .eq('id', watchId)
+    .single()
+
+  if (error) throw error
+
+  const { review_search_vector: _rsv, movies, ...watch } = data
+  const { search_vector: _sv, ...movie } = movies
+  return { watch, movie }
+}
+
+async function updateWatch(req, { id: watchId }) {
+  if (!isUuid(watchId)) throw new HttpError(404, 'not_found', 'Watch not found')
+
+  const allowed = [...WATCH_INPUT_FIELDS, 'rewatch']
+  const body = requireFields(await readJsonBody(req), allowed)
+  const changes = parseWatchChanges(body)
+  const rewatch = body.rewatch === undefined ? undefined : parseRewatch(body.rewatch)
+
+  if (Object.keys(changes).length === 0 && rewatch === undefined) {
+    throw new HttpError(400, 'invalid_request', 'Nothing to update', { allowed })
+  }
+
+  const { data: existing, error: findError } = await supabase
+    .from('movie_watches')
+    .select('id, metadata')
+    .eq('id', watchId)
+    .maybeSingle()
+
+  if (findError) throw findError
+  if (!existing) throw new HttpError(404, 'not_found', 'Watch not found')
+
+  // Feed items are matched on delivered_on, which this leaves alone, so a watch moved
+  // to another day is still found, and kept as edited, when its item is delivered again
+  const metadata = { ...existing.metadata, edited_at: new Date().toISOString() }
+  if (rewatch !== undefined) metadata.rewatch = rewatch
+
+  const { error } = await supabase
+    .from('movie_watches')
+    .update({ ...changes, metadata })
+    .eq('id', watchId)
+
+  if (error) throw error
+
+  const { watch } = await loadWatch(watchId)
+  return jsonResponse({ success: true, watch })
+}
+
+async function deleteWatch(_req, { id: watchId }) {
+  if (!isUuid(watchId)) throw new HttpError(404, 'not_found', 'Watch not found')
+
+  const { data, error } = await supabase
+    .from('movie_watches')
+    .delete()
+    .eq('id', watchId)
+    .select('id, movie_id')
+
+  if (error) throw error
+  if (data.length === 0) throw new HttpError(404, 'not_found', 'Watch not found')
+
+  console.log(`Deleted watch ${watchId}`)
+  return jsonResponse({ success: true, watch: data[0] })
+}
+
+// Watchlist
+const WATCHLIST_MOVIE_EMBED = `
+  movie:movies!inner (
+    id,
+    title,
+    year,
+    release_date,
+    runtime,
+    genres,
+    director,
+    poster_url,
+    tmdb_id
+  )
+`
+const WATCHLIST_COLUMNS = `*, ${WATCHLIST_MOVIE_EMBED}`
+// Everything but the private note and recommended_by
+const PUBLIC_WATCHLIST_COLUMNS = `
+  id,
+  movie_id,
+  position,
+  priority,
+  added_at,
+  fulfilled_at,
+  watch_id,
+  created_at,
+  updated_at,
+  ${WATCHLIST_MOVIE_EMBED}
+`
+
+// Mark the movie's pending watchlist entry fulfilled by a new watch (see the watchlist
+// migration). Returns the entry, or null when the movie wasn't on the watchlist.
+async function fulfilWatchlist(watchId) {
+  const { data, error } = await supabase.rpc('fulfil_watchlist', {
+    fulfilling_watch_id: watchId,
+  })
+
+  if (error) throw error
+  if (data.length === 0) return null
+
+  console.log(`Watchlist entry ${data[0].id} fulfilled by watch ${watchId}`)
+  return data[0]
+}
+
+function watchlistEntryNotFound() {
+  return new HttpError(404, 'not_found', 'Watchlist entry not found')
+}
+
+async function loadWatchlistEntry(entryId) {
+  const { data, error } = await supabase
+    .from('watchlist')
+    .select(WATCHLIST_COLUMNS)
+    .eq('id', entryId)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!data) throw watchlistEntryNotFound()
+
+  return data
+}
+
+// Pending entries in watchlist order (or ?status=fulfilled, most recent first, or
+// all), filtered by the movie's genres, year and runtime
+async function listWatchlist(req, columns) {
+  const url = new URL(req.url)
+  const filters = parseWatchlistFilters(url.searchParams)
+  const limit = parseLimit(url.searchParams.get('limit'), 50, 200)
+
+  let query = applyWatchlistFilters(supabase.from('watchlist').select(columns), filters)
+
+  query =
+    filters.status === 'fulfilled'
+      ? query.order('fulfilled_at', { ascending: false })
+      : query
+          .order('fulfilled_at', { ascending: false, nullsFirst: true })
+          .order('position', { ascending: true })
+          .order('added_at', { ascending: true })
+
+  const { data, error } = await query.limit(limit)
+
+  if (error) throw error
+
+  return jsonResponse({ count: data.length, watchlist: data })
+}
+
+async function getWatchlist(req) {
+  return listWatchlist(req, WATCHLIST_COLUMNS)
+}
+
+async function getPublicWatchlist(req) {
+  return listWatchlist(req, PUBLIC_WATCHLIST_COLUMNS)
+}
+
+// Add a movie (by movie_id, tmdb_id, or title and year, as for POST /watches) to the
+// end of the watchlist
+async function addToWatchlist(req) {
+  const body = requireFields(await readJsonBody(req), [
+    ...MOVIE_INPUT_FIELDS,
+    ...WATCHLIST_INPUT_FIELDS,
+  ])
+
+  const changes = parseWatchlistChanges(body)
+  const movie = await resolveMovieInput(body)
+
+  const { data: last, error: lastError } = await supabase
+    .from('watchlist')
+    .select('movie_id, position')
+    .is('fulfilled_at', null)
+    .order('position', { ascending: false })
+
+  if (lastError) throw lastError
+
+  if (last.some(entry => entry.movie_id === movie.id)) {
+    throw new HttpError(409, 'already_on_watchlist', `${movie.title} is already on the watchlist`)
+  }
+
+  const { data: inserted, error } = await supabase
+    .from('watchlist')
+    .insert({
+      movie_id: movie.id,
+      position: last.length > 0 ? last[0].position + 1 : 0,
+      ...changes,
+    })
+    .select('id')
+    .single()
+
+  if (error) {
+    // Added by a concurrent request
+    if (error.code === '23505') {
+      throw new HttpError(409, 'already_on_watchlist', `${movie.title} is already on the watchlist`)
+    }
+    throw error
+  }
+
+  console.log(`Added ${movie.title} to the watchlist: ${inserted.id}`)
+  return jsonResponse({ success: true, entry: await loadWatchlistEntry(inserted.id) }, 201)
+}
+
+// Change an entry's priority, recommender or note
+async function updateWatchlistEntry(req, { id: entryId }) {
+  if (!isUuid(entryId)) throw watchlistEntryNotFound()
+
+  const body = requireFields(await readJsonBody(req), WATCHLIST_INPUT_FIELDS)
+  const changes = parseWatchlistChanges(body)
+
+  if (Object.keys(changes).length === 0) {
+    throw new HttpError(400, 'invalid_request', 'Nothing to update', {
+      allowed: WATCHLIST_INPUT_FIELDS,
+    })
+  }
+
+  const { data, error } = await supabase
+    .from('watchlist')
+    .update(changes)
+    .eq('id', entryId)
+    .select('id')
+
+  if (error) throw error
+  if (!data.length) throw watchlistEntryNotFound()
+
+  return jsonResponse({ success: true, entry: await loadWatchlistEntry(entryId) })
+}
+
+async function removeFromWatchlist(_req, { id: entryId }) {
+  if (!isUuid(entryId)) throw watchlistEntryNotFound()
+
+  const { data, error } = await supabase
+    .from('watchlist')
+    .delete()
+    .eq('id', entryId)
+    .select('id, movie_id')
+
+  if (error) throw error
+  if (!data.length) throw watchlistEntryNotFound()
+
+  console.log(`Removed watchlist entry ${entryId}`)
+  return jsonResponse({ success: true, entry: data[0] })
+}
+
+// Put pending entries in the order of { ids }; entries left out follow in their
+// current order (see reorder_watchlist)
+async function reorderWatchlist(req) {
+  const body = requireFields(await readJsonBody(req), ['ids'])
+  const ids = parseEntryIds(body.ids)
+
+  const { data: pending, error: pendingError } = await supabase
+    .from('watchlist')
+    .select('id')
+    .is('fulfilled_at', null)
+
+  if (pendingError) throw pendingError
+
+  const pendingIds = new Set(pending.map(entry => entry.id))
+  const unknown = ids.filter(id => !pendingIds.has(id))
+  if (unknown.length > 0) {
+    throw new HttpError(400, 'invalid_request', 'ids must be pending watchlist entries', {
+      unknown,
+    })
+  }
+
+  const { error } = await supabase.rpc('reorder_watchlist', { entry_ids: ids })
+
+  if (error) throw error
+
+  const { data: ordered, error: orderedError } = await supabase
+    .from('watchlist')
+    .select('id, position')
+    .is('fulfilled_at', null)
+    .order('position', { ascending: true })
+
+  if (orderedError) throw orderedError
+
+  return jsonResponse({ success: true, count: ordered.length, watchlist: ordered })
+}
+
+// Lists
+const LIST_COLUMNS = 'id, slug, title, description, mode, visibility, created_at, updated_at'
+const LIST_ITEM_COLUMNS = `
+  id,
+  position,
+  note,
+  created_at,
+  updated_at,
+  movie:movies (
+    id,
+    title,
+    year,
+    release_date,
+    director,
+    genres,
+    runtime,
+    plot_summary,
+    poster_url,
+    backdrop_url,
+    tmdb_id,
+    watch_count,
+    average_rating,
+    last_watched_at
+  )
+`
+
+// Lists with their item counts instead of the embedded count rows
+function withItemCounts(lists) {
+  return lists.map(({ list_items, ...list }) => ({
+    ...list,
+    item_count: list_items[0]?.count ?? 0,
+  }))
+}
+
+function listNotFound() {
+  return new HttpError(404, 'not_found', 'List not found')
+}
+
+function listItemNotFound() {
+  return new HttpError(404, 'not_found', 'List item not found')
+}
+
+async function findList(listId) {
+  if (!isUuid(listId)) throw listNotFound()
+
+  const { data: list, error } = await supabase
+    .from('lists')
+    .select(LIST_COLUMNS)
+    .eq('id', listId)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!list) throw listNotFound()
+
+  return list
+}
+
+// Items in list order; on a ranked list each has its rank, from 1
+async function loadListItems(list) {
+  const { data: items, error } = await supabase
+    .from('list_items')
+    .select(LIST_ITEM_COLUMNS)
+    .eq('list_id', list.id)
+    .order('position', { ascending: true })
+    .order('created_at', { ascending: true })
+
+  if (error) throw error
+
+  return items.map((item, index) => ({
+    rank: list.mode === 'ranked' ? index + 1 : null,
+    ...item,
+  }))
+}
+
+async function listWithItems(list) {
+  const items = await loadListItems(list)
+  return { ...list, item_count: items.length, items }
+}
+
+async function findListItem(list, itemId) {
+  const items = await loadListItems(list)
+  const item = items.find(candidate => candidate.id === itemId)
+  if (!item) throw listItemNotFound()
+  return item
+}
+
+function slugInUse(error) {
+  return error.code === '23505'
+    ? new HttpError(409, 'slug_in_use', 'Another list already has this slug')
+    : error
+}
+
+// Every list, public and private, most recently changed first
+async function getLists(req) {
+  const url = new URL(req.url)
+  const visibility = url.searchParams.get('visibility')
+
+  if (visibility && !LIST_VISIBILITIES.includes(visibility)) {
+    throw new HttpError(
+      400,
+      'invalid_request',
+      `visibility must be one of: ${LIST_VISIBILITIES.join(', ')}`
+    )
+  }
+
+  let query = supabase
+    .from('lists')
+    .select(`${LIST_COLUMNS}, list_items(count)`)
+    .order('updated_at', { ascending: false })
+
+  if (visibility) query = query.eq('visibility', visibility)
+
+  const { data, error } = await query
+
+  if (error) throw error
+
+  return jsonResponse({ count: data.length, lists: withItemCounts(data) })
+}
+
+async function createList(req) {
+  const body = requireFields(await readJsonBody(req), LIST_INPUT_FIELDS)
+  const changes = parseListChanges(body, { creating: true })
+
+  const { data: list, error } = await supabase
+    .from('lists')
+    .insert(changes)
+    .select(LIST_COLUMNS)
+    .single()
+
+  if (error) throw slugInUse(error)
+
+  console.log(`Created list ${list.slug}: ${list.id}`)
+  return jsonResponse({ success: true, list: { ...list, item_count: 0, items: [] } }, 201)
+}
+
+async function getList(_req, { id: listId }) {
+  return jsonResponse(await listWithItems(await findList(listId)))
+}
+
+async function updateList(req, { id: listId }) {
+  if (!isUuid(listId)) throw listNotFound()
+
+  const body = requireFields(await readJsonBody(req), LIST_INPUT_FIELDS)
+  const changes = parseListChanges(body)
+
+  if (Object.keys(changes).length === 0) {
+    throw new HttpError(400, 'invalid_request', 'Nothing to update', {
+      allowed: LIST_INPUT_FIELDS,
+    })
+  }
+
+  const { data, error } = await supabase
+    .from('lists')
+    .update(changes)
+    .eq('id', listId)
+    .select(LIST_COLUMNS)
+
+  if (error) throw slugInUse(error)
+  if (!data.length) throw listNotFound()
+
+  return jsonResponse({ success: true, list: await listWithItems(data[0]) })
+}
+
+// Deletes the list and its items; the movies stay
+async function deleteList(_req, { id: listId }) {
+  if (!isUuid(listId)) throw listNotFound()
+
+  const { data, error } = await supabase.from('lists').delete().eq('id', listId).select('id, slug')
+
+  if (error) throw error
+  if (!data.length) throw listNotFound()
+
+  console.log(`Deleted list ${data[0].slug}`)
+  return jsonResponse({ success: true, list: data[0] })
+}
+
+// Add a movie (by movie_id, tmdb_id, or title and year, as for POST /watches) to the
+// end of a list
+async function addListItem(req, { id: listId }) {
+  const list = await findList(listId)
+  const body = requireFields(await readJsonBody(req), [
+    ...MOVIE_INPUT_FIELDS,
+    ...LIST_ITEM_INPUT_FIELDS,
+  ])
+
+  const changes = parseListItemChanges(body)
+  const movie = await resolveMovieInput(body)
+
+  const { data: last, error: lastError } = await supabase
+    .from('list_items')
+    .select('movie_id, position')
+    .eq('list_id', list.id)
+    .order('position', { ascending: false })
+
+  if (lastError) throw lastError
+
+  const alreadyListed = new HttpError(
+    409,
+    'already_on_list',
+    `${movie.title} is already on ${list.title}`
+  )
+  if (last.some(item => item.movie_id === movie.id)) throw alreadyListed
+
+  const { data: inserted, error } = await supabase
+    .from('list_items')
+    .insert({
+      list_id: list.id,
+      movie_id: movie.id,
+      position: last.length > 0 ? last[0].position + 1 : 0,
+      ...changes,
+    })
+    .select('id')
+    .single()
+
+  if (error) {
+    // Added by a concurrent request
+    if (error.code === '23505') throw alreadyListed
+    throw error
+  }
+
+  console.log(`Added ${movie.title} to list ${list.slug}: ${inserted.id}`)
+  return jsonResponse({ success: true, item: await findListItem(list, inserted.id) }, 201)
+}
+
+async function updateListItem(req, { id: listId, itemId }) {
+  const list = await findList(listId)
+  if (!isUuid(itemId)) throw listItemNotFound()
+
+  const body = requireFields(await readJsonBody(req), LIST_ITEM_INPUT_FIELDS)
+  const changes = parseListItemChanges(body)
+
+  if (Object.keys(changes).length === 0) {
+    throw new HttpError(400, 'invalid_request', 'Nothing to update', {
+      allowed: LIST_ITEM_INPUT_FIELDS,
+    })
+  }
+
+  const { data, error } = await supabase
+    .from('list_items')
+    .update(changes)
+    .eq('id', itemId)
+    .eq('list_id', list.id)
+    .select('id')
+
+  if (error) throw error
+  if (!data.length) throw listItemNotFound()
+
+  return jsonResponse({ success: true, item: await findListItem(list, itemId) })
+}
+
+async function removeListItem(_req, { id: listId, itemId }) {
+  const list = await findList(listId)
+  if (!isUuid(itemId)) throw listItemNotFound()
+
+  const { data, error } = await supabase
+    .from('list_items')
+    .delete()
+    .eq('id', itemId)
+    .eq('list_id', list.id)
+    .select('id, movie_id')
+
+  if (error) throw error
+  if (!data.length) throw listItemNotFound()
+
+  console.log(`Removed item ${itemId} from list ${list.slug}`)
+  return jsonResponse({ success: true, item: data[0] })
+}
+
+// Put the items in the order of { ids }; items left out follow in their current order
+// (see reorder_list_items)
+async function reorderListItems(req, { id: listId }) {
+  const list = await findList(listId)
+  const body = requireFields(await readJsonBody(req), ['ids'])
+  const ids = parseEntryIds(body.ids)
+
+  const { data: items, error: itemsError } = await supabase
+    .from('list_items')
+    .select('id')
+    .eq('list_id', list.id)
+
+  if (itemsError) throw itemsError
+
+  const itemIds = new Set(items.map(item => item.id))
+  const unknown = ids.filter(id => !itemIds.has(id))
+  if (unknown.length > 0) {
+    throw new HttpError(400, 'invalid_request', 'ids must be items on this list', { unknown })
+  }
+
+  const { error } = await supabase.rpc('reorder_list_items', {
+    items_list_id: list.id,
+    item_ids: ids,
+  })
+
+  if (error) throw error
+
+  return jsonResponse({ success: true, list: await listWithItems(list) })
+}
+
+// Public lists, for the demo site and anyone without a token
+async function getPublicLists() {
+  const { data, error } = await supabase
+    .from('lists')
+    .select(`${LIST_COLUMNS}, list_items(count)`)
+    .eq('visibility', 'public')
+    .order('updated_at', { ascending: false })
+
+  if (error) throw error
+
+  return jsonResponse({ count: data.length, lists: withItemCounts(data) })
+}
+
+// A public list by slug; a private list is a 404, as if it didn't exist
+async function getPublicList(_req, { slug }) {
+  const { data: list, error } = await supabase
+    .from('lists')
+    .select(LIST_COLUMNS)
+    .eq('slug', slug)
+    .eq('visibility', 'public')
+    .maybeSingle()
+
+  if (error) throw error
+  if (!list) throw listNotFound()
+
+  return jsonResponse(await listWithItems(list))
+}
+
+// Duplicate movies
+const DUPLICATE_MOVIE_FIELDS =
+  'id, title, year, letterboxd_id, trakt_id, tmdb_id, poster_url, created_at, movie_watches(count)'
+
+// The movie to keep from a pair: the one linked to TMDB, then the one with more
+// watches, then the older one
+function suggestSurvivor(a, b) {
+  if (!!a.tmdb_id !== !!b.tmdb_id) return a.tmdb_id ? a : b
+  if (a.watch_count !== b.watch_count) return a.watch_count > b.watch_count ? a : b
+  return a.created_at <= b.created_at ? a : b
+}
+
+// Probable duplicate pairs (see find_duplicate_movies), with why each was flagged
+async function getDuplicateMovies(req) {
+  const url = new URL(req.url)
+  const limit = parseLimit(url.searchParams.get('limit'), 50, 200)
+
+  const { data: pairs, error } = await supabase.rpc('find_duplicate_movies', {
+    result_limit: limit,
+  })
+
+  if (error) throw error
+
+  const ids = [...new Set(pairs.flatMap(pair => [pair.movie_id, pair.duplicate_id]))]
+  const movies = new Map()
+
+  if (ids.length > 0) {
+    const { data, error: moviesError } = await supabase
+      .from('movies')
+      .select(DUPLICATE_MOVIE_FIELDS)
+      .in('id', ids)
+
+    if (moviesError) throw moviesError
+
+    for (const { movie_watches, ...movie } of data) {
+      movies.set(movie.id, { ...movie, watch_count: movie_watches[0]?.count || 0 })
+    }
+  }
+
+  const duplicates = pairs
+    .filter(pair => movies.has(pair.movie_id) && movies.has(pair.duplicate_id))
+    .map(pair => {
+      const a = movies.get(pair.movie_id)
+      const b = movies.get(pair.duplicate_id)
+      return { movies: [a, b], reasons: pair.reasons, survivor_id: suggestSurvivor(a, b).id }
+    })
+
+  return jsonResponse({ count: duplicates.length, duplicates })
+}
+
+// Merge { source_id } into { target_id }: the source's watches move over, the target
+// keeps the richest metadata, and the merge is recorded so feed items that still carry
+// the source's ids resolve to the target
+async function mergeMovies(req) {
+  const body = requireFields(await readJsonBody(req), ['source_id', 'target_id'])
+
+  if (body.source_id === undefined || body.target_id === undefined) {
+    throw new HttpError(400, 'invalid_request', 'source_id and target_id are required')
+  }
+  if (!isUuid(body.source_id) || !isUuid(body.target_id)) {
+    throw new HttpError(400, 'invalid_request', 'source_id and target_id must be movie ids')
+  }
+  if (body.source_id === body.target_id) {
+    throw new HttpError(400, 'invalid_request', 'Cannot merge a movie into itself')
+  }
+
+  const { data: found, error: findError } = await supabase
+    .from('movies')
+    .select('id, title')
+    .in('id', [body.source_id, body.target_id])
+
+  if (findError) throw findError
+
+  const source = found.find(movie => movie.id === body.source_id)
+  const target = found.find(movie => movie.id === body.target_id)
+  if (!source || !target) {
+    throw new HttpError(
+      404,
+      'not_found',
+      `Movie ${source ? body.target_id : body.source_id} not found`
+    )
+  }
+
+  const { data: merged, error } = await supabase
+    .rpc('merge_movies', {
+      source_movie_id: source.id,
+      target_movie_id: target.id,
+      merge_reason: 'manual',
+    })
+    .single()
+
+  if (error) throw error
+
+  const { data: merge, error: mergeError } = await supabase
+    .from('movie_merges')
+    .select('id, source_movie_id, target_movie_id, watches_moved, reason, merged_at')
+    .eq('source_movie_id', source.id)
+    .order('merged_at', { ascending: false })
+    .limit(1)
+    .single()
+
+  if (mergeError) throw mergeError
+
+  console.log(`Merged ${source.title} (${source.id}) into ${target.title} (${target.id})`)
+
+  const { search_vector: _sv, ...movie } = merged
+  return jsonResponse({ success: true, movie, merge })
 }
@@ -0,0 +1,80 @@
+// supabase/functions/movies/letterboxd.ts
+// Structured fields from Letterboxd's RSS namespaces (letterboxd:*, tmdb:*)
+
+export interface LetterboxdFields {
+  filmTitle: string | null
+  filmYear: number | null
+  // 0.5-5 stars in half-star steps
+  memberRating: number | null
+  // Diary date, YYYY-MM-DD
+  watchedDate: string | null
+  rewatch: boolean | null
+  liked: boolean | null
+  tmdbId: string | null
+}
+
+type FeedItem = Record<string, unknown>
+
+// EchoFeed forwards namespaced elements either as prefixed keys ("letterboxd:filmTitle")
+// or grouped under the namespace ({ letterboxd: { filmTitle } }). XML-to-JSON
+// converters may also wrap the text ({ "#text": "..." }).
+function readField(item: FeedItem, namespace: string, name: string): string | null {
+  const group = item[namespace] as FeedItem | undefined
+  let value =
+    item[`${namespace}:${name}`] ?? (group && typeof group === 'object' ? group[name] : null)
+
+  if (value && typeof value === 'object') {
+    const wrapped = value as FeedItem
+    value = wrapped['#text'] ?? wrapped._ ?? null
+  }
+  if (value === null || value === undefined) return null
+
+  const text = String(value).trim()
+  return text || null
+}
+
+function parseYesNo(value: string | null): boolean | null {
+  if (value === null) return null
+  if (/^(yes|true|1)$/i.test(value)) return true
+  if (/^(no|false|0)$/i.test(value)) return false
+  return null
+}
+
+function parseMemberRating(value: string | null): number | null {
+  if (value === null) return null
+  const rating = parseFloat(value)
+  if (isNaN(rating) || rating <= 0 || rating > 5) return null
+  return rating
+}
+
+// Returns null when the item has none of the namespace fields, so callers can fall
+// back to parsing the title and description
+export function readLetterboxdFields(item: FeedItem): LetterboxdFields | null {
+  const filmYear = readField(item, 'letterboxd', 'filmYear')
+  const watchedDate = readField(item, 'letterboxd', 'watchedDate')
+  const tmdbId = readField(item, 'tmdb', 'movieId')
+
+  const fields: LetterboxdFields = {
+    filmTitle: readField(item, 'letterboxd', 'filmTitle'),
+    filmYear: filmYear && /^\d{4}$/.test(filmYear) ? parseInt(filmYear) : null,
+    memberRating: parseMemberRating(readField(item, 'letterboxd', 'memberRating')),
+    watchedDate: watchedDate && /^\d{4}-\d{2}-\d{2}$/.test(watchedDate) ? watchedDate : null,
+    rewatch: parseYesNo(readField(item, 'letterboxd', 'rewatch')),
+    liked: parseYesNo(readField(item, 'letterboxd', 'memberLike')),
+    tmdbId: tmdbId && /^\d+$/.test(tmdbId) ? tmdbId : null,
+  }
+
+  return Object.values(fields).some(value => value !== null) ? fields : null
+}
+
+// Letterboxd only records the diary day. Keep the publish time when it falls on that
+// (UTC) day so watches keep their order, otherwise use midnight UTC so watched_on
+// matches the diary.
+export function watchedAtForDate(watchedDate: string, publishedAt: string | null): string {
+  const published = publishedAt ? new Date(publishedAt) : null
+  if (published && !isNaN(published.getTime())) {
+    const iso = published.toISOString()
+    if (iso.slice(0, 10) === watchedDate) return iso
+  }
+  return `${watchedDate}T00:00:00.000Z`
+}
@@ -0,0 +1,114 @@
+// supabase/functions/movies/list-input.ts
+// Validation for user-defined lists and their items
+
+import { HttpError } from './http.ts'
+
+// Fields a client can set on a list (POST /lists and PATCH /lists/:id)
+export const LIST_INPUT_FIELDS = ['title', 'slug', 'description', 'mode', 'visibility']
+// Fields a client can set on an item, besides the movie (PATCH /lists/:id/items/:itemId)
+export const LIST_ITEM_INPUT_FIELDS = ['note']
+export const LIST_MODES = ['ranked', 'unranked']
+export const LIST_VISIBILITIES = ['public', 'private']
+
+const MAX_TITLE_LENGTH = 255
+const MAX_SLUG_LENGTH = 100
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+
+// Column values for the fields present in the request
+export interface ListChanges {
+  title?: string
+  slug?: string
+  description?: string | null
+  mode?: string
+  visibility?: string
+}
+
+export interface ListItemChanges {
+  note?: string | null
+}
+
+type Body = Record<string, unknown>
+
+function invalid(message: string, details: unknown = null): never {
+  throw new HttpError(400, 'invalid_request', message, details)
+}
+
+function parseNote(value: unknown, field: string): string | null {
+  if (value !== null && typeof value !== 'string') {
+    invalid(`${field} must be a string or null`)
+  }
+  return (value as string | null)?.trim() || null
+}
+
+function parseChoice(value: unknown, field: string, choices: string[]): string {
+  if (!choices.includes(value as string)) {
+    invalid(`${field} must be one of: ${choices.join(', ')}`)
+  }
+  return value as string
+}
+
+// "Best of 2024!" -> "best-of-2024": lowercase, no accents, "&" as "and", dashes
+// between words
+export function slugify(title: string): string {
+  return title
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, '')
+}
+
+// Validate the list fields present in `body` and map them to columns. Creating a list
+// requires a title; its slug defaults to the slugified title.
+export function parseListChanges(body: Body, { creating = false } = {}): ListChanges {
+  const changes: ListChanges = {}
+
+  if (body.title !== undefined || creating) {
+    if (typeof body.title !== 'string' || !body.title.trim()) {
+      invalid('title must be a non-empty string')
+    }
+    changes.title = body.title.trim()
+    if (changes.title.length > MAX_TITLE_LENGTH) {
+      invalid(`title can be at most ${MAX_TITLE_LENGTH} characters`)
+    }
+  }
+
+  if (body.slug !== undefined) {
+    if (typeof body.slug !== 'string' || !SLUG_PATTERN.test(body.slug)) {
+      invalid('slug must be lowercase letters and digits separated by dashes')
+    }
+    if (body.slug.length > MAX_SLUG_LENGTH) {
+      invalid(`slug can be at most ${MAX_SLUG_LENGTH} characters`)
+    }
+    changes.slug = body.slug
+  } else if (creating) {
+    changes.slug = slugify(changes.title as string)
+    if (!changes.slug) invalid('title has no letters or digits for a slug; give a slug')
+  }
+
+  if (body.description !== undefined) {
+    changes.description = parseNote(body.description, 'description')
+  }
+
+  if (body.mode !== undefined) {
+    changes.mode = parseChoice(body.mode, 'mode', LIST_MODES)
+  }
+
+  if (body.visibility !== undefined) {
+    changes.visibility = parseChoice(body.visibility, 'visibility', LIST_VISIBILITIES)
+  }
+
+  return changes
+}
+
+export function parseListItemChanges(body: Body): ListItemChanges {
+  const changes: ListItemChanges = {}
+
+  if (body.note !== undefined) {
+    changes.note = parseNote(body.note, 'note')
+  }
+
+  return changes
+}
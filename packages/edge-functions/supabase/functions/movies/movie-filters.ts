@@ -0,0 +1,199 @@
+// supabase/functions/movies/movie-filters.ts
+// Query-string filters and sort orders for GET /movies
+
+import { HttpError } from './http.ts'
+import type { CursorValueType } from './pagination.ts'
+
+// Sort name -> column, its type (for checking cursors) and its default direction.
+// average_rating and watch_count are computed columns (see the movie_watch_aggregates
+// migration); last_watched_at and rewatch_count are kept up to date by a trigger (see
+// the rewatch_tracking migration).
+export const MOVIE_SORTS: Record<
+  string,
+  { column: string; type: CursorValueType; ascending: boolean }
+> = {
+  created: { column: 'created_at', type: 'date', ascending: false },
+  title: { column: 'title', type: 'text', ascending: true },
+  year: { column: 'year', type: 'number', ascending: false },
+  last_watched: { column: 'last_watched_at', type: 'date', ascending: false },
+  rating: { column: 'average_rating', type: 'number', ascending: false },
+  watch_count: { column: 'watch_count', type: 'number', ascending: false },
+}
+
+// Watch-level filters (source, watched date) match movies with at least one such watch.
+// They go through this inner-joined embed so the full movie_watches list is unaffected.
+export const MATCHING_WATCHES_EMBED = 'matching_watches:movie_watches!inner(id)'
+
+export interface MovieFilters {
+  search: string | null
+  posters: boolean
+  genres: string[]
+  yearFrom: number | null
+  yearTo: number | null
+  director: string | null
+  country: string | null
+  language: string | null
+  ratingMin: number | null
+  ratingMax: number | null
+  watchedFrom: string | null
+  watchedTo: string | null
+  source: string | null
+  rewatched: boolean | null
+}
+
+export interface MovieSort {
+  name: string
+  column: string
+  type: CursorValueType
+  ascending: boolean
+  // Identifies the ordering a cursor was issued for
+  key: string
+}
+
+export function invalidFilter(param: string, message: string): HttpError {
+  return new HttpError(400, 'invalid_filter', message, { param })
+}
+
+export function parseInteger(params: URLSearchParams, param: string): number | null {
+  const value = params.get(param)
+  if (value === null || value === '') return null
+
+  const number = Number(value)
+  if (!Number.isInteger(number)) {
+    throw invalidFilter(param, `${param} must be an integer`)
+  }
+  return number
+}
+
+function parseRating(params: URLSearchParams, param: string): number | null {
+  const value = params.get(param)
+  if (value === null || value === '') return null
+
+  const rating = Number(value)
+  if (Number.isNaN(rating) || rating < 0 || rating > 10) {
+    throw invalidFilter(param, `${param} must be a number between 0 and 10`)
+  }
+  return rating
+}
+
+function parseDate(params: URLSearchParams, param: string): string | null {
+  const value = params.get(param)
+  if (value === null || value === '') return null
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+    throw invalidFilter(param, `${param} must be a date (YYYY-MM-DD)`)
+  }
+  return value
+}
+
+function parseBoolean(params: URLSearchParams, param: string): boolean | null {
+  const value = params.get(param)
+  if (value === null || value === '') return null
+  if (value === 'true') return true
+  if (value === 'false') return false
+  throw invalidFilter(param, `${param} must be true or false`)
+}
+
+// "1990" and "1990s" both mean 1990-1999
+function parseDecade(params: URLSearchParams): [number, number] | null {
+  const value = params.get('decade')
+  if (value === null || value === '') return null
+
+  const match = value.match(/^(\d{4})s?$/)
+  if (!match || Number(match[1]) % 10 !== 0) {
+    throw invalidFilter('decade', 'decade must look like 1990 or 1990s')
+  }
+  const start = Number(match[1])
+  return [start, start + 9]
+}
+
+function maxOf(a: number | null, b: number | null): number | null {
+  if (a === null) return b
+  if (b === null) return a
+  return Math.max(a, b)
+}
+
+function minOf(a: number | null, b: number | null): number | null {
+  if (a === null) return b
+  if (b === null) return a
+  return Math.min(a, b)
+}
+
+export function parseMovieFilters(params: URLSearchParams): MovieFilters {
+  const decade = parseDecade(params)
+  const genres = (params.get('genre') || '')
+    .split(',')
+    .map(genre => genre.trim())
+    .filter(genre => genre.length > 0)
+
+  return {
+    search: params.get('search') || null,
+    posters: params.get('posters') === 'true',
+    genres,
+    yearFrom: maxOf(parseInteger(params, 'year_from'), decade ? decade[0] : null),
+    yearTo: minOf(parseInteger(params, 'year_to'), decade ? decade[1] : null),
+    director: params.get('director') || null,
+    country: params.get('country')?.toUpperCase() || null,
+    language: params.get('language')?.toLowerCase() || null,
+    ratingMin: parseRating(params, 'rating_min'),
+    ratingMax: parseRating(params, 'rating_max'),
+    watchedFrom: parseDate(params, 'watched_from'),
+    watchedTo: parseDate(params, 'watched_to'),
+    source: params.get('source') || null,
+    rewatched: parseBoolean(params, 'rewatched'),
+  }
+}
+
+// ?sort=<name>&order=asc|desc, defaulting to newest first
+export function parseMovieSort(params: URLSearchParams): MovieSort {
+  const name = params.get('sort') || 'created'
+  const sort = MOVIE_SORTS[name]
+  if (!sort) {
+    throw new HttpError(400, 'invalid_sort', `Unknown sort: ${name}`, {
+      allowed: Object.keys(MOVIE_SORTS),
+    })
+  }
+
+  const order = params.get('order')
+  if (order && order !== 'asc' && order !== 'desc') {
+    throw new HttpError(400, 'invalid_sort', 'order must be asc or desc')
+  }
+
+  const ascending = order ? order === 'asc' : sort.ascending
+  return {
+    name,
+    column: sort.column,
+    type: sort.type,
+    ascending,
+    key: `${name}.${ascending ? 'asc' : 'desc'}`,
+  }
+}
+
+export function usesWatchFilters(filters: MovieFilters): boolean {
+  return Boolean(filters.source || filters.watchedFrom || filters.watchedTo)
+}
+
+// Apply the filters to a movies query. The query must select MATCHING_WATCHES_EMBED
+// when usesWatchFilters() is true.
+export function applyMovieFilters(query, filters: MovieFilters) {
+  if (filters.search) query = query.ilike('title', `%${filters.search}%`)
+  if (filters.posters) query = query.not('poster_url', 'is', null)
+  if (filters.genres.length > 0) query = query.contains('genres', filters.genres)
+  if (filters.yearFrom !== null) query = query.gte('year', filters.yearFrom)
+  if (filters.yearTo !== null) query = query.lte('year', filters.yearTo)
+  if (filters.director) query = query.ilike('director', `%${filters.director}%`)
+  if (filters.country) query = query.eq('country', filters.country)
+  if (filters.language) query = query.eq('language', filters.language)
+  if (filters.ratingMin !== null) query = query.gte('average_rating', filters.ratingMin)
+  if (filters.ratingMax !== null) query = query.lte('average_rating', filters.ratingMax)
+
+  if (filters.rewatched !== null) {
+    query = filters.rewatched ? query.gt('rewatch_count', 0) : query.eq('rewatch_count', 0)
+  }
+
+  if (filters.source) query = query.eq('matching_watches.source', filters.source)
+  if (filters.watchedFrom) query = query.gte('matching_watches.watched_on', filters.watchedFrom)
+  if (filters.watchedTo) query = query.lte('matching_watches.watched_on', filters.watchedTo)
+
+  return query
+}
@@ -0,0 +1,121 @@
+import { describe, expect, it } from 'vitest'
+import {
+  type CursorValueType,
+  decodeCursor,
+  encodeCursor,
+  paginateRows,
+  parseLimit,
+} from './pagination.ts'
+
+const ID = '3f1c2b9e-8d4a-4c6b-9e2f-1a2b3c4d5e6f'
+
+function cursorFrom(payload: unknown): string {
+  return btoa(JSON.stringify(payload)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function decodeError(cursor: string, sort = 'watched_at', type: CursorValueType = 'date') {
+  try {
+    decodeCursor(cursor, sort, type)
+  } catch (error) {
+    return error
+  }
+  throw new Error('expected the cursor to be rejected')
+}
+
+describe('encodeCursor and decodeCursor', () => {
+  it('round-trips each value type', () => {
+    const date = { sort: 'watched_at', value: '2026-10-19T20:15:00+00:00', id: ID }
+    const number = { sort: 'rating', value: 8.5, id: ID }
+    const text = { sort: 'title', value: 'Amélie / "Le Fabuleux Destin"', id: ID }
+    const empty = { sort: 'rating', value: null, id: ID }
+
+    expect(decodeCursor(encodeCursor(date), 'watched_at', 'date')).toEqual(date)
+    expect(decodeCursor(encodeCursor(number), 'rating', 'number')).toEqual(number)
+    expect(decodeCursor(encodeCursor(text), 'title', 'text')).toEqual(text)
+    expect(decodeCursor(encodeCursor(empty), 'rating', 'number')).toEqual(empty)
+  })
+
+  it('encodes URL-safe without padding', () => {
+    const cursor = encodeCursor({ sort: 'title', value: '??>>', id: ID })
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/)
+  })
+
+  it('treats a missing cursor as the first page', () => {
+    expect(decodeCursor(null, 'watched_at', 'date')).toBeNull()
+    expect(decodeCursor('', 'watched_at', 'date')).toBeNull()
+  })
+
+  it('rejects a cursor that is not base64 JSON', () => {
+    expect(decodeError('not a cursor')).toMatchObject({ status: 400, code: 'invalid_cursor' })
+    expect(decodeError(cursorFrom('just a string'))).toMatchObject({ code: 'invalid_cursor' })
+  })
+
+  it('rejects a cursor without a UUID id or a value', () => {
+    expect(decodeError(cursorFrom({ sort: 'watched_at', value: null, id: '1' }))).toMatchObject({
+      code: 'invalid_cursor',
+    })
+    expect(decodeError(cursorFrom({ sort: 'watched_at', id: ID }))).toMatchObject({
+      code: 'invalid_cursor',
+    })
+  })
+
+  it('rejects a cursor issued for another sort', () => {
+    const cursor = encodeCursor({ sort: 'rating', value: 8, id: ID })
+    expect(decodeError(cursor)).toMatchObject({
+      status: 400,
+      code: 'invalid_cursor',
+      details: { cursor_sort: 'rating', sort: 'watched_at' },
+    })
+  })
+
+  it('rejects a value of the wrong type for the sort column', () => {
+    const notADate = encodeCursor({ sort: 'watched_at', value: 'yesterday),id.gt.0', id: ID })
+    const notANumber = encodeCursor({ sort: 'rating', value: '8', id: ID })
+
+    expect(decodeError(notADate)).toMatchObject({ code: 'invalid_cursor' })
+    expect(decodeError(notANumber, 'rating', 'number')).toMatchObject({
+      code: 'invalid_cursor',
+    })
+  })
+})
+
+describe('paginateRows', () => {
+  const rows = ['2026-10-03', '2026-10-02', '2026-10-01'].map((watched_at, index) => ({
+    id: ID.replace(/.$/, String(index)),
+    watched_at,
+  }))
+
+  it('returns a cursor for the last row when there is another page', () => {
+    const { page, nextCursor } = paginateRows(rows, 2, 'watched_at', 'watched_at')
+
+    expect(page).toEqual(rows.slice(0, 2))
+    expect(decodeCursor(nextCursor, 'watched_at', 'date')).toEqual({
+      sort: 'watched_at',
+      value: '2026-10-02',
+      id: rows[1].id,
+    })
+  })
+
+  it('returns no cursor on the last page', () => {
+    expect(paginateRows(rows, 3, 'watched_at', 'watched_at')).toEqual({
+      page: rows,
+      nextCursor: null,
+    })
+  })
+})
+
+describe('parseLimit', () => {
+  it('defaults when absent and caps at the maximum', () => {
+    expect(parseLimit(null, 20)).toBe(20)
+    expect(parseLimit('', 20)).toBe(20)
+    expect(parseLimit('50', 20)).toBe(50)
+    expect(parseLimit('500', 20)).toBe(100)
+    expect(parseLimit('500', 20, 250)).toBe(250)
+  })
+
+  it('rejects anything but a positive integer', () => {
+    for (const value of ['0', '-5', '2.5', 'ten']) {
+      expect(() => parseLimit(value, 20)).toThrow('limit must be a positive integer')
+    }
+  })
+})
@@ -0,0 +1,141 @@
+// supabase/functions/movies/pagination.ts
+// Opaque keyset cursors for list endpoints
+
+import { HttpError, isUuid } from './http.ts'
+
+export const MAX_PAGE_SIZE = 100
+
+// Type of the sort column, which the cursor's value must match
+export type CursorValueType = 'number' | 'date' | 'text'
+
+// An ISO 8601 date or date-time, as Postgres returns dates and timestamps
+const CURSOR_DATE_PATTERN =
+  /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}(:?\d{2})?)?)?$/
+
+interface CursorPayload {
+  // Sort the cursor was issued for; a cursor can't be reused with another ordering
+  sort: string
+  value: string | number | null
+  id: string
+}
+
+function toBase64Url(text: string): string {
+  const bytes = new TextEncoder().encode(text)
+  const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('')
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url(value: string): string {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/')
+  const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='))
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)))
+}
+
+// Read ?limit=, defaulting when absent and capping at maxLimit (MAX_PAGE_SIZE for
+// paginated lists)
+export function parseLimit(
+  value: string | null,
+  defaultLimit: number,
+  maxLimit = MAX_PAGE_SIZE
+): number {
+  if (value === null || value === '') return defaultLimit
+
+  const limit = Number(value)
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new HttpError(400, 'invalid_limit', 'limit must be a positive integer')
+  }
+
+  return Math.min(limit, maxLimit)
+}
+
+export function encodeCursor(payload: CursorPayload): string {
+  return toBase64Url(JSON.stringify(payload))
+}
+
+function isCursorValue(value: unknown, type: CursorValueType): boolean {
+  if (value === null) return true
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value)
+  if (type === 'date') {
+    return typeof value === 'string' && CURSOR_DATE_PATTERN.test(value) && !isNaN(Date.parse(value))
+  }
+  return typeof value === 'string'
+}
+
+// The cursor's id and value end up in a PostgREST filter, so both are checked here
+export function decodeCursor(
+  cursor: string | null,
+  sort: string,
+  valueType: CursorValueType
+): CursorPayload | null {
+  if (!cursor) return null
+
+  let payload
+  try {
+    payload = JSON.parse(fromBase64Url(cursor))
+  } catch {
+    throw new HttpError(400, 'invalid_cursor', 'cursor is not valid')
+  }
+
+  if (!payload || !isUuid(payload.id) || !('value' in payload)) {
+    throw new HttpError(400, 'invalid_cursor', 'cursor is not valid')
+  }
+
+  if (payload.sort !== sort) {
+    throw new HttpError(400, 'invalid_cursor', 'cursor was issued for a different sort order', {
+      cursor_sort: payload.sort,
+      sort,
+    })
+  }
+
+  if (!isCursorValue(payload.value, valueType)) {
+    throw new HttpError(400, 'invalid_cursor', 'cursor is not valid')
+  }
+
+  return payload
+}
+
+// PostgREST needs values with reserved characters (timestamps, commas) quoted
+function quoteFilterValue(value: string | number): string {
+  if (typeof value === 'number') return String(value)
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+}
+
+// Order a query the way applyCursor expects: (column, id), nulls last
+export function orderForCursor(query, column: string, ascending: boolean) {
+  return query.order(column, { ascending, nullsFirst: false }).order('id', { ascending })
+}
+
+// Restrict a query to rows after the cursor for an ordering of (column, id).
+// Lists are ordered with nulls last, so rows with a null sort value come after
+// every non-null row and are ordered among themselves by id alone.
+export function applyCursor(
+  query,
+  column: string,
+  ascending: boolean,
+  cursor: CursorPayload | null
+) {
+  if (!cursor) return query
+
+  const op = ascending ? 'gt' : 'lt'
+
+  if (cursor.value === null) {
+    return query.is(column, null)[op]('id', cursor.id)
+  }
+
+  const value = quoteFilterValue(cursor.value)
+  return query.or(
+    `${column}.${op}.${value},and(${column}.eq.${value},id.${op}.${cursor.id}),${column}.is.null`
+  )
+}
+
+// Split a limit + 1 result into the page and the cursor for the next one
+export function paginateRows(rows, limit: number, sort: string, column: string) {
+  const hasMore = rows.length > limit
+  const page = hasMore ? rows.slice(0, limit) : rows
+  const last = page[page.length - 1]
+
+  return {
+    page,
+    nextCursor: hasMore ? encodeCursor({ sort, value: last[column], id: last.id }) : null,
+  }
+}
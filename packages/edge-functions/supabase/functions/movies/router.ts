@@ -0,0 +1,94 @@
+// supabase/functions/movies/router.ts
+// Route table matching with path params and method handling
+
+export interface Route {
+  method: string
+  // Path relative to the function, e.g. '/movie/:id'
+  path: string
+  description: string
+  // 'admin' routes require an admin bearer token
+  auth?: 'admin'
+  handler: (req: Request, params: Record<string, string>) => Promise<Response> | Response
+}
+
+export type RouteMatch =
+  | { status: 200; route: Route; params: Record<string, string> }
+  | { status: 404 }
+  | { status: 405; allowed: string[] }
+
+// Requests arrive as /movies/... (or /functions/v1/movies/... when served locally),
+// and every route is also reachable under a /v1 prefix.
+export function normalizePath(pathname: string): string {
+  const path = pathname
+    .replace(/^\/functions\/v1(?=\/|$)/, '')
+    .replace(/^\/movies(?=\/|$)/, '')
+    .replace(/^\/v1(?=\/|$)/, '')
+    .replace(/\/+$/, '')
+
+  return path || '/'
+}
+
+function splitPath(path: string): string[] {
+  return path.split('/').filter(segment => segment.length > 0)
+}
+
+function matchPath(pattern: string, path: string): Record<string, string> | null {
+  const patternSegments = splitPath(pattern)
+  const pathSegments = splitPath(path)
+
+  if (patternSegments.length !== pathSegments.length) return null
+
+  const params: Record<string, string> = {}
+  for (let i = 0; i < patternSegments.length; i++) {
+    const expected = patternSegments[i]
+    const actual = pathSegments[i]
+
+    if (expected.startsWith(':')) {
+      try {
+        params[expected.slice(1)] = decodeURIComponent(actual)
+      } catch {
+        return null // Malformed escape sequence
+      }
+    } else if (expected !== actual) {
+      return null
+    }
+  }
+
+  return params
+}
+
+// Literal segments win over params, so /webhooks/events/replay isn't read as an event id
+function specificity(route: Route): number {
+  return splitPath(route.path).filter(segment => !segment.startsWith(':')).length
+}
+
+export function matchRoute(routes: Route[], method: string, pathname: string): RouteMatch {
+  const path = normalizePath(pathname)
+  const candidates = routes
+    .map(route => ({ route, params: matchPath(route.path, path) }))
+    .filter(candidate => candidate.params !== null)
+    .sort((a, b) => specificity(b.route) - specificity(a.route))
+
+  if (candidates.length === 0) return { status: 404 }
+
+  const topSpecificity = specificity(candidates[0].route)
+  const best = candidates.filter(candidate => specificity(candidate.route) === topSpecificity)
+  const match = best.find(candidate => candidate.route.method === method)
+
+  if (!match) {
+    return { status: 405, allowed: [...new Set(best.map(candidate => candidate.route.method))] }
+  }
+
+  return { status: 200, route: match.route, params: match.params as Record<string, string> }
+}
+
+// Human-readable route list for the welcome payload
+export function describeRoutes(routes: Route[], prefix = '/movies') {
+  return Object.fromEntries(
+    routes.map(route => {
+      const path = route.path === '/' ? prefix : `${prefix}${route.path}`
+      const label = `${route.method} ${path.replace(/:(\w+)/g, '{$1}')}`
+      return [label, route.auth ? `${route.description} (admin)` : route.description]
+    })
+  )
+}
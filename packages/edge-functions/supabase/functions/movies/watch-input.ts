@@ -0,0 +1,166 @@
+// supabase/functions/movies/watch-input.ts
+// Validation for manually logged and edited watches
+
+import { HttpError } from './http.ts'
+import { normalizeRating, type RatingScale } from '@msb/shared/utils/ratings.ts'
+
+// Fields a client can set on a watch (POST /watches and PATCH /watches/:id)
+export const WATCH_INPUT_FIELDS = [
+  'watched_at',
+  'rating',
+  'rating_scale',
+  'review',
+  'liked',
+  'tags',
+]
+
+const RATING_SCALES: RatingScale[] = [5, 10, 100]
+const MAX_TAGS = 20
+const MAX_TAG_LENGTH = 50
+// A date in the user's time zone can be up to a day ahead of UTC
+const FUTURE_TOLERANCE_MS = 24 * 60 * 60 * 1000
+
+// Column values for the fields present in the request
+export interface WatchChanges {
+  watched_at?: string
+  personal_rating?: number | null
+  rating_scale?: RatingScale | null
+  rating_raw?: string | null
+  review_text?: string | null
+  liked?: boolean | null
+  tags?: string[]
+}
+
+type Body = Record<string, unknown>
+
+function invalid(message: string, details: unknown = null): never {
+  throw new HttpError(400, 'invalid_request', message, details)
+}
+
+// The body must be a JSON object with no fields outside `allowed`, so a typo
+// doesn't silently do nothing
+export function requireFields(body: unknown, allowed: string[]): Body {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    invalid('Request body must be a JSON object')
+  }
+
+  const unknown = Object.keys(body).filter(field => !allowed.includes(field))
+  if (unknown.length > 0) {
+    invalid(`Unknown fields: ${unknown.join(', ')}`, { allowed })
+  }
+
+  return body as Body
+}
+
+// ISO date-time, or a plain YYYY-MM-DD for the diary day (stored as midnight UTC)
+export function parseWatchedAt(value: unknown, now = new Date()): string {
+  const message = 'watched_at must be an ISO 8601 date or date-time'
+  if (typeof value !== 'string') invalid(message)
+
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value)
+  const date = new Date(dateOnly ? `${value}T00:00:00.000Z` : value)
+
+  // Date rolls 2026-02-30 over to March; the round trip catches it
+  if (isNaN(date.getTime()) || (dateOnly && date.toISOString().slice(0, 10) !== value)) {
+    invalid(message)
+  }
+
+  if (date.getTime() > now.getTime() + FUTURE_TOLERANCE_MS) {
+    invalid('watched_at cannot be in the future')
+  }
+
+  return date.toISOString()
+}
+
+// `rating` is on `rating_scale` (default 10) and stored on the 0-10 half-point scale;
+// null clears it
+function parseRatingInput(body: Body): WatchChanges {
+  if (body.rating === null) {
+    return { personal_rating: null, rating_scale: null, rating_raw: null }
+  }
+
+  const scale = (body.rating_scale ?? 10) as RatingScale
+  if (!RATING_SCALES.includes(scale)) {
+    invalid(`rating_scale must be one of: ${RATING_SCALES.join(', ')}`)
+  }
+
+  const rating = body.rating
+  if (typeof rating !== 'number' || !Number.isFinite(rating)) {
+    invalid('rating must be a number')
+  }
+  if (rating < 0 || rating > scale) {
+    invalid(`rating must be between 0 and ${scale}`)
+  }
+
+  return {
+    personal_rating: normalizeRating(rating, scale),
+    rating_scale: scale,
+    rating_raw: `${rating}/${scale}`,
+  }
+}
+
+// Trimmed, without blanks or case-insensitive duplicates
+function parseTags(value: unknown): string[] {
+  if (!Array.isArray(value) || value.some(tag => typeof tag !== 'string')) {
+    invalid('tags must be an array of strings')
+  }
+
+  const tags: string[] = []
+  for (const tag of value.map(tag => tag.trim())) {
+    if (!tag || tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) continue
+    if (tag.length > MAX_TAG_LENGTH) {
+      invalid(`Tags can be at most ${MAX_TAG_LENGTH} characters`)
+    }
+    tags.push(tag)
+  }
+
+  if (tags.length > MAX_TAGS) {
+    invalid(`A watch can have at most ${MAX_TAGS} tags`)
+  }
+
+  return tags
+}
+
+// The rewatch flag kept in metadata.rewatch: true or false, or null to work it out from
+// the movie's earlier watches (see the rewatch_tracking migration)
+export function parseRewatch(value: unknown): boolean | null {
+  if (value !== null && typeof value !== 'boolean') {
+    invalid('rewatch must be true, false or null')
+  }
+  return value as boolean | null
+}
+
+// Validate the watch fields present in `body` and map them to columns
+export function parseWatchChanges(body: Body, now = new Date()): WatchChanges {
+  const changes: WatchChanges = {}
+
+  if (body.watched_at !== undefined) {
+    changes.watched_at = parseWatchedAt(body.watched_at, now)
+  }
+
+  if (body.rating !== undefined) {
+    Object.assign(changes, parseRatingInput(body))
+  } else if (body.rating_scale !== undefined) {
+    invalid('rating_scale is only used together with rating')
+  }
+
+  if (body.review !== undefined) {
+    if (body.review !== null && typeof body.review !== 'string') {
+      invalid('review must be a string or null')
+    }
+    changes.review_text = (body.review as string | null)?.trim() || null
+  }
+
+  if (body.liked !== undefined) {
+    if (body.liked !== null && typeof body.liked !== 'boolean') {
+      invalid('liked must be true, false or null')
+    }
+    changes.liked = body.liked as boolean | null
+  }
+
+  if (body.tags !== undefined) {
+    changes.tags = parseTags(body.tags)
+  }
+
+  return changes
+}
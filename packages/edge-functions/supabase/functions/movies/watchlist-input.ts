@@ -0,0 +1,126 @@
+// supabase/functions/movies/watchlist-input.ts
+// Validation for watchlist entries and the GET /watchlist filters
+
+import { HttpError, isUuid } from './http.ts'
+import { invalidFilter, parseInteger } from './movie-filters.ts'
+
+// Fields a client can set on an entry (POST /watchlist and PATCH /watchlist/:id)
+export const WATCHLIST_INPUT_FIELDS = ['priority', 'recommended_by', 'note']
+export const WATCHLIST_PRIORITIES = ['low', 'normal', 'high']
+export const WATCHLIST_STATUSES = ['pending', 'fulfilled', 'all']
+
+const MAX_RECOMMENDED_BY_LENGTH = 255
+
+// Column values for the fields present in the request
+export interface WatchlistChanges {
+  priority?: string
+  recommended_by?: string | null
+  note?: string | null
+}
+
+export interface WatchlistFilters {
+  status: string
+  priority: string | null
+  genres: string[]
+  yearFrom: number | null
+  yearTo: number | null
+  runtimeMin: number | null
+  runtimeMax: number | null
+}
+
+type Body = Record<string, unknown>
+
+function invalid(message: string, details: unknown = null): never {
+  throw new HttpError(400, 'invalid_request', message, details)
+}
+
+// A trimmed string, or null for null or a blank string
+function parseText(body: Body, field: string): string | null {
+  const value = body[field]
+  if (value !== null && typeof value !== 'string') {
+    invalid(`${field} must be a string or null`)
+  }
+  return (value as string | null)?.trim() || null
+}
+
+// Validate the entry fields present in `body` and map them to columns
+export function parseWatchlistChanges(body: Body): WatchlistChanges {
+  const changes: WatchlistChanges = {}
+
+  if (body.priority !== undefined) {
+    if (!WATCHLIST_PRIORITIES.includes(body.priority as string)) {
+      invalid(`priority must be one of: ${WATCHLIST_PRIORITIES.join(', ')}`)
+    }
+    changes.priority = body.priority as string
+  }
+
+  if (body.recommended_by !== undefined) {
+    changes.recommended_by = parseText(body, 'recommended_by')
+    if ((changes.recommended_by?.length ?? 0) > MAX_RECOMMENDED_BY_LENGTH) {
+      invalid(`recommended_by can be at most ${MAX_RECOMMENDED_BY_LENGTH} characters`)
+    }
+  }
+
+  if (body.note !== undefined) {
+    changes.note = parseText(body, 'note')
+  }
+
+  return changes
+}
+
+// The { ids } body of PUT /watchlist/order (and of PUT /lists/:id/items/order): entry
+// ids, without duplicates. They are cast to uuid[] in SQL, so anything else is a 400.
+export function parseEntryIds(value: unknown): string[] {
+  if (!Array.isArray(value)) invalid('ids must be an array of entry ids')
+
+  const malformed = value.filter(id => !isUuid(id))
+  if (malformed.length > 0) {
+    invalid('ids must be an array of entry ids', { invalid: malformed })
+  }
+  if (new Set(value).size !== value.length) {
+    invalid('ids must not repeat an entry')
+  }
+  return value
+}
+
+export function parseWatchlistFilters(params: URLSearchParams): WatchlistFilters {
+  const status = params.get('status') || 'pending'
+  if (!WATCHLIST_STATUSES.includes(status)) {
+    throw invalidFilter('status', `status must be one of: ${WATCHLIST_STATUSES.join(', ')}`)
+  }
+
+  const priority = params.get('priority') || null
+  if (priority && !WATCHLIST_PRIORITIES.includes(priority)) {
+    throw invalidFilter('priority', `priority must be one of: ${WATCHLIST_PRIORITIES.join(', ')}`)
+  }
+
+  const genres = (params.get('genre') || '')
+    .split(',')
+    .map(genre => genre.trim())
+    .filter(genre => genre.length > 0)
+
+  return {
+    status,
+    priority,
+    genres,
+    yearFrom: parseInteger(params, 'year_from'),
+    yearTo: parseInteger(params, 'year_to'),
+    runtimeMin: parseInteger(params, 'runtime_min'),
+    runtimeMax: parseInteger(params, 'runtime_max'),
+  }
+}
+
+// Apply the filters to a watchlist query that embeds its movie as `movie:movies!inner`.
+// Movies without a runtime or year (not enriched yet) drop out of those filters.
+export function applyWatchlistFilters(query, filters: WatchlistFilters) {
+  if (filters.status === 'pending') query = query.is('fulfilled_at', null)
+  if (filters.status === 'fulfilled') query = query.not('fulfilled_at', 'is', null)
+  if (filters.priority) query = query.eq('priority', filters.priority)
+  if (filters.genres.length > 0) query = query.contains('movie.genres', filters.genres)
+  if (filters.yearFrom !== null) query = query.gte('movie.year', filters.yearFrom)
+  if (filters.yearTo !== null) query = query.lte('movie.year', filters.yearTo)
+  if (filters.runtimeMin !== null) query = query.gte('movie.runtime', filters.runtimeMin)
+  if (filters.runtimeMax !== null) query = query.lte('movie.runtime', filters.runtimeMax)
+
+  return query
+}
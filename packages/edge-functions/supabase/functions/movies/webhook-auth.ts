@@ -0,0 +1,109 @@
+// supabase/functions/movies/webhook-auth.ts
+// Shared-secret verification for inbound feed webhooks
+
+// Signing secrets and query tokens are comma-separated so a new value can be
+// added alongside the old one, senders switched over, and the old one removed.
+const SIGNING_SECRETS = parseSecretList(Deno.env.get('WEBHOOK_SIGNING_SECRETS'))
+const QUERY_TOKENS = parseSecretList(Deno.env.get('WEBHOOK_QUERY_TOKENS'))
+const TOLERANCE_SECONDS = parseInt(Deno.env.get('WEBHOOK_TOLERANCE_SECONDS') || '300')
+
+export const SIGNATURE_HEADER = 'x-webhook-signature'
+export const TIMESTAMP_HEADER = 'x-webhook-timestamp'
+
+const encoder = new TextEncoder()
+
+export function parseSecretList(value: string | undefined): string[] {
+  return (value || '')
+    .split(',')
+    .map(secret => secret.trim())
+    .filter(secret => secret.length > 0)
+}
+
+// Compare two strings without short-circuiting on the first differing character
+export function timingSafeEqual(a: string, b: string): boolean {
+  const aBytes = encoder.encode(a)
+  const bBytes = encoder.encode(b)
+  let diff = aBytes.length ^ bBytes.length
+  for (let i = 0; i < aBytes.length; i++) {
+    diff |= aBytes[i] ^ (bBytes[i % bBytes.length] ?? 0)
+  }
+  return diff === 0
+}
+
+async function hmacSha256Hex(secret: string, message: string): Promise<string> {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  )
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message))
+  return Array.from(new Uint8Array(signature))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('')
+}
+
+// Signature is HMAC-SHA256 over `${timestamp}.${rawBody}`, hex encoded,
+// optionally prefixed with "sha256=".
+async function verifySignature(
+  signatureHeader: string,
+  timestampHeader: string | null,
+  rawBody: string
+) {
+  if (!timestampHeader) {
+    return { ok: false, reason: `Missing ${TIMESTAMP_HEADER} header` }
+  }
+
+  const timestamp = parseInt(timestampHeader)
+  if (isNaN(timestamp)) {
+    return { ok: false, reason: `Invalid ${TIMESTAMP_HEADER} header` }
+  }
+
+  const ageSeconds = Math.abs(Math.floor(Date.now() / 1000) - timestamp)
+  if (ageSeconds > TOLERANCE_SECONDS) {
+    return {
+      ok: false,
+      reason: `Request timestamp is outside the ${TOLERANCE_SECONDS}s replay window`,
+    }
+  }
+
+  const provided = signatureHeader
+    .replace(/^sha256=/, '')
+    .trim()
+    .toLowerCase()
+
+  for (const secret of SIGNING_SECRETS) {
+    const expected = await hmacSha256Hex(secret, `${timestamp}.${rawBody}`)
+    if (timingSafeEqual(provided, expected)) {
+      return { ok: true, mode: 'signature' }
+    }
+  }
+
+  return { ok: false, reason: 'Signature does not match' }
+}
+
+// Verify a webhook request against the configured secrets.
+// Signed requests are preferred; `?token=` is accepted for senders that can't sign.
+export async function verifyWebhookRequest(req: Request, rawBody: string) {
+  if (SIGNING_SECRETS.length === 0 && QUERY_TOKENS.length === 0) {
+    console.error('Webhook verification is not configured (WEBHOOK_SIGNING_SECRETS)')
+    return { ok: false, reason: 'Webhook verification is not configured' }
+  }
+
+  const signatureHeader = req.headers.get(SIGNATURE_HEADER)
+  if (signatureHeader && SIGNING_SECRETS.length > 0) {
+    return await verifySignature(signatureHeader, req.headers.get(TIMESTAMP_HEADER), rawBody)
+  }
+
+  const token = new URL(req.url).searchParams.get('token')
+  if (token && QUERY_TOKENS.length > 0) {
+    const matches = QUERY_TOKENS.some(candidate => timingSafeEqual(token, candidate))
+    return matches ? { ok: true, mode: 'token' } : { ok: false, reason: 'Invalid token' }
+  }
+
+  return {
+    ok: false,
+    reason: `Missing ${SIGNATURE_HEADER} header or token query parameter`,
+  }
+}
@@ -0,0 +1,20 @@
+-- Make webhook ingestion idempotent.
+-- A watch is identified by its feed GUID (or link) plus the UTC day it was watched,
+-- so a retried or re-imported item updates the existing row while a rewatch of the
+-- same film on another day still gets its own row. The day is needed because not
+-- every GUID is per viewing: the Trakt backfill sends one GUID per film.
+
+ALTER TABLE movie_watches
+  ADD COLUMN IF NOT EXISTS watched_on DATE
+  GENERATED ALWAYS AS ((watched_at AT TIME ZONE 'UTC')::DATE) STORED;
+
+-- Remove duplicates created before this constraint existed, keeping the oldest row
+DELETE FROM movie_watches mw
+USING movie_watches keep
+WHERE mw.external_id IS NOT NULL
+  AND mw.external_id = keep.external_id
+  AND mw.watched_on = keep.watched_on
+  AND (mw.created_at, mw.id) > (keep.created_at, keep.id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_movie_watches_external_id_watched_on
+  ON movie_watches (external_id, watched_on);
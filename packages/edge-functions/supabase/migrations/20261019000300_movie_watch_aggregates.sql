@@ -0,0 +1,29 @@
+-- Per-movie watch aggregates for filtering and sorting GET /movies.
+-- These are PostgREST computed columns: functions taking a movies row are exposed as
+-- virtual columns, so `select=*,watch_count` works and the API can filter, order and
+-- page on them in the database rather than over whatever page it happened to fetch.
+
+CREATE OR REPLACE FUNCTION watch_count(movie movies)
+RETURNS BIGINT AS $$
+  SELECT COUNT(*) FROM movie_watches WHERE movie_id = movie.id;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION last_watched_at(movie movies)
+RETURNS TIMESTAMPTZ AS $$
+  SELECT MAX(watched_at) FROM movie_watches WHERE movie_id = movie.id;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION average_rating(movie movies)
+RETURNS NUMERIC AS $$
+  SELECT ROUND(AVG(personal_rating), 2) FROM movie_watches WHERE movie_id = movie.id;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION watch_count(movies) IS 'Number of recorded watches (computed column)';
+COMMENT ON FUNCTION last_watched_at(movies) IS 'Most recent watched_at (computed column)';
+COMMENT ON FUNCTION average_rating(movies) IS 'Mean personal_rating across watches (computed column)';
+
+-- Indexes for the new movie filters
+CREATE INDEX IF NOT EXISTS idx_movies_year ON movies (year);
+CREATE INDEX IF NOT EXISTS idx_movies_genres ON movies USING GIN (genres);
+CREATE INDEX IF NOT EXISTS idx_movie_watches_movie_id_watched_at
+  ON movie_watches (movie_id, watched_at DESC);
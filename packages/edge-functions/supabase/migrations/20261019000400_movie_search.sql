@@ -0,0 +1,117 @@
+-- Full-text search for GET /movies/search.
+-- Documents are weighted title (A) > director (B) > plot (C) > reviews (D) and indexed
+-- through an unaccented English configuration, so "Amelie" finds "Amélie".
+
+CREATE EXTENSION IF NOT EXISTS unaccent WITH SCHEMA extensions;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = 'english_unaccent') THEN
+    CREATE TEXT SEARCH CONFIGURATION public.english_unaccent (COPY = pg_catalog.english);
+    ALTER TEXT SEARCH CONFIGURATION public.english_unaccent
+      ALTER MAPPING FOR hword, hword_part, word WITH extensions.unaccent, english_stem;
+  END IF;
+END
+$$;
+
+ALTER TABLE movies
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('public.english_unaccent', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('public.english_unaccent', COALESCE(director, '')), 'B') ||
+    setweight(to_tsvector('public.english_unaccent', COALESCE(plot_summary, '')), 'C')
+  ) STORED;
+
+ALTER TABLE movie_watches
+  ADD COLUMN IF NOT EXISTS review_search_vector TSVECTOR
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('public.english_unaccent', COALESCE(review_text, '')), 'D')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_movies_search_vector ON movies USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_movie_watches_review_search_vector
+  ON movie_watches USING GIN (review_search_vector);
+
+-- Concatenate a movie's review vectors into one document
+CREATE OR REPLACE AGGREGATE tsvector_agg(TSVECTOR) (
+  SFUNC = tsvector_concat,
+  STYPE = TSVECTOR,
+  INITCOND = ''
+);
+
+-- ts_headline with <mark> around matches. The text is HTML-escaped first so the
+-- snippet is safe to render as HTML.
+CREATE OR REPLACE FUNCTION search_headline(document TEXT, query TSQUERY, options TEXT DEFAULT '')
+RETURNS TEXT AS $$
+  SELECT ts_headline(
+    'public.english_unaccent',
+    replace(replace(replace(document, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+    query,
+    'StartSel=<mark>, StopSel=</mark>' || CASE WHEN options = '' THEN '' ELSE ', ' || options END
+  );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Ranked search over movies and their reviews. `search_query` uses web search syntax
+-- ("quoted phrases", OR, -excluded). Results are ordered by (rank, id) descending and
+-- paged by passing the last row's rank and id as after_rank / after_id.
+CREATE OR REPLACE FUNCTION search_movies(
+  search_query TEXT,
+  result_limit INTEGER DEFAULT 20,
+  after_rank REAL DEFAULT NULL,
+  after_id UUID DEFAULT NULL
+)
+RETURNS TABLE (id UUID, rank REAL, movie JSONB, highlights JSONB, matched_watch_id UUID) AS $$
+  WITH query AS (
+    SELECT websearch_to_tsquery('public.english_unaccent', search_query) AS q
+  ),
+  ranked AS (
+    SELECT m.id, ts_rank(m.search_vector || COALESCE(reviews.vector, ''::TSVECTOR), query.q) AS rank
+    FROM movies m
+    CROSS JOIN query
+    LEFT JOIN LATERAL (
+      SELECT tsvector_agg(mw.review_search_vector) AS vector
+      FROM movie_watches mw
+      WHERE mw.movie_id = m.id AND mw.review_text IS NOT NULL
+    ) reviews ON TRUE
+    WHERE (m.search_vector || COALESCE(reviews.vector, ''::TSVECTOR)) @@ query.q
+  ),
+  page AS (
+    SELECT ranked.id, ranked.rank
+    FROM ranked
+    WHERE after_rank IS NULL OR (ranked.rank, ranked.id) < (after_rank, after_id)
+    ORDER BY ranked.rank DESC, ranked.id DESC
+    LIMIT result_limit
+  )
+  SELECT
+    page.id,
+    page.rank,
+    (to_jsonb(m) - 'search_vector') || jsonb_build_object(
+      'watch_count', watch_count(m),
+      'last_watched_at', last_watched_at(m),
+      'average_rating', average_rating(m)
+    ),
+    jsonb_strip_nulls(jsonb_build_object(
+      'title', CASE WHEN to_tsvector('public.english_unaccent', COALESCE(m.title, '')) @@ query.q
+        THEN search_headline(m.title, query.q, 'HighlightAll=true') END,
+      'director', CASE WHEN to_tsvector('public.english_unaccent', COALESCE(m.director, '')) @@ query.q
+        THEN search_headline(m.director, query.q, 'HighlightAll=true') END,
+      'plot', CASE WHEN to_tsvector('public.english_unaccent', COALESCE(m.plot_summary, '')) @@ query.q
+        THEN search_headline(m.plot_summary, query.q, 'MaxFragments=2, MaxWords=20, MinWords=8') END,
+      'review', search_headline(review.review_text, query.q, 'MaxFragments=2, MaxWords=20, MinWords=8')
+    )),
+    review.id
+  FROM page
+  JOIN movies m ON m.id = page.id
+  CROSS JOIN query
+  LEFT JOIN LATERAL (
+    SELECT mw.id, mw.review_text
+    FROM movie_watches mw
+    WHERE mw.movie_id = m.id AND mw.review_search_vector @@ query.q
+    ORDER BY ts_rank(mw.review_search_vector, query.q) DESC, mw.watched_at DESC
+    LIMIT 1
+  ) review ON TRUE
+  ORDER BY page.rank DESC, page.id DESC;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION search_movies(TEXT, INTEGER, REAL, UUID) IS
+  'Weighted full-text search over titles, directors, plots and reviews';
@@ -0,0 +1,54 @@
+-- Canonical ratings: personal_rating is 0-10 in half-point steps for every source.
+-- rating_scale and rating_raw keep what the source actually said (e.g. 5 and '★★★½').
+--
+-- Letterboxd watches used to store the number of ★ characters (0-5, with "½" dropped)
+-- in personal_rating. They are re-parsed from the feed title/content kept in metadata.
+
+ALTER TABLE movie_watches ADD COLUMN IF NOT EXISTS rating_scale SMALLINT
+  CHECK (rating_scale IN (5, 10, 100));
+ALTER TABLE movie_watches ADD COLUMN IF NOT EXISTS rating_raw TEXT;
+
+COMMENT ON COLUMN movie_watches.personal_rating IS 'Rating on a 0-10 scale in half-point steps';
+COMMENT ON COLUMN movie_watches.rating_scale IS 'Maximum of the scale the source rated on (5 = stars)';
+COMMENT ON COLUMN movie_watches.rating_raw IS 'Rating as it appeared in the source, e.g. ★★★½ or 8/10';
+
+-- Stars ("★★★½") from the feed item, for rows that haven't been normalized yet.
+-- Rows with a rating_scale are already canonical, so re-running this is a no-op.
+WITH parsed AS (
+  SELECT id, COALESCE(
+    substring(metadata->>'feed_title' FROM '★+½?'),
+    substring(metadata->>'feed_content' FROM '★+½?')
+  ) AS stars
+  FROM movie_watches
+  WHERE rating_scale IS NULL
+    AND (source = 'letterboxd' OR personal_rating IS NULL)
+)
+UPDATE movie_watches mw
+SET personal_rating = (char_length(replace(parsed.stars, '½', '')) + CASE
+      WHEN parsed.stars LIKE '%½' THEN 0.5 ELSE 0 END) * 2,
+    rating_scale = 5,
+    rating_raw = parsed.stars
+FROM parsed
+WHERE mw.id = parsed.id
+  AND parsed.stars IS NOT NULL;
+
+-- Letterboxd rows whose stars can't be recovered: the stored count was whole stars
+UPDATE movie_watches
+SET personal_rating = personal_rating * 2,
+    rating_scale = 5,
+    rating_raw = repeat('★', personal_rating::INTEGER)
+WHERE source = 'letterboxd'
+  AND rating_scale IS NULL
+  AND personal_rating IS NOT NULL;
+
+-- Everything else was already parsed from "x/10"
+UPDATE movie_watches
+SET personal_rating = ROUND(personal_rating * 2) / 2,
+    rating_scale = 10,
+    rating_raw = COALESCE(rating_raw, personal_rating::TEXT || '/10')
+WHERE rating_scale IS NULL
+  AND personal_rating IS NOT NULL;
+
+ALTER TABLE movie_watches DROP CONSTRAINT IF EXISTS movie_watches_personal_rating_half_points;
+ALTER TABLE movie_watches ADD CONSTRAINT movie_watches_personal_rating_half_points
+  CHECK (personal_rating * 2 = FLOOR(personal_rating * 2));
@@ -0,0 +1,30 @@
+-- RSS/Atom feeds polled by POST /movies/feeds/poll, with per-feed cursor state.
+-- Rows are created from the FEED_URLS function secret; disable a feed with enabled = FALSE.
+
+CREATE TABLE IF NOT EXISTS feeds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  url TEXT NOT NULL UNIQUE,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  title TEXT,
+  -- Validators from the last 200 response, sent back as If-None-Match / If-Modified-Since
+  etag TEXT,
+  last_modified TEXT,
+  -- Publish time of the newest item ingested; items at or before it are skipped
+  last_item_at TIMESTAMPTZ,
+  last_polled_at TIMESTAMPTZ,
+  last_success_at TIMESTAMPTZ,
+  last_status VARCHAR CHECK (last_status IN ('ok', 'not_modified', 'failed')),
+  last_error TEXT,
+  items_ingested INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS feeds_updated_at_trigger ON feeds;
+CREATE TRIGGER feeds_updated_at_trigger
+  BEFORE UPDATE ON feeds
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Only the service role (used by the edge function) may read or write feeds
+ALTER TABLE feeds ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,136 @@
+-- TMDB enrichment queue. New movies get a job instead of being enriched inside the
+-- webhook request; POST /movies/enrichment/run (or `tmdb-enricher.js queue`) drains it.
+-- Failed attempts are retried with exponential backoff until max_attempts.
+
+CREATE TABLE IF NOT EXISTS enrichment_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  movie_id UUID NOT NULL REFERENCES movies (id) ON DELETE CASCADE,
+  -- no_match: TMDB had nothing for the title/year, so there is nothing to retry
+  status VARCHAR NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'running', 'succeeded', 'no_match', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 6,
+  run_after TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_error TEXT,
+  locked_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- At most one open job per movie
+CREATE UNIQUE INDEX IF NOT EXISTS idx_enrichment_jobs_open_movie
+  ON enrichment_jobs (movie_id) WHERE status IN ('pending', 'running');
+
+CREATE INDEX IF NOT EXISTS idx_enrichment_jobs_status_run_after
+  ON enrichment_jobs (status, run_after);
+
+DROP TRIGGER IF EXISTS enrichment_jobs_updated_at_trigger ON enrichment_jobs;
+CREATE TRIGGER enrichment_jobs_updated_at_trigger
+  BEFORE UPDATE ON enrichment_jobs
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE enrichment_jobs ENABLE ROW LEVEL SECURITY;
+
+-- Queue a job unless the movie already has an open one. Returns the open job.
+CREATE OR REPLACE FUNCTION enqueue_enrichment_job(job_movie_id UUID)
+RETURNS enrichment_jobs AS $$
+DECLARE
+  job enrichment_jobs;
+BEGIN
+  INSERT INTO enrichment_jobs (movie_id)
+  VALUES (job_movie_id)
+  ON CONFLICT (movie_id) WHERE status IN ('pending', 'running') DO NOTHING
+  RETURNING * INTO job;
+
+  IF job.id IS NULL THEN
+    SELECT * INTO job FROM enrichment_jobs
+    WHERE movie_id = job_movie_id AND status IN ('pending', 'running');
+  END IF;
+
+  RETURN job;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Every new movie without a poster is queued
+CREATE OR REPLACE FUNCTION enqueue_movie_enrichment()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM enqueue_enrichment_job(NEW.id);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS movies_enqueue_enrichment_trigger ON movies;
+CREATE TRIGGER movies_enqueue_enrichment_trigger
+  AFTER INSERT ON movies
+  FOR EACH ROW
+  WHEN (NEW.poster_url IS NULL)
+  EXECUTE FUNCTION enqueue_movie_enrichment();
+
+-- Claim up to batch_size due jobs for a worker. Jobs left 'running' for longer than
+-- stale_after (a worker that died mid-job) are claimed again.
+CREATE OR REPLACE FUNCTION claim_enrichment_jobs(
+  batch_size INTEGER DEFAULT 10,
+  stale_after INTERVAL DEFAULT INTERVAL '10 minutes'
+)
+RETURNS SETOF enrichment_jobs AS $$
+  UPDATE enrichment_jobs
+  SET status = 'running', attempts = attempts + 1, locked_at = NOW()
+  WHERE id IN (
+    SELECT id FROM enrichment_jobs
+    WHERE (status = 'pending' AND run_after <= NOW())
+      OR (status = 'running' AND locked_at < NOW() - stale_after)
+    ORDER BY run_after, created_at
+    LIMIT batch_size
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING *;
+$$ LANGUAGE sql;
+
+-- Finish a claimed job as 'succeeded' or 'no_match'
+CREATE OR REPLACE FUNCTION complete_enrichment_job(job_id UUID, outcome VARCHAR DEFAULT 'succeeded')
+RETURNS enrichment_jobs AS $$
+  UPDATE enrichment_jobs
+  SET status = outcome, last_error = NULL, locked_at = NULL, completed_at = NOW()
+  WHERE id = job_id
+  RETURNING *;
+$$ LANGUAGE sql;
+
+-- Record a failed attempt: back off 2, 4, 8, ... minutes, or give up after max_attempts
+CREATE OR REPLACE FUNCTION fail_enrichment_job(job_id UUID, error_message TEXT)
+RETURNS enrichment_jobs AS $$
+  UPDATE enrichment_jobs
+  SET status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'pending' END,
+      run_after = NOW() + INTERVAL '1 minute' * power(2, attempts),
+      last_error = error_message,
+      locked_at = NULL,
+      completed_at = CASE WHEN attempts >= max_attempts THEN NOW() END
+  WHERE id = job_id
+  RETURNING *;
+$$ LANGUAGE sql;
+
+-- Put a finished job back in the queue with a fresh set of attempts. Returns nothing
+-- when the job is still open or the movie already has another open job.
+CREATE OR REPLACE FUNCTION retry_enrichment_job(job_id UUID)
+RETURNS enrichment_jobs AS $$
+  UPDATE enrichment_jobs
+  SET status = 'pending', attempts = 0, run_after = NOW(), last_error = NULL,
+      locked_at = NULL, completed_at = NULL
+  WHERE id = job_id
+    AND status IN ('succeeded', 'no_match', 'failed')
+    AND NOT EXISTS (
+      SELECT 1 FROM enrichment_jobs open_job
+      WHERE open_job.movie_id = enrichment_jobs.movie_id
+        AND open_job.status IN ('pending', 'running')
+    )
+  RETURNING *;
+$$ LANGUAGE sql;
+
+-- Movies that were never enriched get a job now
+INSERT INTO enrichment_jobs (movie_id)
+SELECT m.id FROM movies m
+WHERE m.poster_url IS NULL
+  AND NOT EXISTS (SELECT 1 FROM enrichment_jobs j WHERE j.movie_id = m.id)
+ON CONFLICT DO NOTHING;
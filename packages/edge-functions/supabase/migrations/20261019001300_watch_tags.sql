@@ -0,0 +1,21 @@
+-- Free-form tags on watches, set when logging or editing a watch through the API
+-- (POST /movies/watches, PATCH /movies/watches/:id).
+
+ALTER TABLE movie_watches ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN movie_watches.tags IS 'Free-form tags, trimmed and without case-insensitive duplicates';
+
+CREATE INDEX IF NOT EXISTS idx_movie_watches_tags ON movie_watches USING GIN (tags);
+
+-- Feed items are matched on the day they were delivered for rather than watched_on,
+-- so a feed watch moved to another day with PATCH is still found (and kept as edited)
+-- when its item is delivered again.
+ALTER TABLE movie_watches ADD COLUMN IF NOT EXISTS delivered_on DATE;
+
+UPDATE movie_watches
+SET delivered_on = watched_on
+WHERE external_id IS NOT NULL AND delivered_on IS NULL;
+
+DROP INDEX IF EXISTS idx_movie_watches_external_id_watched_on;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_movie_watches_external_id_delivered_on
+  ON movie_watches (external_id, delivered_on);
@@ -0,0 +1,436 @@
+-- Rewatch tracking and per-movie watch history.
+--
+-- movie_watches.is_rewatch is the feed's own flag when it has one (metadata.rewatch,
+-- e.g. letterboxd:rewatch or "rewatch" on a manual watch), otherwise whether the movie
+-- has an earlier watch. movies.first_watched_at, last_watched_at and rewatch_count
+-- summarize the history. Both are kept up to date by a trigger on movie_watches, so a
+-- backfilled older watch also re-flags the watches after it.
+
+ALTER TABLE movie_watches ADD COLUMN IF NOT EXISTS is_rewatch BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- last_watched_at was a computed column (movie_watch_aggregates); it is stored now
+DROP FUNCTION IF EXISTS last_watched_at(movies);
+
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS first_watched_at TIMESTAMPTZ;
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS last_watched_at TIMESTAMPTZ;
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS rewatch_count INTEGER NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN movie_watches.is_rewatch IS
+  'From the feed when it says so, otherwise true when the movie has an earlier watch';
+COMMENT ON COLUMN movies.rewatch_count IS 'Number of watches flagged is_rewatch';
+
+CREATE INDEX IF NOT EXISTS idx_movies_last_watched_at ON movies (last_watched_at);
+
+CREATE OR REPLACE FUNCTION refresh_movie_watch_history(history_movie_id UUID)
+RETURNS VOID AS $$
+  UPDATE movie_watches mw
+  SET is_rewatch = numbered.is_rewatch
+  FROM (
+    SELECT id,
+      COALESCE(
+        (metadata->>'rewatch')::BOOLEAN,
+        ROW_NUMBER() OVER (ORDER BY watched_at, id) > 1
+      ) AS is_rewatch
+    FROM movie_watches
+    WHERE movie_id = history_movie_id
+  ) numbered
+  WHERE mw.id = numbered.id AND mw.is_rewatch <> numbered.is_rewatch;
+
+  UPDATE movies
+  SET first_watched_at = history.first_watched_at,
+      last_watched_at = history.last_watched_at,
+      rewatch_count = history.rewatch_count
+  FROM (
+    SELECT MIN(watched_at) AS first_watched_at,
+      MAX(watched_at) AS last_watched_at,
+      COUNT(*) FILTER (WHERE is_rewatch) AS rewatch_count
+    FROM movie_watches
+    WHERE movie_id = history_movie_id
+  ) history
+  WHERE movies.id = history_movie_id;
+$$ LANGUAGE sql;
+
+-- Refreshes the movie a watch belongs to, and the one it moved away from (merges).
+-- Not fired by the is_rewatch updates above, since they don't touch these columns.
+CREATE OR REPLACE FUNCTION refresh_watch_history()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP <> 'INSERT' THEN
+    PERFORM refresh_movie_watch_history(OLD.movie_id);
+  END IF;
+
+  IF TG_OP = 'INSERT' OR (TG_OP = 'UPDATE' AND NEW.movie_id <> OLD.movie_id) THEN
+    PERFORM refresh_movie_watch_history(NEW.movie_id);
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS movie_watches_history_trigger ON movie_watches;
+CREATE TRIGGER movie_watches_history_trigger
+  AFTER INSERT OR DELETE OR UPDATE OF movie_id, watched_at, metadata ON movie_watches
+  FOR EACH ROW
+  EXECUTE FUNCTION refresh_watch_history();
+
+-- Backfill
+SELECT refresh_movie_watch_history(id) FROM movies;
+
+-- Stats and the year in review count rewatches with is_rewatch
+CREATE OR REPLACE FUNCTION movie_stats(breakdowns TEXT[] DEFAULT '{}', top_limit INTEGER DEFAULT 10)
+RETURNS JSONB AS $$
+DECLARE
+  total_movies BIGINT;
+  movies_with_posters BIGINT;
+  result JSONB;
+BEGIN
+  SELECT COUNT(*), COUNT(poster_url) INTO total_movies, movies_with_posters FROM movies;
+
+  result := jsonb_build_object(
+    'total_movies', total_movies,
+    'total_watches', (SELECT COUNT(*) FROM movie_watches),
+    'movies_with_posters', movies_with_posters,
+    'poster_coverage', CASE WHEN total_movies > 0
+      THEN ROUND(100.0 * movies_with_posters / total_movies) ELSE 0 END,
+    'average_rating', (SELECT COALESCE(ROUND(AVG(personal_rating), 1), 0) FROM movie_watches),
+    -- Movies seen vs viewings: total_watches counts every viewing
+    'movies_watched', (SELECT COUNT(DISTINCT movie_id) FROM movie_watches),
+    'total_rewatches', (SELECT COUNT(*) FROM movie_watches WHERE is_rewatch)
+  );
+
+  IF 'years' = ANY(breakdowns) THEN
+    result := result || jsonb_build_object('watches_by_year', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'year', year, 'watches', watches, 'movies', movies
+      ) ORDER BY year), '[]'::JSONB)
+      FROM (
+        SELECT EXTRACT(YEAR FROM watched_on)::INTEGER AS year,
+          COUNT(*) AS watches, COUNT(DISTINCT movie_id) AS movies
+        FROM movie_watches
+        GROUP BY 1
+      ) years
+    ));
+  END IF;
+
+  IF 'months' = ANY(breakdowns) THEN
+    result := result || jsonb_build_object('watches_by_month', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'month', month, 'watches', watches, 'movies', movies
+      ) ORDER BY month), '[]'::JSONB)
+      FROM (
+        SELECT to_char(watched_on, 'YYYY-MM') AS month,
+          COUNT(*) AS watches, COUNT(DISTINCT movie_id) AS movies
+        FROM movie_watches
+        GROUP BY 1
+      ) months
+    ));
+  END IF;
+
+  IF 'genres' = ANY(breakdowns) THEN
+    result := result || jsonb_build_object('top_genres', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'genre', genre, 'movies', movies, 'watches', watches
+      ) ORDER BY watches DESC, movies DESC, genre), '[]'::JSONB)
+      FROM (
+        SELECT genre, COUNT(DISTINCT m.id) AS movies, COUNT(mw.id) AS watches
+        FROM movies m
+        CROSS JOIN LATERAL unnest(m.genres) AS genre
+        LEFT JOIN movie_watches mw ON mw.movie_id = m.id
+        GROUP BY genre
+        ORDER BY watches DESC, movies DESC, genre
+        LIMIT top_limit
+      ) genres
+    ));
+  END IF;
+
+  IF 'directors' = ANY(breakdowns) THEN
+    result := result || jsonb_build_object('top_directors', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'director', director, 'movies', movies, 'watches', watches
+      ) ORDER BY watches DESC, movies DESC, director), '[]'::JSONB)
+      FROM (
+        SELECT m.director, COUNT(DISTINCT m.id) AS movies, COUNT(mw.id) AS watches
+        FROM movies m
+        LEFT JOIN movie_watches mw ON mw.movie_id = m.id
+        WHERE m.director IS NOT NULL
+        GROUP BY m.director
+        ORDER BY watches DESC, movies DESC, m.director
+        LIMIT top_limit
+      ) directors
+    ));
+  END IF;
+
+  IF 'countries' = ANY(breakdowns) THEN
+    result := result || jsonb_build_object('top_countries', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'country', country, 'movies', movies, 'watches', watches
+      ) ORDER BY watches DESC, movies DESC, country), '[]'::JSONB)
+      FROM (
+        SELECT m.country, COUNT(DISTINCT m.id) AS movies, COUNT(mw.id) AS watches
+        FROM movies m
+        LEFT JOIN movie_watches mw ON mw.movie_id = m.id
+        WHERE m.country IS NOT NULL
+        GROUP BY m.country
+        ORDER BY watches DESC, movies DESC, m.country
+        LIMIT top_limit
+      ) countries
+    ));
+  END IF;
+
+  IF 'languages' = ANY(breakdowns) THEN
+    result := result || jsonb_build_object('top_languages', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'language', language, 'movies', movies, 'watches', watches
+      ) ORDER BY watches DESC, movies DESC, language), '[]'::JSONB)
+      FROM (
+        SELECT m.language, COUNT(DISTINCT m.id) AS movies, COUNT(mw.id) AS watches
+        FROM movies m
+        LEFT JOIN movie_watches mw ON mw.movie_id = m.id
+        WHERE m.language IS NOT NULL
+        GROUP BY m.language
+        ORDER BY watches DESC, movies DESC, m.language
+        LIMIT top_limit
+      ) languages
+    ));
+  END IF;
+
+  -- Ratings bucketed to the nearest half point
+  IF 'ratings' = ANY(breakdowns) THEN
+    result := result || jsonb_build_object('rating_histogram', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'rating', rating, 'watches', watches
+      ) ORDER BY rating), '[]'::JSONB)
+      FROM (
+        SELECT ROUND(personal_rating * 2) / 2 AS rating, COUNT(*) AS watches
+        FROM movie_watches
+        WHERE personal_rating IS NOT NULL
+        GROUP BY 1
+      ) ratings
+    ));
+  END IF;
+
+  IF 'genre_ratings' = ANY(breakdowns) THEN
+    result := result || jsonb_build_object('average_rating_by_genre', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'genre', genre, 'average_rating', average_rating, 'ratings', ratings
+      ) ORDER BY average_rating DESC, ratings DESC, genre), '[]'::JSONB)
+      FROM (
+        SELECT genre, ROUND(AVG(mw.personal_rating), 2) AS average_rating,
+          COUNT(mw.personal_rating) AS ratings
+        FROM movies m
+        CROSS JOIN LATERAL unnest(m.genres) AS genre
+        JOIN movie_watches mw ON mw.movie_id = m.id
+        WHERE mw.personal_rating IS NOT NULL
+        GROUP BY genre
+      ) genre_ratings
+    ));
+  END IF;
+
+  IF 'rewatches' = ANY(breakdowns) THEN
+    result := result || (
+      SELECT jsonb_build_object('rewatches', jsonb_build_object(
+        'first_watches', COUNT(*) FILTER (WHERE NOT is_rewatch),
+        'rewatches', COUNT(*) FILTER (WHERE is_rewatch),
+        'rewatched_movies', COUNT(DISTINCT movie_id) FILTER (WHERE is_rewatch)
+      ))
+      FROM movie_watches
+    );
+  END IF;
+
+  IF 'runtime' = ANY(breakdowns) THEN
+    result := result || (
+      SELECT jsonb_build_object('runtime', jsonb_build_object(
+        'total_minutes', COALESCE(SUM(m.runtime), 0),
+        'total_hours', ROUND(COALESCE(SUM(m.runtime), 0) / 60.0, 1),
+        'watches_with_runtime', COUNT(m.runtime),
+        'watches_without_runtime', COUNT(*) - COUNT(m.runtime)
+      ))
+      FROM movie_watches mw
+      JOIN movies m ON m.id = mw.movie_id
+    );
+  END IF;
+
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION movie_stats(TEXT[], INTEGER) IS
+  'Summary statistics plus the requested breakdowns for GET /movies/stats';
+
+-- Returns NULL when nothing was watched in review_year
+CREATE OR REPLACE FUNCTION year_review(review_year INTEGER, top_limit INTEGER DEFAULT 5)
+RETURNS JSONB AS $$
+DECLARE
+  year_start DATE := make_date(review_year, 1, 1);
+  year_end DATE := make_date(review_year + 1, 1, 1);
+  totals JSONB;
+  previous JSONB;
+  rated JSONB;
+  result JSONB;
+BEGIN
+  totals := year_watch_totals(review_year);
+  IF (totals->>'watches')::INTEGER = 0 THEN
+    RETURN NULL;
+  END IF;
+
+  previous := year_watch_totals(review_year - 1);
+
+  result := jsonb_build_object(
+    'year', review_year,
+    'total_watches', totals->'watches',
+    'total_films', totals->'films',
+    'total_minutes', totals->'minutes',
+    'total_hours', totals->'hours',
+    'average_rating', totals->'average_rating'
+  );
+
+  -- First and last watch of the year
+  result := result || jsonb_build_object(
+    'first_watch', (
+      SELECT jsonb_build_object('watch_id', mw.id, 'watched_at', mw.watched_at, 'movie', review_movie(m))
+      FROM movie_watches mw JOIN movies m ON m.id = mw.movie_id
+      WHERE mw.watched_on >= year_start AND mw.watched_on < year_end
+      ORDER BY mw.watched_at, mw.id
+      LIMIT 1
+    ),
+    'last_watch', (
+      SELECT jsonb_build_object('watch_id', mw.id, 'watched_at', mw.watched_at, 'movie', review_movie(m))
+      FROM movie_watches mw JOIN movies m ON m.id = mw.movie_id
+      WHERE mw.watched_on >= year_start AND mw.watched_on < year_end
+      ORDER BY mw.watched_at DESC, mw.id DESC
+      LIMIT 1
+    )
+  );
+
+  result := result || jsonb_build_object('most_watched_month', (
+    SELECT jsonb_build_object('month', month, 'watches', watches)
+    FROM (
+      SELECT EXTRACT(MONTH FROM watched_on)::INTEGER AS month, COUNT(*) AS watches
+      FROM movie_watches
+      WHERE watched_on >= year_start AND watched_on < year_end
+      GROUP BY 1
+      ORDER BY watches DESC, month
+      LIMIT 1
+    ) months
+  ));
+
+  -- Films rated this year, using each film's average rating across the year's watches
+  WITH year_ratings AS (
+    SELECT review_movie(m) AS movie, ratings.rating
+    FROM (
+      SELECT movie_id, ROUND(AVG(personal_rating), 2) AS rating
+      FROM movie_watches
+      WHERE watched_on >= year_start AND watched_on < year_end
+        AND personal_rating IS NOT NULL
+      GROUP BY movie_id
+    ) ratings
+    JOIN movies m ON m.id = ratings.movie_id
+  )
+  SELECT jsonb_build_object(
+    'highest_rated', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('movie', movie, 'rating', rating)
+        ORDER BY rating DESC, movie->>'title')
+      FROM (
+        SELECT * FROM year_ratings ORDER BY rating DESC, movie->>'title' LIMIT top_limit
+      ) best
+    ), '[]'::JSONB),
+    'lowest_rated', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('movie', movie, 'rating', rating)
+        ORDER BY rating, movie->>'title')
+      FROM (
+        SELECT * FROM year_ratings ORDER BY rating, movie->>'title' LIMIT top_limit
+      ) worst
+    ), '[]'::JSONB)
+  ) INTO rated;
+
+  result := result || rated;
+
+  result := result || jsonb_build_object(
+    'top_directors', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object('director', director, 'watches', watches)
+        ORDER BY watches DESC, director), '[]'::JSONB)
+      FROM (
+        SELECT m.director, COUNT(*) AS watches
+        FROM movie_watches mw JOIN movies m ON m.id = mw.movie_id
+        WHERE mw.watched_on >= year_start AND mw.watched_on < year_end
+          AND m.director IS NOT NULL
+        GROUP BY m.director
+        ORDER BY watches DESC, m.director
+        LIMIT top_limit
+      ) directors
+    ),
+    'top_genres', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object('genre', genre, 'watches', watches)
+        ORDER BY watches DESC, genre), '[]'::JSONB)
+      FROM (
+        SELECT genre, COUNT(*) AS watches
+        FROM movie_watches mw
+        JOIN movies m ON m.id = mw.movie_id
+        CROSS JOIN LATERAL unnest(m.genres) AS genre
+        WHERE mw.watched_on >= year_start AND mw.watched_on < year_end
+        GROUP BY genre
+        ORDER BY watches DESC, genre
+        LIMIT top_limit
+      ) genres
+    )
+  );
+
+  -- New to me = not a rewatch, so a film first seen in an earlier year counts as a
+  -- rewatch even if it is the first viewing this year
+  result := result || (
+    SELECT jsonb_build_object('new_vs_rewatch', jsonb_build_object(
+      'new', COUNT(*) FILTER (WHERE NOT is_rewatch),
+      'rewatch', COUNT(*) FILTER (WHERE is_rewatch)
+    ))
+    FROM movie_watches
+    WHERE watched_on >= year_start AND watched_on < year_end
+  );
+
+  result := result || jsonb_build_object(
+    'oldest_release', (
+      SELECT review_movie(m)
+      FROM movie_watches mw JOIN movies m ON m.id = mw.movie_id
+      WHERE mw.watched_on >= year_start AND mw.watched_on < year_end AND m.year IS NOT NULL
+      ORDER BY m.year, m.title
+      LIMIT 1
+    ),
+    'newest_release', (
+      SELECT review_movie(m)
+      FROM movie_watches mw JOIN movies m ON m.id = mw.movie_id
+      WHERE mw.watched_on >= year_start AND mw.watched_on < year_end AND m.year IS NOT NULL
+      ORDER BY m.year DESC, m.title
+      LIMIT 1
+    )
+  );
+
+  -- Longest run of consecutive days with at least one watch (gaps and islands)
+  result := result || jsonb_build_object('longest_streak', (
+    SELECT jsonb_build_object('days', COUNT(*), 'start', MIN(day), 'end', MAX(day))
+    FROM (
+      SELECT day, day - (ROW_NUMBER() OVER (ORDER BY day))::INTEGER AS island
+      FROM (
+        SELECT DISTINCT watched_on AS day
+        FROM movie_watches
+        WHERE watched_on >= year_start AND watched_on < year_end
+      ) days
+    ) islands
+    GROUP BY island
+    ORDER BY COUNT(*) DESC, MIN(day)
+    LIMIT 1
+  ));
+
+  result := result || jsonb_build_object('previous_year', previous || jsonb_build_object(
+    'change', jsonb_build_object(
+      'watches', (totals->>'watches')::INTEGER - (previous->>'watches')::INTEGER,
+      'films', (totals->>'films')::INTEGER - (previous->>'films')::INTEGER,
+      'hours', (totals->>'hours')::NUMERIC - (previous->>'hours')::NUMERIC,
+      'average_rating', (totals->>'average_rating')::NUMERIC - (previous->>'average_rating')::NUMERIC
+    )
+  ));
+
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION year_review(INTEGER, INTEGER) IS
+  'Year-in-review summary for GET /movies/year/{year}/review';
@@ -0,0 +1,183 @@
+-- Cast and crew as people, and more release metadata on movies.
+--
+-- Enrichment used to keep only the director's name. Now every TMDB person in a
+-- movie's credits (top-billed cast plus directors, writers, cinematographers and
+-- composers) is a row in people, linked to the movie by movie_credits.
+-- replace_movie_credits() swaps in a movie's credits whenever its TMDB data is
+-- written. movies.director stays: it holds the director credits' names, written by
+-- the same enrichment update.
+
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS release_date DATE;
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS original_title VARCHAR(255);
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS tagline TEXT;
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS imdb_id VARCHAR(20);
+
+CREATE INDEX IF NOT EXISTS idx_movies_imdb_id ON movies (imdb_id);
+CREATE INDEX IF NOT EXISTS idx_movies_release_date ON movies (release_date);
+
+CREATE TABLE IF NOT EXISTS people (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tmdb_id VARCHAR(255) UNIQUE NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  profile_url TEXT,
+  -- TMDB's main department for the person ('Acting', 'Directing', ...)
+  known_for_department VARCHAR(100),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_people_name ON people (name);
+
+DROP TRIGGER IF EXISTS people_updated_at_trigger ON people;
+CREATE TRIGGER people_updated_at_trigger
+  BEFORE UPDATE ON people
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE people ENABLE ROW LEVEL SECURITY;
+
+CREATE TABLE IF NOT EXISTS movie_credits (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  movie_id UUID NOT NULL REFERENCES movies (id) ON DELETE CASCADE,
+  person_id UUID NOT NULL REFERENCES people (id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL
+    CHECK (role IN ('cast', 'director', 'writer', 'cinematographer', 'composer')),
+  -- TMDB's job title ('Screenplay', 'Original Music Composer', ...); NULL for cast
+  job VARCHAR(100),
+  character_name VARCHAR(255),
+  -- Position within the role, from 0, in TMDB's order
+  billing_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  -- A person who is e.g. both screenplay and story writer keeps their first credit
+  UNIQUE (movie_id, person_id, role)
+);
+
+CREATE INDEX IF NOT EXISTS idx_movie_credits_movie ON movie_credits (movie_id, role, billing_order);
+CREATE INDEX IF NOT EXISTS idx_movie_credits_person ON movie_credits (person_id);
+
+ALTER TABLE movie_credits ENABLE ROW LEVEL SECURITY;
+
+-- Replace a movie's credits. `credits` is an array of
+--   { tmdb_id, name, profile_url, known_for_department, role, job, character_name,
+--     billing_order }
+-- as built by movieCredits() in packages/shared/src/utils/tmdb-client.ts. People are
+-- upserted by TMDB id, so a person credited on several movies is one row. Returns
+-- the number of credits saved.
+CREATE OR REPLACE FUNCTION replace_movie_credits(credit_movie_id UUID, credits JSONB)
+RETURNS INTEGER AS $$
+DECLARE
+  saved INTEGER;
+BEGIN
+  INSERT INTO people (tmdb_id, name, profile_url, known_for_department)
+  SELECT DISTINCT ON (credit->>'tmdb_id')
+    credit->>'tmdb_id', credit->>'name', credit->>'profile_url',
+    credit->>'known_for_department'
+  FROM jsonb_array_elements(credits) credit
+  ORDER BY credit->>'tmdb_id'
+  ON CONFLICT (tmdb_id) DO UPDATE
+  SET name = EXCLUDED.name,
+      profile_url = COALESCE(EXCLUDED.profile_url, people.profile_url),
+      known_for_department = COALESCE(EXCLUDED.known_for_department, people.known_for_department);
+
+  DELETE FROM movie_credits WHERE movie_id = credit_movie_id;
+
+  INSERT INTO movie_credits (movie_id, person_id, role, job, character_name, billing_order)
+  SELECT DISTINCT ON (person.id, credit->>'role')
+    credit_movie_id, person.id, credit->>'role', credit->>'job', credit->>'character_name',
+    (credit->>'billing_order')::INTEGER
+  FROM jsonb_array_elements(credits) credit
+  JOIN people person ON person.tmdb_id = credit->>'tmdb_id'
+  ORDER BY person.id, credit->>'role', (credit->>'billing_order')::INTEGER;
+  GET DIAGNOSTICS saved = ROW_COUNT;
+
+  RETURN saved;
+END;
+$$ LANGUAGE plpgsql;
+
+-- merge_movies() from the movie_merges migration, now also keeping the source's
+-- credits when the target has none and taking the new metadata columns the target
+-- lacks
+CREATE OR REPLACE FUNCTION merge_movies(
+  source_movie_id UUID,
+  target_movie_id UUID,
+  merge_reason VARCHAR DEFAULT 'manual'
+)
+RETURNS movies AS $$
+DECLARE
+  source_movie movies;
+  moved INTEGER;
+  merged movies;
+BEGIN
+  IF source_movie_id = target_movie_id THEN
+    RAISE EXCEPTION 'Cannot merge a movie into itself';
+  END IF;
+
+  SELECT * INTO source_movie FROM movies WHERE id = source_movie_id FOR UPDATE;
+  IF source_movie.id IS NULL THEN
+    RAISE EXCEPTION 'Movie % not found', source_movie_id USING ERRCODE = 'no_data_found';
+  END IF;
+
+  PERFORM 1 FROM movies WHERE id = target_movie_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Movie % not found', target_movie_id USING ERRCODE = 'no_data_found';
+  END IF;
+
+  UPDATE movie_watches SET movie_id = target_movie_id WHERE movie_id = source_movie_id;
+  GET DIAGNOSTICS moved = ROW_COUNT;
+
+  UPDATE movie_credits SET movie_id = merge_movies.target_movie_id
+  WHERE movie_credits.movie_id = merge_movies.source_movie_id
+    AND NOT EXISTS (
+      SELECT 1 FROM movie_credits existing
+      WHERE existing.movie_id = merge_movies.target_movie_id
+    );
+
+  UPDATE movie_merges SET target_movie_id = merge_movies.target_movie_id
+  WHERE movie_merges.target_movie_id = merge_movies.source_movie_id;
+
+  INSERT INTO movie_merges (
+    source_movie_id, target_movie_id, title, year, letterboxd_id, trakt_id, tmdb_id,
+    watches_moved, reason, source_snapshot
+  )
+  VALUES (
+    source_movie.id, target_movie_id, source_movie.title, source_movie.year,
+    source_movie.letterboxd_id, source_movie.trakt_id, source_movie.tmdb_id,
+    moved, merge_reason, to_jsonb(source_movie) - 'search_vector'
+  );
+
+  -- Deleted before the update below so its UNIQUE external ids are free to move
+  DELETE FROM movies WHERE id = source_movie_id;
+
+  UPDATE movies
+  SET letterboxd_id = COALESCE(letterboxd_id, source_movie.letterboxd_id),
+      trakt_id = COALESCE(trakt_id, source_movie.trakt_id),
+      tmdb_id = COALESCE(tmdb_id, source_movie.tmdb_id),
+      imdb_id = COALESCE(imdb_id, source_movie.imdb_id),
+      year = COALESCE(year, source_movie.year),
+      release_date = COALESCE(release_date, source_movie.release_date),
+      original_title = COALESCE(original_title, source_movie.original_title),
+      tagline = COALESCE(NULLIF(tagline, ''), source_movie.tagline),
+      director = COALESCE(NULLIF(director, ''), source_movie.director),
+      poster_url = COALESCE(poster_url, source_movie.poster_url),
+      backdrop_url = COALESCE(backdrop_url, source_movie.backdrop_url),
+      plot_summary = CASE
+        WHEN length(COALESCE(source_movie.plot_summary, '')) > length(COALESCE(plot_summary, ''))
+          THEN source_movie.plot_summary
+        ELSE plot_summary
+      END,
+      genres = CASE
+        WHEN COALESCE(cardinality(genres), 0) = 0 THEN source_movie.genres
+        ELSE genres
+      END,
+      country = COALESCE(country, source_movie.country),
+      language = COALESCE(language, source_movie.language),
+      budget = COALESCE(budget, source_movie.budget),
+      box_office = COALESCE(box_office, source_movie.box_office),
+      runtime = COALESCE(runtime, source_movie.runtime),
+      trailer_url = COALESCE(trailer_url, source_movie.trailer_url)
+  WHERE id = target_movie_id
+  RETURNING * INTO merged;
+
+  RETURN merged;
+END;
+$$ LANGUAGE plpgsql;
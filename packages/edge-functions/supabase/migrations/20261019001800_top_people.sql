@@ -0,0 +1,51 @@
+-- People ranked by how much of their work has been watched (GET /movies/people/top).
+--
+-- Per person in one role (director, cast, writer, cinematographer or composer):
+--   films_watched   credited movies with at least one watch
+--   total_viewings  watches of those movies, rewatches included
+--   average_rating  mean of each film's average rating, so a film watched five times
+--                   counts once; NULL when none of the films is rated
+-- Only people with at least min_films watched films are listed.
+
+CREATE OR REPLACE FUNCTION top_people(
+  person_role VARCHAR DEFAULT 'director',
+  min_films INTEGER DEFAULT 2,
+  sort_by VARCHAR DEFAULT 'films',
+  result_limit INTEGER DEFAULT 20
+)
+RETURNS TABLE (
+  person_id UUID,
+  tmdb_id VARCHAR,
+  name VARCHAR,
+  profile_url TEXT,
+  films_watched INTEGER,
+  total_viewings INTEGER,
+  average_rating NUMERIC,
+  last_watched_at TIMESTAMPTZ
+) AS $$
+  WITH watched AS (
+    SELECT c.person_id, c.movie_id, count(*) AS viewings, avg(w.personal_rating) AS rating,
+           max(w.watched_at) AS last_watched_at
+    FROM movie_credits c
+    JOIN movie_watches w ON w.movie_id = c.movie_id
+    WHERE c.role = person_role
+    GROUP BY c.person_id, c.movie_id
+  )
+  SELECT p.id, p.tmdb_id, p.name, p.profile_url,
+         count(*)::INTEGER, sum(watched.viewings)::INTEGER, round(avg(watched.rating), 2),
+         max(watched.last_watched_at)
+  FROM watched
+  JOIN people p ON p.id = watched.person_id
+  GROUP BY p.id
+  HAVING count(*) >= min_films
+  ORDER BY
+    CASE sort_by
+      WHEN 'viewings' THEN sum(watched.viewings)
+      WHEN 'rating' THEN avg(watched.rating)
+      ELSE count(*)
+    END DESC NULLS LAST,
+    count(*) DESC,
+    sum(watched.viewings) DESC,
+    p.name
+  LIMIT result_limit;
+$$ LANGUAGE sql STABLE;
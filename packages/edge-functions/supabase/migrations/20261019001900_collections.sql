@@ -0,0 +1,153 @@
+-- TMDB collections ("The Lord of the Rings Collection") and how much of each has been
+-- watched.
+--
+-- When enrichment matches a movie that belongs to a collection, the collection and
+-- its full part list are fetched from TMDB and stored with store_tmdb_collection().
+-- Parts are linked to the library by TMDB id rather than a foreign key, so a part
+-- counts as soon as a movie with that TMDB id is added, and merges need no changes.
+-- Parts without a release date, or released in the future, are "upcoming" and left
+-- out of the completion percentage unless already watched.
+
+CREATE TABLE IF NOT EXISTS collections (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tmdb_id VARCHAR(255) UNIQUE NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  overview TEXT,
+  poster_url TEXT,
+  backdrop_url TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS collections_updated_at_trigger ON collections;
+CREATE TRIGGER collections_updated_at_trigger
+  BEFORE UPDATE ON collections
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE collections ENABLE ROW LEVEL SECURITY;
+
+CREATE TABLE IF NOT EXISTS collection_parts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  collection_id UUID NOT NULL REFERENCES collections (id) ON DELETE CASCADE,
+  -- The part's TMDB movie id; matches movies.tmdb_id once it is in the library
+  tmdb_id VARCHAR(255) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  release_date DATE,
+  poster_url TEXT,
+  -- Release order, from 0
+  part_order INTEGER NOT NULL DEFAULT 0,
+  UNIQUE (collection_id, tmdb_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_collection_parts_tmdb_id ON collection_parts (tmdb_id);
+
+ALTER TABLE collection_parts ENABLE ROW LEVEL SECURITY;
+
+-- Insert or refresh a collection and replace its parts. `collection` and `parts` are
+-- as built by collectionData() in packages/shared/src/utils/tmdb-client.ts.
+CREATE OR REPLACE FUNCTION store_tmdb_collection(collection JSONB, parts JSONB)
+RETURNS collections AS $$
+DECLARE
+  stored collections;
+BEGIN
+  INSERT INTO collections (tmdb_id, name, overview, poster_url, backdrop_url)
+  VALUES (
+    collection->>'tmdb_id', collection->>'name', collection->>'overview',
+    collection->>'poster_url', collection->>'backdrop_url'
+  )
+  ON CONFLICT (tmdb_id) DO UPDATE
+  SET name = EXCLUDED.name,
+      overview = EXCLUDED.overview,
+      poster_url = EXCLUDED.poster_url,
+      backdrop_url = EXCLUDED.backdrop_url
+  RETURNING * INTO stored;
+
+  DELETE FROM collection_parts WHERE collection_id = stored.id;
+
+  INSERT INTO collection_parts (
+    collection_id, tmdb_id, title, release_date, poster_url, part_order
+  )
+  SELECT DISTINCT ON (part->>'tmdb_id')
+    stored.id, part->>'tmdb_id', part->>'title', (part->>'release_date')::DATE,
+    part->>'poster_url', (part->>'part_order')::INTEGER
+  FROM jsonb_array_elements(parts) part
+  ORDER BY part->>'tmdb_id';
+
+  RETURN stored;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Every part with the library movie it matches (if any) and that movie's watches
+CREATE OR REPLACE FUNCTION collection_parts_progress(for_collection UUID DEFAULT NULL)
+RETURNS TABLE (
+  collection_id UUID,
+  tmdb_id VARCHAR,
+  title VARCHAR,
+  release_date DATE,
+  poster_url TEXT,
+  part_order INTEGER,
+  released BOOLEAN,
+  movie_id UUID,
+  watched BOOLEAN,
+  watch_count INTEGER,
+  first_watched_at TIMESTAMPTZ,
+  last_watched_at TIMESTAMPTZ,
+  average_rating NUMERIC
+) AS $$
+  SELECT p.collection_id, p.tmdb_id, p.title, p.release_date, p.poster_url, p.part_order,
+         (p.release_date <= CURRENT_DATE OR COALESCE(w.watch_count, 0) > 0),
+         m.id, COALESCE(w.watch_count, 0) > 0, COALESCE(w.watch_count, 0),
+         w.first_watched_at, w.last_watched_at, w.average_rating
+  FROM collection_parts p
+  LEFT JOIN movies m ON m.tmdb_id = p.tmdb_id
+  LEFT JOIN LATERAL (
+    SELECT count(*)::INTEGER AS watch_count, min(watched_at) AS first_watched_at,
+           max(watched_at) AS last_watched_at, round(avg(personal_rating), 2) AS average_rating
+    FROM movie_watches
+    WHERE movie_watches.movie_id = m.id
+  ) w ON TRUE
+  WHERE for_collection IS NULL OR p.collection_id = for_collection
+  ORDER BY p.collection_id, p.part_order;
+$$ LANGUAGE sql STABLE;
+
+-- Collections with their completion: watched parts out of released parts, as a
+-- percentage. completion_status 'complete' (every released part watched) or
+-- 'incomplete' filters on it; parts is every part from collection_parts_progress() in
+-- release order.
+CREATE OR REPLACE FUNCTION collection_progress(
+  for_collection UUID DEFAULT NULL,
+  completion_status VARCHAR DEFAULT NULL,
+  result_limit INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+  id UUID,
+  tmdb_id VARCHAR,
+  name VARCHAR,
+  overview TEXT,
+  poster_url TEXT,
+  backdrop_url TEXT,
+  released_parts INTEGER,
+  watched_parts INTEGER,
+  completion NUMERIC,
+  parts JSONB
+) AS $$
+  SELECT c.id, c.tmdb_id, c.name, c.overview, c.poster_url, c.backdrop_url,
+         count(*) FILTER (WHERE p.released)::INTEGER,
+         count(*) FILTER (WHERE p.watched)::INTEGER,
+         round(
+           100.0 * count(*) FILTER (WHERE p.watched)
+             / NULLIF(count(*) FILTER (WHERE p.released), 0),
+           1
+         ),
+         jsonb_agg(to_jsonb(p) - 'collection_id' ORDER BY p.part_order)
+  FROM collections c
+  JOIN collection_parts_progress(for_collection) p ON p.collection_id = c.id
+  GROUP BY c.id
+  HAVING completion_status IS NULL
+    OR (completion_status = 'complete')
+      = (count(*) FILTER (WHERE p.released) > 0
+        AND count(*) FILTER (WHERE p.watched) >= count(*) FILTER (WHERE p.released))
+  ORDER BY 9 DESC NULLS LAST, c.name
+  LIMIT result_limit;
+$$ LANGUAGE sql STABLE;
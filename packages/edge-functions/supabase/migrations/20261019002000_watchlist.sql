@@ -0,0 +1,176 @@
+-- A watchlist: films to see, in a hand-sorted order, each with a priority, who
+-- recommended it and a note.
+--
+-- An entry is pending until a watch of its movie is recorded on or after the day it
+-- was added; fulfil_watchlist() then marks it fulfilled and links the watch. Older
+-- watches (a backfill, a replayed webhook) don't count. Fulfilled entries are kept, and
+-- the movie can be added again, but a movie has at most one pending entry.
+
+CREATE TABLE IF NOT EXISTS watchlist (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  movie_id UUID NOT NULL REFERENCES movies (id) ON DELETE CASCADE,
+  -- Order among pending entries, from 0; set by reorder_watchlist()
+  position INTEGER NOT NULL DEFAULT 0,
+  priority VARCHAR(10) NOT NULL DEFAULT 'normal' CHECK (priority IN ('low', 'normal', 'high')),
+  recommended_by VARCHAR(255),
+  note TEXT,
+  added_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  fulfilled_at TIMESTAMPTZ,
+  watch_id UUID REFERENCES movie_watches (id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_watchlist_pending_movie
+  ON watchlist (movie_id) WHERE fulfilled_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_watchlist_position
+  ON watchlist (position) WHERE fulfilled_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_watchlist_movie ON watchlist (movie_id);
+
+DROP TRIGGER IF EXISTS watchlist_updated_at_trigger ON watchlist;
+CREATE TRIGGER watchlist_updated_at_trigger
+  BEFORE UPDATE ON watchlist
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE watchlist ENABLE ROW LEVEL SECURITY;
+
+-- Mark the pending entry for the watch's movie fulfilled by it, if the watch is on or
+-- after the day the entry was added. Returns the fulfilled entries (none or one).
+CREATE OR REPLACE FUNCTION fulfil_watchlist(fulfilling_watch_id UUID)
+RETURNS SETOF watchlist AS $$
+  UPDATE watchlist
+  SET fulfilled_at = w.watched_at,
+      watch_id = w.id
+  FROM movie_watches w
+  WHERE w.id = fulfilling_watch_id
+    AND watchlist.movie_id = w.movie_id
+    AND watchlist.fulfilled_at IS NULL
+    AND w.watched_on >= (watchlist.added_at AT TIME ZONE 'UTC')::DATE
+  RETURNING watchlist.*;
+$$ LANGUAGE sql;
+
+-- Put the pending entries in the given order. Entries left out keep their relative
+-- order after the listed ones. Returns the number of pending entries.
+CREATE OR REPLACE FUNCTION reorder_watchlist(entry_ids UUID[])
+RETURNS INTEGER AS $$
+DECLARE
+  pending INTEGER;
+BEGIN
+  WITH ordered AS (
+    SELECT id, row_number() OVER (
+      ORDER BY array_position(entry_ids, id) NULLS LAST, position, added_at
+    ) - 1 AS new_position
+    FROM watchlist
+    WHERE fulfilled_at IS NULL
+  )
+  UPDATE watchlist
+  SET position = ordered.new_position
+  FROM ordered
+  WHERE watchlist.id = ordered.id
+    AND watchlist.position <> ordered.new_position;
+
+  SELECT count(*) INTO pending FROM watchlist WHERE fulfilled_at IS NULL;
+  RETURN pending;
+END;
+$$ LANGUAGE plpgsql;
+
+-- merge_movies() from the people_credits migration, now also moving the source's
+-- watchlist entries
+CREATE OR REPLACE FUNCTION merge_movies(
+  source_movie_id UUID,
+  target_movie_id UUID,
+  merge_reason VARCHAR DEFAULT 'manual'
+)
+RETURNS movies AS $$
+DECLARE
+  source_movie movies;
+  moved INTEGER;
+  merged movies;
+BEGIN
+  IF source_movie_id = target_movie_id THEN
+    RAISE EXCEPTION 'Cannot merge a movie into itself';
+  END IF;
+
+  SELECT * INTO source_movie FROM movies WHERE id = source_movie_id FOR UPDATE;
+  IF source_movie.id IS NULL THEN
+    RAISE EXCEPTION 'Movie % not found', source_movie_id USING ERRCODE = 'no_data_found';
+  END IF;
+
+  PERFORM 1 FROM movies WHERE id = target_movie_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Movie % not found', target_movie_id USING ERRCODE = 'no_data_found';
+  END IF;
+
+  UPDATE movie_watches SET movie_id = target_movie_id WHERE movie_id = source_movie_id;
+  GET DIAGNOSTICS moved = ROW_COUNT;
+
+  UPDATE movie_credits SET movie_id = merge_movies.target_movie_id
+  WHERE movie_credits.movie_id = merge_movies.source_movie_id
+    AND NOT EXISTS (
+      SELECT 1 FROM movie_credits existing
+      WHERE existing.movie_id = merge_movies.target_movie_id
+    );
+
+  -- Only one pending watchlist entry per movie: the target's wins
+  DELETE FROM watchlist
+  WHERE watchlist.movie_id = merge_movies.source_movie_id
+    AND watchlist.fulfilled_at IS NULL
+    AND EXISTS (
+      SELECT 1 FROM watchlist existing
+      WHERE existing.movie_id = merge_movies.target_movie_id
+        AND existing.fulfilled_at IS NULL
+    );
+
+  UPDATE watchlist SET movie_id = merge_movies.target_movie_id
+  WHERE watchlist.movie_id = merge_movies.source_movie_id;
+
+  UPDATE movie_merges SET target_movie_id = merge_movies.target_movie_id
+  WHERE movie_merges.target_movie_id = merge_movies.source_movie_id;
+
+  INSERT INTO movie_merges (
+    source_movie_id, target_movie_id, title, year, letterboxd_id, trakt_id, tmdb_id,
+    watches_moved, reason, source_snapshot
+  )
+  VALUES (
+    source_movie.id, target_movie_id, source_movie.title, source_movie.year,
+    source_movie.letterboxd_id, source_movie.trakt_id, source_movie.tmdb_id,
+    moved, merge_reason, to_jsonb(source_movie) - 'search_vector'
+  );
+
+  -- Deleted before the update below so its UNIQUE external ids are free to move
+  DELETE FROM movies WHERE id = source_movie_id;
+
+  UPDATE movies
+  SET letterboxd_id = COALESCE(letterboxd_id, source_movie.letterboxd_id),
+      trakt_id = COALESCE(trakt_id, source_movie.trakt_id),
+      tmdb_id = COALESCE(tmdb_id, source_movie.tmdb_id),
+      imdb_id = COALESCE(imdb_id, source_movie.imdb_id),
+      year = COALESCE(year, source_movie.year),
+      release_date = COALESCE(release_date, source_movie.release_date),
+      original_title = COALESCE(original_title, source_movie.original_title),
+      tagline = COALESCE(NULLIF(tagline, ''), source_movie.tagline),
+      director = COALESCE(NULLIF(director, ''), source_movie.director),
+      poster_url = COALESCE(poster_url, source_movie.poster_url),
+      backdrop_url = COALESCE(backdrop_url, source_movie.backdrop_url),
+      plot_summary = CASE
+        WHEN length(COALESCE(source_movie.plot_summary, '')) > length(COALESCE(plot_summary, ''))
+          THEN source_movie.plot_summary
+        ELSE plot_summary
+      END,
+      genres = CASE
+        WHEN COALESCE(cardinality(genres), 0) = 0 THEN source_movie.genres
+        ELSE genres
+      END,
+      country = COALESCE(country, source_movie.country),
+      language = COALESCE(language, source_movie.language),
+      budget = COALESCE(budget, source_movie.budget),
+      box_office = COALESCE(box_office, source_movie.box_office),
+      runtime = COALESCE(runtime, source_movie.runtime),
+      trailer_url = COALESCE(trailer_url, source_movie.trailer_url)
+  WHERE id = target_movie_id
+  RETURNING * INTO merged;
+
+  RETURN merged;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,8 @@
+import { defineConfig } from 'vitest/config'
+
+export default defineConfig({
+  test: {
+    include: ['supabase/functions/**/*.test.ts'],
+    setupFiles: ['./vitest.setup.ts'],
+  },
+})
@@ -0,0 +1,3 @@
+// The function modules read their settings from Deno.env when they load; under Node
+// every setting is unset, so they fall back to their defaults
+globalThis.Deno ??= { env: { get: () => undefined } }
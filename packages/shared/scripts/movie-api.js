@@ -1,5 +1,13 @@
 // movie-api.js - Client for movie tracking API
 
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
 class MovieAPI {
   constructor(baseUrl) {
     this.baseUrl = baseUrl.replace(/\/$/, '') // Remove trailing slash
@@ -24,46 +32,86 @@ class MovieAPI {
     return response.json()
   }
 
-  // Get movies with optional filtering
+  // Get movies with optional filtering; options use the API's query parameter names
+  // (limit, cursor, search, genre, year_from, decade, rating_min, sort, order, ...)
   async getMovies(options = {}) {
     const params = new URLSearchParams()
 
-    if (options.limit) params.append('limit', options.limit.toString())
-    if (options.search) params.append('search', options.search)
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') params.append(key, String(value))
+    })
 
     const query = params.toString() ? `?${params.toString()}` : ''
     return this.request(`/movies${query}`)
   }
 
   // Get recent movie watches
-  async getRecentWatches(limit = 20) {
-    return this.request(`/movies/watches?limit=${limit}`)
+  async getRecentWatches(limit = 20, cursor = null) {
+    const query = cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''
+    return this.request(`/watches?limit=${limit}${query}`)
+  }
+
+  // Page through every movie (the API caps a single page at 100)
+  async getAllMovies(options = {}) {
+    const movies = []
+    let cursor = null
+
+    do {
+      const page = await this.getMovies({ ...options, limit: 100, cursor })
+      movies.push(...page.movies)
+      cursor = page.next_cursor
+    } while (cursor)
+
+    return { count: movies.length, movies }
+  }
+
+  // Page through watches newest first, stopping once they're older than `since`
+  async getAllWatches(since = null) {
+    const watches = []
+    let cursor = null
+
+    do {
+      const page = await this.getRecentWatches(100, cursor)
+      const inRange = since
+        ? page.watches.filter(watch => new Date(watch.watched_at) >= since)
+        : page.watches
+      watches.push(...inRange)
+      cursor = inRange.length === page.watches.length ? page.next_cursor : null
+    } while (cursor)
+
+    return { count: watches.length, watches }
   }
 
   // Get movie statistics
-  async getMovieStats() {
-    return this.request('/movies/stats')
+  // Pass breakdown names (e.g. ['years', 'genres']) or 'all' to include them
+  async getMovieStats(include = []) {
+    const breakdowns = Array.isArray(include) ? include.join(',') : include
+    return this.request(breakdowns ? `/stats?include=${breakdowns}` : '/stats')
+  }
+
+  // Get the year-in-review summary for a year
+  async getYearReview(year) {
+    return this.request(`/year/${year}/review`)
   }
 
-  // Search movies by title
+  // Full-text search across titles, directors, plots and reviews, best match first.
+  // Results are also exposed as `movies` so callers can treat it like getMovies().
   async searchMovies(query, limit = 20) {
-    return this.getMovies({ search: query, limit })
+    const params = new URLSearchParams({ q: query, limit: limit.toString() })
+    const response = await this.request(`/search?${params.toString()}`)
+    return { ...response, movies: response.results }
   }
 
   // Utility methods for common movie operations
 
   // Get movies by year
   async getMoviesByYear(year, limit = 50) {
-    const movies = await this.getMovies({ limit: 100 })
-    return {
-      ...movies,
-      movies: movies.movies.filter(movie => movie.year === year).slice(0, limit),
-    }
+    return this.getMovies({ year_from: year, year_to: year, limit })
   }
 
   // Get top rated movies
   async getTopRatedMovies(limit = 10) {
-    const watches = await this.getRecentWatches(200) // Get more to filter
+    const watches = await this.getAllWatches()
 
     // Calculate average ratings for each movie
     const movieRatings = {}
@@ -114,7 +162,7 @@ class MovieAPI {
   // Get movies watched this year
   async getThisYearActivity() {
     const currentYear = new Date().getFullYear()
-    const watches = await this.getRecentWatches(500) // Get lots to filter
+    const watches = await this.getAllWatches(new Date(currentYear, 0, 1))
 
     const thisYearWatches = watches.watches.filter(
       watch => new Date(watch.watched_at).getFullYear() === currentYear
@@ -129,7 +177,7 @@ class MovieAPI {
 
   // Get movie watching streaks
   async getWatchingStreaks() {
-    const watches = await this.getRecentWatches(100)
+    const watches = await this.getAllWatches()
     const watchDates = watches.watches.map(w => new Date(w.watched_at).toDateString())
 
     // Remove duplicates and sort
@@ -174,8 +222,8 @@ class MovieAPI {
   }
 
   // Get movies by rating range
-  async getMoviesByRating(minRating, maxRating = 5) {
-    const watches = await this.getRecentWatches(200)
+  async getMoviesByRating(minRating, maxRating = 10) {
+    const watches = await this.getAllWatches()
 
     const filteredWatches = watches.watches.filter(
       watch => watch.personal_rating >= minRating && watch.personal_rating <= maxRating
@@ -191,9 +239,9 @@ class MovieAPI {
   // Export data for backup
   async exportMovieData() {
     const [movies, watches, stats] = await Promise.all([
-      this.getMovies({ limit: 1000 }),
-      this.getRecentWatches(1000),
-      this.getMovieStats(),
+      this.getAllMovies(),
+      this.getAllWatches(),
+      this.getMovieStats('all'),
     ])
 
     return {
@@ -251,7 +299,7 @@ class MovieWebsite {
   async buildStatsPage() {
     try {
       const [stats, thisYear, streaks] = await Promise.all([
-        this.api.getMovieStats(),
+        this.api.getMovieStats(['months', 'genres', 'directors', 'ratings', 'runtime']),
         this.api.getThisYearActivity(),
         this.api.getWatchingStreaks(),
       ])
@@ -268,6 +316,22 @@ class MovieWebsite {
     }
   }
 
+  // Build year-in-review page
+  async buildYearReviewPage(year) {
+    try {
+      const review = await this.api.getYearReview(year)
+
+      return {
+        pageTitle: `${year} in Movies`,
+        review,
+        html: this.generateYearReviewHTML(review),
+      }
+    } catch (error) {
+      console.error('Error building year review page:', error)
+      return { error: `Failed to load the ${year} review` }
+    }
+  }
+
   // Generate HTML for recent watches widget
   generateRecentWatchesHTML(watches, maxItems = 5) {
     if (!watches || watches.length === 0) {
@@ -280,7 +344,7 @@ class MovieWebsite {
         watch => `
       <div class="movie-watch">
         <h4>${watch.movies.title} (${watch.movies.year})</h4>
-        ${watch.personal_rating ? `<p>⭐ ${watch.personal_rating}/5</p>` : ''}
+        ${watch.personal_rating ? `<p>⭐ ${watch.personal_rating}/10</p>` : ''}
         <p class="watch-date">${new Date(watch.watched_at).toLocaleDateString()}</p>
         ${watch.review_text ? `<p class="review">${watch.review_text.substring(0, 100)}...</p>` : ''}
       </div>
@@ -308,6 +372,71 @@ class MovieWebsite {
       </div>
     `
   }
+
+  // Generate HTML for the year-in-review post
+  generateYearReviewHTML(review) {
+    const monthName = month =>
+      new Date(Date.UTC(review.year, month - 1, 1)).toLocaleString('en-US', {
+        month: 'long',
+        timeZone: 'UTC',
+      })
+    const movieLabel = movie => `${escapeHTML(movie.title)}${movie.year ? ` (${movie.year})` : ''}`
+    const signed = value => (value > 0 ? `+${value}` : `${value}`)
+    const ratedList = items =>
+      items.map(item => `<li>${movieLabel(item.movie)} - ${item.rating}/10</li>`).join('')
+    const countList = (items, key) =>
+      items.map(item => `<li>${escapeHTML(item[key])} - ${item.watches}</li>`).join('')
+
+    const previous = review.previous_year
+    const streak = review.longest_streak
+
+    return `
+      <article class="year-review">
+        <h2>${review.year} in Movies</h2>
+        <div class="movie-stats">
+          <div class="stat">
+            <span class="stat-number">${review.total_films}</span>
+            <span class="stat-label">Films</span>
+          </div>
+          <div class="stat">
+            <span class="stat-number">${review.total_watches}</span>
+            <span class="stat-label">Watches</span>
+          </div>
+          <div class="stat">
+            <span class="stat-number">${review.total_hours}</span>
+            <span class="stat-label">Hours</span>
+          </div>
+        </div>
+        <p>
+          The year opened with ${movieLabel(review.first_watch.movie)} and closed with
+          ${movieLabel(review.last_watch.movie)}. The busiest month was
+          ${monthName(review.most_watched_month.month)} with ${review.most_watched_month.watches}
+          watches.
+        </p>
+        <p>
+          ${review.new_vs_rewatch.new} new to me, ${review.new_vs_rewatch.rewatch} rewatches.
+          Longest streak: ${streak.days} day${streak.days === 1 ? '' : 's'}.
+        </p>
+        ${
+          review.oldest_release && review.newest_release
+            ? `<p>Oldest release: ${movieLabel(review.oldest_release)}. Newest: ${movieLabel(review.newest_release)}.</p>`
+            : ''
+        }
+        <h3>Highest rated</h3>
+        <ol>${ratedList(review.highest_rated)}</ol>
+        <h3>Lowest rated</h3>
+        <ol>${ratedList(review.lowest_rated)}</ol>
+        <h3>Top directors</h3>
+        <ol>${countList(review.top_directors, 'director')}</ol>
+        <h3>Top genres</h3>
+        <ol>${countList(review.top_genres, 'genre')}</ol>
+        <p class="year-comparison">
+          Compared with ${previous.year}: ${signed(previous.change.films)} films,
+          ${signed(previous.change.watches)} watches, ${signed(previous.change.hours)} hours.
+        </p>
+      </article>
+    `
+  }
 }
 
 // Export for use in different environments
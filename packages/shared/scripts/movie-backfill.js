@@ -1,6 +1,7 @@
 // movie-backfill.js - Backfill movies from Trakt.tv to new movie system
 // Using built-in fetch (Node.js 18+)
 require('dotenv').config()
+const crypto = require('crypto')
 
 // Configuration loaded from environment variables
 const CONFIG = {
@@ -8,6 +9,7 @@ const CONFIG = {
   traktUsername: process.env.TRAKT_USERNAME,
   movieApiUrl: process.env.MOVIE_API_URL,
   maxMovies: parseInt(process.env.TRAKT_MAX_MOVIES) || 5,
+  webhookSecret: process.env.WEBHOOK_SIGNING_SECRET,
 }
 
 class MovieBackfill {
@@ -16,6 +18,8 @@ class MovieBackfill {
     this.stats = {
       moviesProcessed: 0,
       watchesAdded: 0,
+      watchesUpdated: 0,
+      watchesUnchanged: 0,
       errors: 0,
       skipped: 0,
     }
@@ -61,13 +65,28 @@ class MovieBackfill {
     }
   }
 
+  // Sign a webhook body the same way the movies function verifies it
+  signPayload(body) {
+    const timestamp = Math.floor(Date.now() / 1000).toString()
+    const signature = crypto
+      .createHmac('sha256', this.config.webhookSecret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex')
+
+    return {
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': `sha256=${signature}`,
+    }
+  }
+
   // Send movie data to our movie API
   async sendToMovieAPI(movieData) {
     try {
+      const body = JSON.stringify(movieData)
       const response = await fetch(this.config.movieApiUrl, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(movieData),
+        headers: { 'Content-Type': 'application/json', ...this.signPayload(body) },
+        body,
       })
 
       if (!response.ok) {
@@ -82,6 +101,18 @@ class MovieBackfill {
     }
   }
 
+  // Count the watch by what the API did with it; re-runs update rather than duplicate
+  recordWatchStatus(response) {
+    const status = response?.result?.status
+    if (status === 'updated') {
+      this.stats.watchesUpdated++
+    } else if (status === 'unchanged') {
+      this.stats.watchesUnchanged++
+    } else {
+      this.stats.watchesAdded++
+    }
+  }
+
   // Transform Trakt movie data to EchoFeed-like format
   transformTraktMovie(traktMovie, watchData = null, ratingData = null) {
     const movie = traktMovie.movie
@@ -107,10 +138,9 @@ class MovieBackfill {
   buildMovieContent(movie, watchData, ratingData) {
     let content = ''
 
-    // Add rating if available (convert 10-point to 5-point scale)
+    // Trakt ratings are 1-10; the webhook parses "x/10" without losing precision
     if (ratingData?.rating) {
-      const fiveStarRating = Math.round(ratingData.rating / 2)
-      content += '★'.repeat(fiveStarRating) + '☆'.repeat(5 - fiveStarRating) + ' '
+      content += `Rating: ${ratingData.rating}/10 `
     }
 
     // Add basic movie info
@@ -227,11 +257,11 @@ class MovieBackfill {
           const result = await this.sendToMovieAPI(movieData)
 
           this.stats.moviesProcessed++
-          this.stats.watchesAdded++
+          this.recordWatchStatus(result)
           this.processedMovies.add(watchKey)
 
           this.log(
-            `✓ Processed: ${movie.title} (${movie.year}) - ${historyEntry.watched_at}`,
+            `✓ Processed: ${movie.title} (${movie.year}) - ${historyEntry.watched_at} (${result.result?.status})`,
             'success'
           )
 
@@ -298,11 +328,11 @@ class MovieBackfill {
           const result = await this.sendToMovieAPI(movieData)
 
           this.stats.moviesProcessed++
-          this.stats.watchesAdded++
+          this.recordWatchStatus(result)
           this.processedMovies.add(movieKey)
 
           this.log(
-            `✓ Processed: ${movie.title} (${movie.year}) - ${watchedMovie.plays} play(s)`,
+            `✓ Processed: ${movie.title} (${movie.year}) - ${watchedMovie.plays} play(s) (${result.result?.status})`,
             'success'
           )
 
@@ -363,6 +393,8 @@ class MovieBackfill {
       this.log(`📊 Final Stats:`)
       this.log(`   Movies Processed: ${this.stats.moviesProcessed}`)
       this.log(`   Watches Added: ${this.stats.watchesAdded}`)
+      this.log(`   Watches Updated: ${this.stats.watchesUpdated}`)
+      this.log(`   Watches Unchanged: ${this.stats.watchesUnchanged}`)
       this.log(`   Errors: ${this.stats.errors}`)
       this.log(`   Skipped: ${this.stats.skipped}`)
       this.log(`   Duration: ${duration} seconds`)
@@ -381,6 +413,8 @@ class MovieBackfill {
     this.log('\n📊 Current Stats:')
     this.log(`   Movies: ${this.stats.moviesProcessed}`)
     this.log(`   Watches: ${this.stats.watchesAdded}`)
+    this.log(`   Updated: ${this.stats.watchesUpdated}`)
+    this.log(`   Unchanged: ${this.stats.watchesUnchanged}`)
     this.log(`   Errors: ${this.stats.errors}`)
     this.log(`   Skipped: ${this.stats.skipped}`)
   }
@@ -406,6 +440,12 @@ async function main() {
     process.exit(1)
   }
 
+  if (!CONFIG.webhookSecret) {
+    console.error('❌ Please set WEBHOOK_SIGNING_SECRET in .env file')
+    console.error('   Use one of the values in WEBHOOK_SIGNING_SECRETS on the movies function')
+    process.exit(1)
+  }
+
   const backfill = new MovieBackfill(CONFIG)
 
   // Get mode from command line argument
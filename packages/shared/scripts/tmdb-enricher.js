@@ -1,6 +1,20 @@
 // tmdb-enricher.js - Enrich movies with TMDB data (posters, metadata)
 // Using built-in fetch (Node.js 18+)
 require('dotenv').config()
+// Match scoring, cache keys and the TMDB client are shared with the edge function; run
+// `npm run build` in packages/shared first. dist is ES modules, which this CommonJS script
+// can only load with import(), so loadSharedUtils() fills these in before an enricher is made.
+let isConfidentMatch, MATCH_CANDIDATE_LIMIT, scoreCandidates
+let tmdbCacheKey, tmdbCacheParams, tmdbCacheTtl
+let presentFields, TMDBClient
+
+async function loadSharedUtils() {
+  ;({ isConfidentMatch, MATCH_CANDIDATE_LIMIT, scoreCandidates } = await import(
+    '../dist/utils/tmdb-match.js'
+  ))
+  ;({ tmdbCacheKey, tmdbCacheParams, tmdbCacheTtl } = await import('../dist/utils/tmdb-cache.js'))
+  ;({ presentFields, TMDBClient } = await import('../dist/utils/tmdb-client.js'))
+}
 
 // Configuration loaded from environment variables
 const CONFIG = {
@@ -12,6 +26,18 @@ const CONFIG = {
   backdropSize: process.env.TMDB_BACKDROP_SIZE || 'w1280',
   updateExisting: process.env.TMDB_UPDATE_EXISTING === 'true' || false,
   onlyMissingPosters: process.env.TMDB_ONLY_MISSING_POSTERS !== 'false',
+  // Ask TMDB even when tmdb_cache has a fresh response (fresh responses are still saved)
+  bypassCache: process.env.TMDB_CACHE_BYPASS === 'true' || process.argv.includes('--no-cache'),
+}
+
+// Job outcome for each enrichMovie status other than 'error'
+const JOB_OUTCOMES = {
+  enriched: 'succeeded',
+  skipped: 'succeeded',
+  needs_review: 'needs_review',
+  duplicate: 'duplicate',
+  not_found: 'no_match',
+  no_data: 'no_match',
 }
 
 class TMDBEnricher {
@@ -21,6 +47,8 @@ class TMDBEnricher {
       moviesProcessed: 0,
       moviesEnriched: 0,
       moviesNotFound: 0,
+      needsReview: 0,
+      duplicates: 0,
       postersAdded: 0,
       backdropsAdded: 0,
       metadataUpdated: 0,
@@ -28,10 +56,21 @@ class TMDBEnricher {
       skipped: 0,
     }
 
-    // TMDB API rate limiting: 40 requests per 10 seconds
-    this.requestDelay = 250 // 250ms between requests to be safe
-    this.tmdbBaseUrl = process.env.TMDB_BASE_URL || 'https://api.themoviedb.org/3'
-    this.tmdbImageBaseUrl = process.env.TMDB_IMAGE_BASE_URL || 'https://image.tmdb.org/t/p'
+    // Shared with the edge function: rate limited to TMDB's 40 requests per 10 seconds,
+    // retried on 429 and 5xx, and cached in tmdb_cache
+    this.tmdb = new TMDBClient({
+      apiKey: config.tmdbApiKey,
+      baseUrl: process.env.TMDB_BASE_URL,
+      imageBaseUrl: process.env.TMDB_IMAGE_BASE_URL,
+      posterSize: config.imageSize,
+      backdropSize: config.backdropSize,
+      cache: {
+        get: (endpoint, params) => this.readTMDBCache(endpoint, params),
+        set: (endpoint, params, response) => this.writeTMDBCache(endpoint, params, response),
+      },
+      log: message => this.log(message, 'warning'),
+    })
+    this.tmdbOptions = { bypassCache: config.bypassCache }
   }
 
   log(message, type = 'info') {
@@ -41,39 +80,34 @@ class TMDBEnricher {
     console.log(`${prefix} [${timestamp}] ${message}`)
   }
 
-  // Make TMDB API request with rate limiting
-  async tmdbRequest(endpoint, params = {}) {
-    const url = new URL(`${this.tmdbBaseUrl}${endpoint}`)
-    url.searchParams.append('api_key', this.config.tmdbApiKey)
-
-    Object.entries(params).forEach(([key, value]) => {
-      if (value !== null && value !== undefined) {
-        url.searchParams.append(key, value)
-      }
-    })
-
+  // A fresh tmdb_cache row, or null. The cache is an optimization, so a failed read
+  // or write is logged and TMDB is used.
+  async readTMDBCache(endpoint, params) {
     try {
-      const response = await fetch(url.toString())
-
-      if (!response.ok) {
-        if (response.status === 429) {
-          // Rate limited, wait longer
-          this.log('Rate limited, waiting 2 seconds...', 'warning')
-          await new Promise(resolve => setTimeout(resolve, 2000))
-          return this.tmdbRequest(endpoint, params) // Retry
-        }
-        throw new Error(`TMDB API Error: ${response.status} - ${response.statusText}`)
-      }
-
-      const data = await response.json()
-
-      // Rate limiting
-      await new Promise(resolve => setTimeout(resolve, this.requestDelay))
+      const [cached] = await this.supabaseRequest('tmdb_cache', 'select', null, {
+        select: 'status,response',
+        cache_key: `eq.${tmdbCacheKey(endpoint, params)}`,
+        expires_at: `gt.${new Date().toISOString()}`,
+      })
+      return cached ? { status: cached.status, body: cached.response } : null
+    } catch (error) {
+      this.log(`Could not read TMDB cache: ${error.message}`, 'warning')
+      return null
+    }
+  }
 
-      return data
+  async writeTMDBCache(endpoint, params, { status, body }) {
+    try {
+      await this.supabaseRequest('store_tmdb_response', 'rpc', {
+        key: tmdbCacheKey(endpoint, params),
+        request_endpoint: endpoint,
+        request_params: tmdbCacheParams(params),
+        response_status: status,
+        response_body: body,
+        ttl_seconds: tmdbCacheTtl(endpoint, status),
+      })
     } catch (error) {
-      this.log(`Error fetching TMDB ${endpoint}: ${error.message}`, 'error')
-      throw error
+      this.log(`Could not cache TMDB response: ${error.message}`, 'warning')
     }
   }
 
@@ -107,6 +141,13 @@ class TMDBEnricher {
           requestUrl += `?${params.toString()}`
         }
         break
+
+      // `table` is the SQL function name
+      case 'rpc':
+        requestUrl = `${this.config.supabaseUrl}/rest/v1/rpc/${table}`
+        requestOptions.method = 'POST'
+        requestOptions.body = JSON.stringify(data || {})
+        break
     }
 
     try {
@@ -124,118 +165,79 @@ class TMDBEnricher {
     }
   }
 
-  // Search for movie on TMDB
-  async searchTMDBMovie(title, year = null) {
+  // Search TMDB and score the results against the movie. The best candidate is only
+  // used when it is a confident match; otherwise the top candidates are returned for
+  // the review queue. Resolves to { outcome: 'matched', tmdbDetails } |
+  // { outcome: 'needs_review', candidates } | { outcome: 'no_match' }.
+  async matchTMDBMovie(movie) {
+    let results
     try {
-      const params = { query: title }
-      if (year) {
-        params.year = year
-        params.primary_release_year = year
-      }
-
-      const searchResults = await this.tmdbRequest('/search/movie', params)
-
-      if (!searchResults.results || searchResults.results.length === 0) {
-        return null
-      }
-
-      // Find best match
-      let bestMatch = searchResults.results[0]
-
-      if (year) {
-        // Try to find exact year match
-        const exactYearMatch = searchResults.results.find(movie => {
-          const releaseYear = movie.release_date ? new Date(movie.release_date).getFullYear() : null
-          return releaseYear === year
-        })
-
-        if (exactYearMatch) {
-          bestMatch = exactYearMatch
-        }
-      }
-
-      return bestMatch
+      results = await this.tmdb.searchMovies(movie.title, this.tmdbOptions)
     } catch (error) {
-      this.log(`Error searching TMDB for "${title}": ${error.message}`, 'error')
-      return null
+      // Rethrown so an outage counts as an error, not as "not found"
+      this.log(`Error searching TMDB for "${movie.title}": ${error.message}`, 'error')
+      throw error
     }
-  }
-
-  // Get detailed movie info from TMDB
-  async getTMDBMovieDetails(tmdbId) {
-    try {
-      const details = await this.tmdbRequest(`/movie/${tmdbId}`, {
-        append_to_response: 'credits,videos,keywords',
-      })
 
-      return details
-    } catch (error) {
-      this.log(`Error getting TMDB details for ID ${tmdbId}: ${error.message}`, 'error')
-      return null
+    if (results.length === 0) {
+      return { outcome: 'no_match' }
     }
-  }
 
-  // Build full image URLs
-  buildImageUrls(tmdbMovie) {
-    const posterUrl = tmdbMovie.poster_path
-      ? `${this.tmdbImageBaseUrl}/${this.config.imageSize}${tmdbMovie.poster_path}`
-      : null
+    const target = { title: movie.title, year: movie.year, director: movie.director }
 
-    const backdropUrl = tmdbMovie.backdrop_path
-      ? `${this.tmdbImageBaseUrl}/${this.config.backdropSize}${tmdbMovie.backdrop_path}`
-      : null
-
-    return { posterUrl, backdropUrl }
-  }
-
-  // Extract enriched data from TMDB movie
-  extractEnrichedData(tmdbMovie, tmdbDetails = null) {
-    const data = tmdbDetails || tmdbMovie
-    const { posterUrl, backdropUrl } = this.buildImageUrls(data)
-
-    const enrichedData = {
-      poster_url: posterUrl,
-      backdrop_url: backdropUrl,
-      tmdb_id: data.id?.toString(),
-      plot_summary: data.overview || null,
-      mpaa_rating: null, // Would need additional API call for US ratings
-      country: data.production_countries?.[0]?.iso_3166_1 || null,
-      language: data.original_language || null,
-      budget: data.budget || null,
-      box_office: data.revenue || null,
+    // Search results have no credits or alternative titles, so only the most likely
+    // few are fetched in full and scored again
+    const shortlist = scoreCandidates(target, results).slice(0, MATCH_CANDIDATE_LIMIT)
+    const details = []
+    for (const candidate of shortlist) {
+      const tmdbDetails = await this.getTMDBMovieDetails(candidate.tmdb_id)
+      if (tmdbDetails) details.push(tmdbDetails)
     }
 
-    // Add director from credits if available
-    if (tmdbDetails?.credits?.crew) {
-      const director = tmdbDetails.credits.crew.find(person => person.job === 'Director')
-      if (director) {
-        enrichedData.director = director.name
-      }
+    const scored = scoreCandidates(target, details)
+    if (scored.length === 0) {
+      return { outcome: 'no_match' }
     }
 
-    // Add genres if available
-    if (data.genres) {
-      enrichedData.genres = data.genres.map(genre => genre.name)
+    if (isConfidentMatch(scored)) {
+      const tmdbDetails = details.find(candidate => candidate.id === scored[0].tmdb_id)
+      return { outcome: 'matched', tmdbDetails }
     }
 
-    // Add trailer URL if available
-    if (tmdbDetails?.videos?.results) {
-      const trailer = tmdbDetails.videos.results.find(
-        video => video.type === 'Trailer' && video.site === 'YouTube'
-      )
-      if (trailer) {
-        enrichedData.trailer_url = `https://www.youtube.com/watch?v=${trailer.key}`
-      }
+    return { outcome: 'needs_review', candidates: scored }
+  }
+
+  // A scored candidate as a tmdb_match_candidates row
+  candidateRow(candidate, index) {
+    return {
+      tmdb_id: candidate.tmdb_id.toString(),
+      rank: index + 1,
+      score: candidate.score,
+      score_breakdown: candidate.breakdown,
+      title: candidate.title,
+      original_title: candidate.original_title,
+      release_year: candidate.year,
+      popularity: candidate.popularity,
+      poster_url: this.tmdb.posterUrl(candidate.poster_path),
     }
+  }
 
-    return enrichedData
+  // Movie details from TMDB, or null if TMDB has no movie with that id. Other errors
+  // are thrown so an outage counts as an error, not as "not found".
+  async getTMDBMovieDetails(tmdbId) {
+    try {
+      return await this.tmdb.getMovieDetails(tmdbId, this.tmdbOptions)
+    } catch (error) {
+      this.log(`Error getting TMDB details for ID ${tmdbId}: ${error.message}`, 'error')
+      throw error
+    }
   }
 
   // Get movies from database that need enrichment
   async getMoviesToEnrich() {
     try {
       let filters = {
-        select: 'id,title,year,poster_url,backdrop_url,tmdb_id',
+        select: 'id,title,year,director,poster_url,backdrop_url,tmdb_id',
       }
 
       if (this.config.onlyMissingPosters) {
@@ -254,7 +256,9 @@ class TMDBEnricher {
     }
   }
 
-  // Enrich a single movie
+  // Enrich a single movie. Resolves to { status: 'enriched' | 'skipped' | 'not_found' |
+  // 'needs_review' | 'duplicate' | 'no_data' | 'error', error?, duplicateMovieId? } so the
+  // queue worker can record the outcome.
   async enrichMovie(movie) {
     try {
       this.log(`Enriching: ${movie.title} (${movie.year})`)
@@ -263,52 +267,100 @@ class TMDBEnricher {
       if (movie.tmdb_id && movie.poster_url && !this.config.updateExisting) {
         this.stats.skipped++
         this.log(`Skipping ${movie.title} - already enriched`, 'warning')
-        return
+        return { status: 'skipped' }
       }
 
-      let tmdbMovie = null
       let tmdbDetails = null
 
       // If we have TMDB ID, get details directly
       if (movie.tmdb_id) {
         tmdbDetails = await this.getTMDBMovieDetails(movie.tmdb_id)
-        if (tmdbDetails) {
-          tmdbMovie = tmdbDetails
-        }
       }
 
       // If no TMDB ID or details not found, search
-      if (!tmdbMovie) {
-        tmdbMovie = await this.searchTMDBMovie(movie.title, movie.year)
+      if (!tmdbDetails) {
+        const match = await this.matchTMDBMovie(movie)
 
-        if (!tmdbMovie) {
+        if (match.outcome === 'no_match') {
           this.stats.moviesNotFound++
           this.log(`Movie not found on TMDB: ${movie.title} (${movie.year})`, 'warning')
-          return
+          return { status: 'not_found' }
         }
 
-        // Get detailed info
-        tmdbDetails = await this.getTMDBMovieDetails(tmdbMovie.id)
-      }
+        if (match.outcome === 'needs_review') {
+          await this.supabaseRequest('queue_tmdb_candidates', 'rpc', {
+            candidate_movie_id: movie.id,
+            candidates: match.candidates.map((candidate, index) =>
+              this.candidateRow(candidate, index)
+            ),
+          })
+          this.stats.needsReview++
+          this.log(
+            `No confident TMDB match for ${movie.title} (${movie.year}), queued for review`,
+            'warning'
+          )
+          return { status: 'needs_review' }
+        }
 
-      // Extract enriched data
-      const enrichedData = this.extractEnrichedData(tmdbMovie, tmdbDetails)
+        tmdbDetails = match.tmdbDetails
+      }
 
-      // Filter out null values and empty strings
-      const updateData = Object.fromEntries(
-        Object.entries(enrichedData).filter(
-          ([key, value]) => value !== null && value !== undefined && value !== ''
-        )
-      )
+      // Only the fields TMDB has, so enrichment never clears anything
+      const updateData = presentFields(this.tmdb.movieData(tmdbDetails))
 
       if (Object.keys(updateData).length === 0) {
         this.log(`No enrichment data found for: ${movie.title}`, 'warning')
-        return
+        return { status: 'no_data' }
       }
 
       // Update movie in database
-      await this.supabaseRequest('movies', 'update', updateData, {
-        id: `eq.${movie.id}`,
+      try {
+        await this.supabaseRequest('movies', 'update', updateData, {
+          id: `eq.${movie.id}`,
+        })
+      } catch (error) {
+        // Another movie already has this TMDB id: a duplicate to merge, not a retry
+        if (!error.message.includes('23505') || updateData.tmdb_id === movie.tmdb_id) throw error
+
+        const [owner] = await this.supabaseRequest('movies', 'select', null, {
+          select: 'id',
+          tmdb_id: `eq.${updateData.tmdb_id}`,
+        })
+        if (!owner) throw error
+
+        this.stats.duplicates++
+        this.log(
+          `${movie.title} matches TMDB ${updateData.tmdb_id}, already on ${owner.id}`,
+          'warning'
+        )
+        return { status: 'duplicate', duplicateMovieId: owner.id }
+      }
+
+      // Cast and crew as people (see the people_credits migration)
+      await this.supabaseRequest('replace_movie_credits', 'rpc', {
+        credit_movie_id: movie.id,
+        credits: this.tmdb.movieCredits(tmdbDetails),
+      })
+
+      // The collection it belongs to, with every part (see the collections migration)
+      if (tmdbDetails.belongs_to_collection) {
+        const collection = await this.tmdb.getCollection(
+          tmdbDetails.belongs_to_collection.id,
+          this.tmdbOptions
+        )
+        if (collection) {
+          await this.supabaseRequest(
+            'store_tmdb_collection',
+            'rpc',
+            this.tmdb.collectionData(collection)
+          )
+        }
+      }
+
+      // Candidates left from an earlier review are settled by the match
+      await this.supabaseRequest('resolve_tmdb_candidates', 'rpc', {
+        candidate_movie_id: movie.id,
+        accepted_tmdb_id: updateData.tmdb_id,
       })
 
       // Update stats
@@ -320,9 +372,82 @@ class TMDBEnricher {
       }
 
       this.log(`✓ Enriched: ${movie.title} - ${Object.keys(updateData).join(', ')}`, 'success')
+      return { status: 'enriched' }
     } catch (error) {
       this.stats.errors++
       this.log(`Failed to enrich ${movie.title}: ${error.message}`, 'error')
+      return { status: 'error', error: error.message }
+    }
+  }
+
+  // Drain the enrichment_jobs queue, the same work POST /movies/enrichment/run does.
+  // Failed jobs are rescheduled with backoff by fail_enrichment_job.
+  async runQueue() {
+    const startTime = Date.now()
+    const outcomes = {
+      succeeded: 0,
+      no_match: 0,
+      needs_review: 0,
+      duplicate: 0,
+      retrying: 0,
+      failed: 0,
+    }
+    this.log('📥 Draining TMDB enrichment queue...')
+    if (this.config.bypassCache) this.log('TMDB cache bypassed, every request goes to TMDB')
+
+    try {
+      while (true) {
+        const jobs = await this.supabaseRequest('claim_enrichment_jobs', 'rpc', {
+          batch_size: this.config.batchSize,
+        })
+
+        if (jobs.length === 0) break
+        this.log(`Claimed ${jobs.length} jobs`)
+
+        for (const job of jobs) {
+          const [movie] = await this.supabaseRequest('movies', 'select', null, {
+            select: 'id,title,year,director,poster_url,backdrop_url,tmdb_id',
+            id: `eq.${job.movie_id}`,
+          })
+
+          const result = movie
+            ? await this.enrichMovie(movie)
+            : { status: 'error', error: 'Movie no longer exists' }
+          this.stats.moviesProcessed++
+
+          if (result.status === 'error') {
+            const failed = await this.supabaseRequest('fail_enrichment_job', 'rpc', {
+              job_id: job.id,
+              error_message: result.error,
+            })
+            outcomes[failed.status === 'failed' ? 'failed' : 'retrying']++
+          } else {
+            const outcome = JOB_OUTCOMES[result.status]
+            await this.supabaseRequest('complete_enrichment_job', 'rpc', {
+              job_id: job.id,
+              outcome,
+              duplicate_of: result.duplicateMovieId || null,
+            })
+            outcomes[outcome]++
+          }
+        }
+      }
+
+      const duration = Math.round((Date.now() - startTime) / 1000)
+      this.log('\n🎉 Enrichment queue drained')
+      this.log(`   Succeeded: ${outcomes.succeeded}`)
+      this.log(`   No TMDB match: ${outcomes.no_match}`)
+      this.log(`   Needs review: ${outcomes.needs_review}`)
+      this.log(`   Duplicates: ${outcomes.duplicate}`)
+      this.log(
+        `   TMDB cache: ${this.tmdb.stats.cacheHits} hits, ${this.tmdb.stats.cacheMisses} misses`
+      )
+      this.log(`   Retrying later: ${outcomes.retrying}`)
+      this.log(`   Failed (out of attempts): ${outcomes.failed}`)
+      this.log(`   Duration: ${duration} seconds`)
+    } catch (error) {
+      this.log(`❌ Enrichment queue run failed: ${error.message}`, 'error')
+      process.exit(1)
     }
   }
 
@@ -363,7 +488,7 @@ class TMDBEnricher {
     try {
       // Test TMDB API connection
       this.log('Testing TMDB API connection...')
-      const testResult = await this.tmdbRequest('/configuration')
+      await this.tmdb.request('/configuration', {}, this.tmdbOptions)
       this.log('✓ TMDB API connection successful')
 
       // Test Supabase connection
@@ -404,8 +529,13 @@ class TMDBEnricher {
       this.log(`   Backdrops Added: ${this.stats.backdropsAdded}`)
       this.log(`   Metadata Updated: ${this.stats.metadataUpdated}`)
       this.log(`   Movies Not Found: ${this.stats.moviesNotFound}`)
+      this.log(`   Needs Review: ${this.stats.needsReview}`)
+      this.log(`   Duplicates: ${this.stats.duplicates}`)
       this.log(`   Errors: ${this.stats.errors}`)
       this.log(`   Skipped: ${this.stats.skipped}`)
+      this.log(
+        `   TMDB cache: ${this.tmdb.stats.cacheHits} hits, ${this.tmdb.stats.cacheMisses} misses`
+      )
       this.log(`   Duration: ${duration} seconds`)
 
       if (this.stats.errors > 0) {
@@ -488,10 +618,11 @@ async function main() {
     }
   }
 
+  await loadSharedUtils()
   const enricher = new TMDBEnricher(CONFIG)
 
   // Get command from command line argument
-  const command = process.argv[2] || 'run'
+  const command = process.argv.slice(2).find(arg => !arg.startsWith('--')) || 'run'
 
   if (command === 'preview' || command === 'show') {
     await enricher.preview()
@@ -499,18 +630,23 @@ async function main() {
     await enricher.debug()
   } else if (command === 'run' || command === 'enrich') {
     await enricher.run()
+  } else if (command === 'queue') {
+    await enricher.runQueue()
   } else {
     console.error('❌ Invalid command. Use:')
     console.error('   node tmdb-enricher.js preview  # Show what will be enriched')
     console.error('   node tmdb-enricher.js debug    # Debug database state')
     console.error('   node tmdb-enricher.js run      # Run the enrichment')
+    console.error('   node tmdb-enricher.js queue    # Work through queued enrichment jobs')
+    console.error('   Add --no-cache to ask TMDB instead of using cached responses')
     process.exit(1)
   }
 }
 
-// Export for testing
+// Export for testing; call loadSharedUtils() before creating an enricher
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = TMDBEnricher
+  module.exports.loadSharedUtils = loadSharedUtils
 }
 
 // Run if called directly
@@ -15,7 +15,16 @@ export interface Movie {
   language: string | null
   budget: number | null
   box_office: number | null
+  runtime: number | null
+  release_date: string | null
+  original_title: string | null
+  tagline: string | null
+  imdb_id: string | null
   trailer_url: string | null
+  // Watch history, kept up to date from movie_watches
+  first_watched_at: string | null
+  last_watched_at: string | null
+  rewatch_count: number
   created_at: string
   updated_at: string
 }
@@ -24,8 +33,22 @@ export interface MovieWatch {
   id: string
   movie_id: string
   watched_at: string
+  watched_on: string
+  // Day a feed item was delivered for; feed items are matched on it, not watched_on
+  delivered_on: string | null
+  // 0-10 in half-point steps
   personal_rating: number | null
+  // Scale the source rated on (5 = stars) and the rating as the source wrote it
+  rating_scale: number | null
+  rating_raw: string | null
+  // Letterboxd heart; null when the source doesn't say
+  liked: boolean | null
   review_text: string | null
+  tags: string[]
+  // The feed's rewatch flag (metadata.rewatch) when it has one, otherwise whether the
+  // movie has an earlier watch
+  is_rewatch: boolean
+  // 'manual' for watches logged through POST /movies/watches
   source: string
   source_url: string | null
   external_id: string | null
@@ -41,22 +64,724 @@ export interface ApiResponse<T> {
   message?: string
 }
 
+// Error envelope returned by every failing endpoint
+export interface ApiErrorBody {
+  error: {
+    code: string
+    message: string
+    details: unknown
+  }
+}
+
+// One viewing in GET /movies/movie/{id}, oldest first
+export interface MovieTimelineEntry {
+  watch_id: string
+  // 1 for the oldest recorded watch
+  viewing: number
+  watched_at: string
+  is_rewatch: boolean
+  rating: number | null
+  // Change since the previous rated viewing; null without one
+  rating_change: number | null
+  liked: boolean | null
+  source: string
+}
+
+export type CreditRole = 'cast' | 'director' | 'writer' | 'cinematographer' | 'composer'
+
+// A cast or crew member from TMDB, shared by every movie they are credited on
+export interface Person {
+  id: string
+  tmdb_id: string
+  name: string
+  profile_url: string | null
+  known_for_department: string | null
+  created_at: string
+  updated_at: string
+}
+
+// A credit in GET /movies/movie/{id}, with the person's fields alongside
+export interface MovieCredit {
+  person_id: string
+  tmdb_id: string
+  name: string
+  profile_url: string | null
+  role: CreditRole
+  // TMDB's job title ('Screenplay', ...); null for cast
+  job: string | null
+  character_name: string | null
+  // Position within the role, from 0
+  billing_order: number
+}
+
+export interface MovieCredits {
+  // Top-billed first
+  cast: MovieCredit[]
+  // Directors, writers, cinematographers, composers
+  crew: MovieCredit[]
+}
+
+export interface MovieDetails extends Movie {
+  movie_watches: Pick<
+    MovieWatch,
+    | 'id'
+    | 'watched_at'
+    | 'personal_rating'
+    | 'liked'
+    | 'review_text'
+    | 'is_rewatch'
+    | 'source'
+    | 'source_url'
+  >[]
+  credits: MovieCredits
+  timeline: MovieTimelineEntry[]
+}
+
+// A watched film in GET /movies/people/{id}
+export interface PersonFilm {
+  movie: Pick<Movie, 'id' | 'title' | 'year' | 'release_date' | 'poster_url'>
+  // Several when e.g. the person wrote and directed it
+  roles: Pick<MovieCredit, 'role' | 'job' | 'character_name' | 'billing_order'>[]
+  watch_count: number
+  average_rating: number | null
+  last_watched_at: string
+  // Oldest first
+  watches: {
+    watch_id: string
+    watched_at: string
+    rating: number | null
+    liked: boolean | null
+  }[]
+}
+
+export interface PersonDetails extends Person {
+  summary: {
+    films_watched: number
+    total_viewings: number
+    // Mean of each film's average rating
+    average_rating: number | null
+  }
+  // Newest release first
+  filmography: PersonFilm[]
+}
+
+export type TopPeopleSort = 'films' | 'viewings' | 'rating'
+
+export interface TopPerson {
+  person_id: string
+  tmdb_id: string
+  name: string
+  profile_url: string | null
+  films_watched: number
+  total_viewings: number
+  average_rating: number | null
+  last_watched_at: string
+}
+
+export interface TopPeopleResponse {
+  role: CreditRole
+  sort: TopPeopleSort
+  min_films: number
+  count: number
+  people: TopPerson[]
+}
+
+export type CollectionStatus = 'complete' | 'incomplete'
+
+// A movie in a collection, matched to the library by TMDB id
+export interface CollectionPart {
+  tmdb_id: string
+  title: string
+  release_date: string | null
+  poster_url: string | null
+  part_order: number
+  // Released already, or watched anyway
+  released: boolean
+  // The library movie, if it has been added
+  movie_id: string | null
+  watched: boolean
+  watch_count: number
+  first_watched_at: string | null
+  last_watched_at: string | null
+  average_rating: number | null
+}
+
+export interface Collection {
+  id: string
+  tmdb_id: string
+  name: string
+  overview: string | null
+  poster_url: string | null
+  backdrop_url: string | null
+  released_parts: number
+  watched_parts: number
+  // Percentage of released parts watched; null when none is released yet
+  completion: number | null
+}
+
+export type CollectionPartSummary = Pick<
+  CollectionPart,
+  'tmdb_id' | 'title' | 'release_date' | 'poster_url' | 'movie_id'
+>
+
+// A collection in GET /movies/collections; each list is in release order
+export interface CollectionSummary extends Collection {
+  watched: CollectionPartSummary[]
+  // Released but not watched
+  missing: CollectionPartSummary[]
+  upcoming: CollectionPartSummary[]
+}
+
+export interface CollectionsResponse {
+  count: number
+  collections: CollectionSummary[]
+}
+
+// GET /movies/collections/{id}
+export interface CollectionDetails extends CollectionSummary {
+  // Release order
+  parts: CollectionPart[]
+}
+
+// A movie as listed by GET /movies, with aggregates computed in the database
+export interface MovieListItem extends Movie {
+  movie_watches?: MovieWatch[]
+  watch_count: number
+  average_rating: number | null
+  has_poster: boolean
+  has_backdrop: boolean
+}
+
+export type MovieSortField =
+  | 'created'
+  | 'title'
+  | 'year'
+  | 'last_watched'
+  | 'rating'
+  | 'watch_count'
+
 export interface MoviesResponse {
   count: number
-  movies: (Movie & { movie_watches?: MovieWatch[] })[]
+  movies: MovieListItem[]
+  sort: string
+  next_cursor: string | null
+  total?: number
+}
+
+// Snippets with <mark> around matched terms, present only for fields that matched
+export interface MovieSearchHighlights {
+  title?: string
+  director?: string
+  plot?: string
+  review?: string
+}
+
+export interface MovieSearchResult extends MovieListItem {
+  rank: number
+  matched_in: (keyof MovieSearchHighlights)[]
+  highlights: MovieSearchHighlights
+  // Watch whose review produced the `review` snippet
+  matched_watch_id: string | null
+}
+
+export interface MovieSearchResponse {
+  query: string
+  count: number
+  results: MovieSearchResult[]
+  next_cursor: string | null
 }
 
 export interface WatchesResponse {
   count: number
   watches: (MovieWatch & { movies?: Movie })[]
+  next_cursor: string | null
+  total?: number
 }
 
+export type StatsBreakdown =
+  | 'years'
+  | 'months'
+  | 'genres'
+  | 'directors'
+  | 'countries'
+  | 'languages'
+  | 'ratings'
+  | 'genre_ratings'
+  | 'rewatches'
+  | 'runtime'
+
+export interface StatsCount {
+  movies: number
+  watches: number
+}
+
+// Breakdowns are only present when requested with `include`
 export interface StatsResponse {
   total_movies: number
+  // Every viewing; movies_watched counts each movie once
   total_watches: number
+  movies_watched: number
+  total_rewatches: number
   movies_with_posters: number
   poster_coverage: number
   average_rating: number
+  watches_by_year?: (StatsCount & { year: number })[]
+  watches_by_month?: (StatsCount & { month: string })[]
+  top_genres?: (StatsCount & { genre: string })[]
+  top_directors?: (StatsCount & { director: string })[]
+  top_countries?: (StatsCount & { country: string })[]
+  top_languages?: (StatsCount & { language: string })[]
+  rating_histogram?: { rating: number; watches: number }[]
+  average_rating_by_genre?: { genre: string; average_rating: number; ratings: number }[]
+  rewatches?: { first_watches: number; rewatches: number; rewatched_movies: number }
+  runtime?: {
+    total_minutes: number
+    total_hours: number
+    watches_with_runtime: number
+    watches_without_runtime: number
+  }
+}
+
+// Movie fields used in the year in review
+export interface ReviewMovie {
+  id: string
+  title: string
+  year: number | null
+  director: string | null
+  poster_url: string | null
+}
+
+export interface YearTotals {
+  year: number
+  watches: number
+  films: number
+  minutes: number
+  hours: number
+  average_rating: number | null
+}
+
+export interface YearReview {
+  year: number
+  total_watches: number
+  total_films: number
+  total_minutes: number
+  total_hours: number
+  average_rating: number | null
+  first_watch: { watch_id: string; watched_at: string; movie: ReviewMovie }
+  last_watch: { watch_id: string; watched_at: string; movie: ReviewMovie }
+  // month is 1-12
+  most_watched_month: { month: number; watches: number }
+  highest_rated: { movie: ReviewMovie; rating: number }[]
+  lowest_rated: { movie: ReviewMovie; rating: number }[]
+  top_directors: { director: string; watches: number }[]
+  top_genres: { genre: string; watches: number }[]
+  new_vs_rewatch: { new: number; rewatch: number }
+  oldest_release: ReviewMovie | null
+  newest_release: ReviewMovie | null
+  longest_streak: { days: number; start: string; end: string }
+  previous_year: YearTotals & {
+    change: { watches: number; films: number; hours: number; average_rating: number | null }
+  }
+}
+
+export type WebhookEventStatus = 'pending' | 'processed' | 'failed'
+
+export interface WebhookEvent {
+  id: string
+  received_at: string
+  source: 'letterboxd' | 'trakt' | 'generic' | 'unknown'
+  status: WebhookEventStatus
+  payload?: Record<string, any> | null
+  raw_body?: string | null
+  error_message: string | null
+  movie_id: string | null
+  watch_id: string | null
+  watch_status: 'created' | 'updated' | 'unchanged' | null
+  attempts: number
+  last_attempt_at: string | null
+  processed_at: string | null
+}
+
+export interface WebhookEventsResponse {
+  count: number
+  events: WebhookEvent[]
+}
+
+export interface WebhookReplayResponse {
+  replayed: number
+  succeeded: number
+  failed: number
+  results: Array<{
+    id: string
+    status: WebhookEventStatus
+    watch_status: 'created' | 'updated' | 'unchanged' | null
+    error: string | null
+  }>
+}
+
+export type FeedPollStatus = 'ok' | 'not_modified' | 'failed'
+
+// An RSS/Atom feed read by the built-in poller, with its last poll state
+export interface Feed {
+  id: string
+  url: string
+  enabled: boolean
+  title: string | null
+  last_item_at: string | null
+  last_polled_at: string | null
+  last_success_at: string | null
+  last_status: FeedPollStatus | null
+  last_error: string | null
+  items_ingested: number
+  created_at: string
+}
+
+export interface FeedsResponse {
+  count: number
+  feeds: Feed[]
+}
+
+export interface FeedPollResponse {
+  polled: number
+  failed: number
+  results: Array<{
+    feed_id: string
+    url: string
+    status: FeedPollStatus
+    items: number
+    ingested: number
+    skipped: number
+    failed: number
+    error: string | null
+  }>
+}
+
+// needs_review: candidates are waiting in the TMDB match review queue
+// duplicate: the match is a TMDB id another movie already has (see duplicate_movie_id)
+export type EnrichmentJobStatus =
+  | 'pending'
+  | 'running'
+  | 'succeeded'
+  | 'no_match'
+  | 'needs_review'
+  | 'duplicate'
+  | 'failed'
+
+// A queued TMDB lookup for one movie; retried with exponential backoff
+export interface EnrichmentJob {
+  id: string
+  movie_id: string
+  status: EnrichmentJobStatus
+  attempts: number
+  max_attempts: number
+  run_after: string
+  last_error: string | null
+  locked_at: string | null
+  completed_at: string | null
+  duplicate_movie_id: string | null
+  created_at: string
+  updated_at: string
+  movies?: Pick<Movie, 'id' | 'title' | 'year' | 'tmdb_id' | 'poster_url'>
+}
+
+export interface EnrichmentJobsResponse {
+  count: number
+  jobs: EnrichmentJob[]
+}
+
+export interface EnrichmentRunResponse {
+  claimed: number
+  succeeded: number
+  no_match: number
+  needs_review: number
+  duplicate: number
+  retrying: number
+  failed: number
+  // TMDB responses served from tmdb_cache vs fetched
+  cache: { hits: number; misses: number }
+  results: Array<{
+    id: string
+    movie_id: string
+    status: EnrichmentJobStatus
+    attempts: number
+    run_after: string
+    error: string | null
+  }>
+}
+
+export type TmdbMatchCandidateStatus = 'pending' | 'accepted' | 'rejected'
+
+// A TMDB movie that might be the right match for a movie, scored 0-1
+export interface TmdbMatchCandidate {
+  id: string
+  movie_id: string
+  tmdb_id: string
+  rank: number
+  score: number
+  score_breakdown: {
+    title: number
+    year: number
+    // null when there was no director to compare
+    director: number | null
+    popularity: number
+  }
+  title: string
+  original_title: string | null
+  release_year: number | null
+  popularity: number | null
+  poster_url: string | null
+  status: TmdbMatchCandidateStatus
+  resolved_at: string | null
+  created_at: string
+  updated_at: string
+}
+
+export interface TmdbMatchesResponse {
+  count: number
+  matches: Array<{
+    movie: Pick<Movie, 'id' | 'title' | 'year' | 'director' | 'tmdb_id'>
+    candidates: TmdbMatchCandidate[]
+  }>
+}
+
+export interface TmdbMatchResolveResponse {
+  success: boolean
+  // Only set when a candidate was accepted
+  movie?: Movie
+  candidates: TmdbMatchCandidate[]
+}
+
+export interface MovieTmdbLinkResponse {
+  success: boolean
+  // With merge, the movie that already had the TMDB id (and now has the watches)
+  movie: Movie
+  previous_tmdb_id: string | null
+  // Id of the movie that was merged away, if any
+  merged_from: string | null
+}
+
+export type DuplicateReason = 'tmdb_id' | 'title_year' | 'external_ids'
+
+export type DuplicateMovie = Pick<
+  Movie,
+  'id' | 'title' | 'year' | 'letterboxd_id' | 'trakt_id' | 'tmdb_id' | 'poster_url' | 'created_at'
+> & { watch_count: number }
+
+export interface DuplicateMoviesResponse {
+  count: number
+  duplicates: Array<{
+    movies: [DuplicateMovie, DuplicateMovie]
+    reasons: DuplicateReason[]
+    // The suggested movie to keep: linked to TMDB, then more watches, then older
+    survivor_id: string
+  }>
+}
+
+// A movie merged into another; its old ids still resolve to the target on ingestion
+export interface MovieMerge {
+  id: string
+  source_movie_id: string
+  target_movie_id: string
+  watches_moved: number
+  reason: 'manual' | 'tmdb_relink'
+  merged_at: string
+}
+
+export interface MergeMoviesResponse {
+  success: boolean
+  movie: Movie
+  merge: MovieMerge
+}
+
+// Fields for logging (POST /movies/watches) or editing (PATCH /movies/watches/{id}) a watch
+export interface WatchInput {
+  // ISO date-time, or YYYY-MM-DD for the day (midnight UTC); logging defaults to now
+  watched_at?: string
+  // On rating_scale (default 10), stored on the 0-10 scale; null clears it
+  rating?: number | null
+  rating_scale?: 5 | 10 | 100
+  review?: string | null
+  liked?: boolean | null
+  tags?: string[]
+  // null (the default) works it out from the movie's earlier watches
+  rewatch?: boolean | null
+}
+
+// Identify the movie by movie_id, tmdb_id (id or themoviedb.org URL), or title and year
+export interface MovieInput {
+  movie_id?: string
+  tmdb_id?: string | number
+  title?: string
+  year?: number
+}
+
+export interface CreateWatchInput extends WatchInput, MovieInput {}
+
+export interface WatchMutationResponse {
+  success: boolean
+  watch: MovieWatch
+}
+
+export interface CreateWatchResponse extends WatchMutationResponse {
+  movie: Movie
+  // The watchlist entry this watch fulfilled, if any
+  watchlist_entry: WatchlistEntry | null
+}
+
+export type WatchlistPriority = 'low' | 'normal' | 'high'
+
+// A watchlist row. fulfilled_at and watch_id are set by the first watch of the movie
+// logged on or after the day it was added.
+export interface WatchlistEntry {
+  id: string
+  movie_id: string
+  // Order among pending entries, from 0
+  position: number
+  priority: WatchlistPriority
+  recommended_by: string | null
+  note: string | null
+  added_at: string
+  fulfilled_at: string | null
+  watch_id: string | null
+  created_at: string
+  updated_at: string
+}
+
+// An entry as listed by GET /movies/watchlist
+export interface WatchlistItem extends WatchlistEntry {
+  movie: Pick<
+    Movie,
+    | 'id'
+    | 'title'
+    | 'year'
+    | 'release_date'
+    | 'runtime'
+    | 'genres'
+    | 'director'
+    | 'poster_url'
+    | 'tmdb_id'
+  >
+}
+
+export interface WatchlistResponse {
+  count: number
+  watchlist: WatchlistItem[]
+}
+
+// An entry as listed by GET /movies/public/watchlist, without the private fields
+export type PublicWatchlistItem = Omit<WatchlistItem, 'recommended_by' | 'note'>
+
+export interface PublicWatchlistResponse {
+  count: number
+  watchlist: PublicWatchlistItem[]
+}
+
+// Fields for adding (POST /movies/watchlist) or editing (PATCH /movies/watchlist/{id})
+// an entry; null clears recommended_by or note
+export interface WatchlistEntryInput {
+  priority?: WatchlistPriority
+  recommended_by?: string | null
+  note?: string | null
+}
+
+export interface AddToWatchlistInput extends WatchlistEntryInput, MovieInput {}
+
+export interface WatchlistEntryResponse {
+  success: boolean
+  entry: WatchlistItem
+}
+
+export interface ReorderWatchlistResponse {
+  success: boolean
+  count: number
+  // Pending entries in their new order
+  watchlist: Pick<WatchlistEntry, 'id' | 'position'>[]
+}
+
+export type ListMode = 'ranked' | 'unranked'
+export type ListVisibility = 'public' | 'private'
+
+export interface List {
+  id: string
+  // URL name, e.g. 'best-of-2024'
+  slug: string
+  title: string
+  description: string | null
+  mode: ListMode
+  visibility: ListVisibility
+  created_at: string
+  updated_at: string
+}
+
+export interface ListSummary extends List {
+  item_count: number
+}
+
+export interface ListItem {
+  id: string
+  // 1 for the top of a ranked list; null on an unranked list
+  rank: number | null
+  position: number
+  note: string | null
+  created_at: string
+  updated_at: string
+  movie: Pick<
+    MovieListItem,
+    | 'id'
+    | 'title'
+    | 'year'
+    | 'release_date'
+    | 'director'
+    | 'genres'
+    | 'runtime'
+    | 'plot_summary'
+    | 'poster_url'
+    | 'backdrop_url'
+    | 'tmdb_id'
+    | 'watch_count'
+    | 'average_rating'
+    | 'last_watched_at'
+  >
+}
+
+// GET /movies/lists/{id} and GET /movies/public/lists/{slug}; items in list order
+export interface ListDetails extends ListSummary {
+  items: ListItem[]
+}
+
+export interface ListsResponse {
+  count: number
+  lists: ListSummary[]
+}
+
+// Fields for creating (POST /movies/lists) or editing (PATCH /movies/lists/{id}) a
+// list. The slug defaults to the title, slugified.
+export interface ListInput {
+  title?: string
+  slug?: string
+  description?: string | null
+  mode?: ListMode
+  visibility?: ListVisibility
+}
+
+export interface CreateListInput extends ListInput {
+  title: string
+}
+
+export interface ListItemInput {
+  note?: string | null
+}
+
+export interface AddListItemInput extends ListItemInput, MovieInput {}
+
+export interface ListResponse {
+  success: boolean
+  list: ListDetails
+}
+
+export interface ListItemResponse {
+  success: boolean
+  item: ListItem
 }
 
 // Webhook types
@@ -70,6 +795,14 @@ export interface EchoFeedItem {
   date?: string
   summary?: string
   trakt_id?: string
+  // Letterboxd RSS namespace fields, when forwarded
+  'letterboxd:filmTitle'?: string
+  'letterboxd:filmYear'?: string
+  'letterboxd:memberRating'?: string
+  'letterboxd:watchedDate'?: string
+  'letterboxd:rewatch'?: string
+  'letterboxd:memberLike'?: string
+  'tmdb:movieId'?: string
 }
 
 export interface EchoFeedWebhook {
@@ -87,18 +820,33 @@ export interface EchoFeedWebhook {
 }
 
 // TMDB types
+// A /movie/{id} response with credits, videos, keywords and alternative titles
+// appended, or a search result (which has genre_ids instead of genres and nothing
+// appended)
 export interface TMDBMovie {
   id: number
   title: string
+  original_title?: string
   overview?: string
-  poster_path?: string
-  backdrop_path?: string
+  poster_path?: string | null
+  backdrop_path?: string | null
   release_date?: string
+  popularity?: number
+  genre_ids?: number[]
   genres?: Array<{ id: number; name: string }>
   production_countries?: Array<{ iso_3166_1: string; name: string }>
   original_language?: string
   budget?: number
   revenue?: number
+  runtime?: number
+  tagline?: string
+  imdb_id?: string | null
+  belongs_to_collection?: {
+    id: number
+    name: string
+    poster_path?: string | null
+    backdrop_path?: string | null
+  } | null
   videos?: {
     results: Array<{
       key: string
@@ -107,9 +855,37 @@ export interface TMDBMovie {
     }>
   }
   credits?: {
+    cast?: Array<{
+      id: number
+      name: string
+      character?: string
+      order?: number
+      profile_path?: string | null
+      known_for_department?: string
+    }>
     crew: Array<{
+      id?: number
       name: string
       job: string
+      department?: string
+      profile_path?: string | null
+      known_for_department?: string
     }>
   }
+  keywords?: {
+    keywords: Array<{ id: number; name: string }>
+  }
+  alternative_titles?: {
+    titles: Array<{ iso_3166_1: string; title: string }>
+  }
+}
+
+// A /collection/{id} response; parts are search-result-shaped movies
+export interface TMDBCollection {
+  id: number
+  name: string
+  overview?: string
+  poster_path?: string | null
+  backdrop_path?: string | null
+  parts?: TMDBMovie[]
 }
@@ -1,3 +1,8 @@
+export * from './ratings'
+export * from './tmdb-match'
+export * from './tmdb-cache'
+export * from './tmdb-client'
+
 // Date utilities
 export function formatDate(date: string | Date): string {
   return new Date(date).toLocaleDateString('en-US', {
@@ -31,18 +36,6 @@ export function truncate(text: string, length: number): string {
   return text.substring(0, length) + '...'
 }
 
-// Rating utilities
-export function formatRating(rating: number | null): string {
-  if (rating === null) return 'No rating'
-  return `${rating.toFixed(1)}/10`
-}
-
-export function ratingToStars(rating: number | null): string {
-  if (rating === null) return '☆☆☆☆☆'
-  const stars = Math.round(rating / 2) // Convert 10-point to 5-star scale
-  return '★'.repeat(stars) + '☆'.repeat(5 - stars)
-}
-
 // URL utilities
 export function buildImageUrl(path: string | null, size = 'w500'): string | null {
   if (!path) return null
@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest'
+import {
+  denormalizeRating,
+  formatRating,
+  normalizeRating,
+  parseFractionRating,
+  parseRating,
+  parseStarRating,
+  ratingToStars,
+  roundToHalf,
+} from './ratings'
+
+describe('normalizeRating', () => {
+  it('converts each source scale to 0-10', () => {
+    expect(normalizeRating(3.5, 5)).toBe(7)
+    expect(normalizeRating(0.5, 5)).toBe(1)
+    expect(normalizeRating(8, 10)).toBe(8)
+    expect(normalizeRating(85, 100)).toBe(8.5)
+  })
+
+  it('rounds to the nearest half point', () => {
+    expect(normalizeRating(7.2, 10)).toBe(7)
+    expect(normalizeRating(7.3, 10)).toBe(7.5)
+    expect(normalizeRating(83, 100)).toBe(8.5)
+    expect(normalizeRating(82, 100)).toBe(8)
+    expect(roundToHalf(6.75)).toBe(7)
+  })
+
+  it('clamps out-of-range values to the scale', () => {
+    expect(normalizeRating(6, 5)).toBe(10)
+    expect(normalizeRating(150, 100)).toBe(10)
+    expect(normalizeRating(-1, 10)).toBe(0)
+  })
+})
+
+describe('denormalizeRating', () => {
+  it('converts back to stars in half steps', () => {
+    expect(denormalizeRating(7, 5)).toBe(3.5)
+    expect(denormalizeRating(6.5, 5)).toBe(3.5)
+    expect(denormalizeRating(10, 5)).toBe(5)
+  })
+
+  it('keeps one decimal on the 10 and 100 scales', () => {
+    expect(denormalizeRating(7.5, 10)).toBe(7.5)
+    expect(denormalizeRating(7.5, 100)).toBe(75)
+  })
+
+  it('round-trips every half-star rating', () => {
+    for (let stars = 0.5; stars <= 5; stars += 0.5) {
+      expect(denormalizeRating(normalizeRating(stars, 5), 5)).toBe(stars)
+    }
+  })
+})
+
+describe('parseStarRating', () => {
+  it('reads full and half stars', () => {
+    expect(parseStarRating('★★★½')).toEqual({ rating: 7, scale: 5, raw: '★★★½' })
+    expect(parseStarRating('Watched: ★★★★★')).toEqual({ rating: 10, scale: 5, raw: '★★★★★' })
+    expect(parseStarRating('½')).toEqual({ rating: 1, scale: 5, raw: '½' })
+  })
+
+  it('ignores empty stars', () => {
+    expect(parseStarRating('★★☆☆☆')?.rating).toBe(4)
+  })
+
+  it('rejects more than five stars and text without stars', () => {
+    expect(parseStarRating('★★★★★★')).toBeNull()
+    expect(parseStarRating('no rating')).toBeNull()
+    expect(parseStarRating('1½')).toBeNull()
+    expect(parseStarRating(null)).toBeNull()
+    expect(parseStarRating('')).toBeNull()
+  })
+})
+
+describe('parseFractionRating', () => {
+  it('reads each supported scale', () => {
+    expect(parseFractionRating('8/10')).toEqual({ rating: 8, scale: 10, raw: '8/10' })
+    expect(parseFractionRating('Rated 4.5 / 5')).toEqual({ rating: 9, scale: 5, raw: '4.5 / 5' })
+    expect(parseFractionRating('85/100')).toEqual({ rating: 8.5, scale: 100, raw: '85/100' })
+  })
+
+  it('rejects values above the scale and unsupported scales', () => {
+    expect(parseFractionRating('11/10')).toBeNull()
+    expect(parseFractionRating('6/5')).toBeNull()
+    expect(parseFractionRating('3/4')).toBeNull()
+    expect(parseFractionRating(undefined)).toBeNull()
+  })
+})
+
+describe('parseRating', () => {
+  it('prefers stars over a fraction', () => {
+    expect(parseRating('★★ (8/10)')?.scale).toBe(5)
+    expect(parseRating('8/10')?.scale).toBe(10)
+  })
+})
+
+describe('formatting', () => {
+  it('formats a rating out of 10', () => {
+    expect(formatRating(7.5)).toBe('7.5/10')
+    expect(formatRating(null)).toBe('No rating')
+  })
+
+  it('draws stars with a half star and empty stars', () => {
+    expect(ratingToStars(7)).toBe('★★★½☆')
+    expect(ratingToStars(10)).toBe('★★★★★')
+    expect(ratingToStars(0)).toBe('☆☆☆☆☆')
+    expect(ratingToStars(null)).toBe('☆☆☆☆☆')
+  })
+})
@@ -0,0 +1,90 @@
+// Rating utilities
+//
+// Ratings are stored on one canonical scale: 0-10 in half-point steps. Sources rate on
+// their own scales (Letterboxd 0.5-5 stars, Trakt 1-10), so every rating is converted
+// here, and the source's scale and raw value are kept alongside it.
+
+export const RATING_MAX = 10
+
+// Maximum value of the scale a rating was given on
+export type RatingScale = 5 | 10 | 100
+
+export interface ParsedRating {
+  // 0-10, half-point precision
+  rating: number
+  scale: RatingScale
+  // The rating as it appeared in the source, e.g. "★★★½" or "8/10"
+  raw: string
+}
+
+export function roundToHalf(value: number): number {
+  return Math.round(value * 2) / 2
+}
+
+// Convert a value on `scale` to the canonical 0-10 half-point rating
+export function normalizeRating(value: number, scale: RatingScale): number {
+  const rating = roundToHalf((value / scale) * RATING_MAX)
+  return Math.min(Math.max(rating, 0), RATING_MAX)
+}
+
+// Convert a canonical 0-10 rating back to `scale` (e.g. 7 -> 3.5 stars)
+export function denormalizeRating(rating: number, scale: RatingScale): number {
+  const value = (rating / RATING_MAX) * scale
+  return scale === 5 ? roundToHalf(value) : Math.round(value * 10) / 10
+}
+
+export function starsToRating(stars: number): number {
+  return normalizeRating(stars, 5)
+}
+
+export function ratingToStarCount(rating: number): number {
+  return denormalizeRating(rating, 5)
+}
+
+// Letterboxd-style stars: "★★★½" is 3.5 stars, a lone "½" is half a star.
+// Empty stars (☆) are ignored.
+export function parseStarRating(text: string | null | undefined): ParsedRating | null {
+  if (!text) return null
+
+  const match = text.match(/(★+)(½)?|(?<!\d)½/)
+  if (!match) return null
+
+  const fullStars = match[1] ? match[1].length : 0
+  const halfStar = match[2] || match[0] === '½' ? 0.5 : 0
+  const stars = fullStars + halfStar
+  if (stars > 5) return null
+
+  return { rating: starsToRating(stars), scale: 5, raw: match[0] }
+}
+
+// "8/10", "4.5 / 5" or "85/100"
+export function parseFractionRating(text: string | null | undefined): ParsedRating | null {
+  if (!text) return null
+
+  const match = text.match(/(\d+(?:\.\d+)?)\s*\/\s*(100|10|5)\b/)
+  if (!match) return null
+
+  const value = parseFloat(match[1])
+  const scale = parseInt(match[2]) as RatingScale
+  if (value > scale) return null
+
+  return { rating: normalizeRating(value, scale), scale, raw: match[0] }
+}
+
+// Stars first, then a fraction
+export function parseRating(text: string | null | undefined): ParsedRating | null {
+  return parseStarRating(text) || parseFractionRating(text)
+}
+
+export function formatRating(rating: number | null): string {
+  if (rating === null) return 'No rating'
+  return `${rating.toFixed(1)}/10`
+}
+
+export function ratingToStars(rating: number | null): string {
+  if (rating === null) return '☆☆☆☆☆'
+  const stars = ratingToStarCount(rating)
+  const fullStars = Math.floor(stars)
+  const halfStar = stars - fullStars >= 0.5
+  return '★'.repeat(fullStars) + (halfStar ? '½' : '') + '☆'.repeat(5 - Math.ceil(stars))
+}
@@ -0,0 +1,48 @@
+// TMDB response cache keys and lifetimes
+//
+// The edge function and the enricher script both keep TMDB responses in the
+// tmdb_cache table, so re-running enrichment over the library mostly reads from the
+// database. Search results change as TMDB adds films and so expire quickly; a
+// movie's details rarely change and are kept for weeks. A 404 is cached as well (with
+// a null response) so missing ids aren't asked for again on every run.
+
+const HOUR = 60 * 60
+const DAY = 24 * HOUR
+
+// Seconds a response stays fresh, by endpoint. The first pattern that matches wins.
+export const TMDB_CACHE_TTLS: { pattern: RegExp; ttl: number }[] = [
+  { pattern: /^\/search\//, ttl: DAY },
+  { pattern: /^\/movie\/\d+$/, ttl: 30 * DAY },
+  // Collections gain parts as sequels are announced
+  { pattern: /^\/collection\/\d+$/, ttl: 7 * DAY },
+  { pattern: /^\/configuration$/, ttl: 7 * DAY },
+]
+
+export const TMDB_CACHE_DEFAULT_TTL = 6 * HOUR
+
+// Not-found answers are kept for the shortest time, since TMDB may add the film
+export const TMDB_CACHE_NOT_FOUND_TTL = DAY
+
+export function tmdbCacheTtl(endpoint: string, status = 200): number {
+  if (status === 404) return TMDB_CACHE_NOT_FOUND_TTL
+  const rule = TMDB_CACHE_TTLS.find(({ pattern }) => pattern.test(endpoint))
+  return rule ? rule.ttl : TMDB_CACHE_DEFAULT_TTL
+}
+
+// The params that are actually sent (no empty values, never the API key), in a
+// stable order
+export function tmdbCacheParams(params: Record<string, unknown> = {}): Record<string, string> {
+  return Object.fromEntries(
+    Object.entries(params)
+      .filter(([key, value]) => key !== 'api_key' && value !== null && value !== undefined)
+      .map(([key, value]) => [key, String(value)])
+      .sort(([a], [b]) => a.localeCompare(b))
+  )
+}
+
+// "/search/movie?query=Se7en": endpoint plus sorted params, so the same request from
+// either caller lands on the same row
+export function tmdbCacheKey(endpoint: string, params: Record<string, unknown> = {}): string {
+  const query = new URLSearchParams(tmdbCacheParams(params)).toString()
+  return query ? `${endpoint}?${query}` : endpoint
+}
@@ -0,0 +1,418 @@
+// TMDB API client shared by the edge function (Deno) and tmdb-enricher.js (Node)
+//
+// Requests go through a token bucket (TMDB allows roughly 40 requests per 10 seconds)
+// and are retried on 429 and 5xx responses, waiting as long as Retry-After asks.
+// A 404 resolves to null so callers can tell "not on TMDB" from "try again later".
+// fetch, the clock and the response cache are injectable, so the client runs
+// anywhere fetch does and can be exercised without the network.
+//
+// Only type imports, so the edge function can load it directly from Deno.
+
+import type { CreditRole, TMDBCollection, TMDBMovie } from '../types/index.ts'
+
+export const TMDB_BASE_URL = 'https://api.themoviedb.org/3'
+export const TMDB_IMAGE_BASE_URL = 'https://image.tmdb.org/t/p'
+
+// Everything enrichment and match scoring read from /movie/{id}
+export const TMDB_DETAILS_APPEND = 'credits,videos,keywords,alternative_titles'
+
+// Top-billed cast members kept per movie
+export const TMDB_CAST_LIMIT = 20
+
+// Crew jobs kept as credits, by role
+export const TMDB_CREW_JOBS: Record<Exclude<CreditRole, 'cast'>, string[]> = {
+  director: ['Director'],
+  writer: ['Screenplay', 'Writer', 'Story', 'Novel'],
+  cinematographer: ['Director of Photography'],
+  composer: ['Original Music Composer', 'Music'],
+}
+
+export type TMDBParams = Record<string, string | number | null | undefined>
+
+// A cached response; status 404 with a null body for "not found"
+export interface TMDBCachedResponse {
+  status: number
+  body: unknown
+}
+
+// Storage for responses (the tmdb_cache table in both callers)
+export interface TMDBResponseCache {
+  get(endpoint: string, params: TMDBParams): Promise<TMDBCachedResponse | null>
+  set(endpoint: string, params: TMDBParams, response: TMDBCachedResponse): Promise<void>
+}
+
+export interface TMDBClientOptions {
+  apiKey: string
+  baseUrl?: string
+  imageBaseUrl?: string
+  posterSize?: string
+  backdropSize?: string
+  profileSize?: string
+  // Requests that can be made at once, and how fast the allowance comes back
+  rateLimit?: { capacity: number; refillPerSecond: number }
+  // Retries after the first attempt for 429 and 5xx responses
+  maxRetries?: number
+  cache?: TMDBResponseCache | null
+  fetch?: typeof fetch
+  now?: () => number
+  sleep?: (ms: number) => Promise<void>
+  log?: (message: string) => void
+}
+
+export interface TMDBRequestOptions {
+  // Ask TMDB even when the cache has a response; the new response is still cached
+  bypassCache?: boolean
+}
+
+export interface TMDBClientStats {
+  requests: number
+  retries: number
+  cacheHits: number
+  cacheMisses: number
+}
+
+// movies columns filled from TMDB details
+export interface TMDBMovieData {
+  tmdb_id: string
+  poster_url: string | null
+  backdrop_url: string | null
+  plot_summary: string | null
+  director: string | null
+  genres: string[] | null
+  country: string | null
+  language: string | null
+  budget: number | null
+  box_office: number | null
+  runtime: number | null
+  release_date: string | null
+  original_title: string | null
+  tagline: string | null
+  imdb_id: string | null
+  trailer_url: string | null
+}
+
+// A collection and its parts as store_tmdb_collection() takes them (see the
+// collections migration)
+export interface TMDBCollectionData {
+  collection: {
+    tmdb_id: string
+    name: string
+    overview: string | null
+    poster_url: string | null
+    backdrop_url: string | null
+  }
+  parts: {
+    tmdb_id: string
+    title: string
+    release_date: string | null
+    poster_url: string | null
+    // Release order, from 0; unannounced dates last
+    part_order: number
+  }[]
+}
+
+// One credit as replace_movie_credits() takes it (see the people_credits migration)
+export interface TMDBCredit {
+  tmdb_id: string
+  name: string
+  profile_url: string | null
+  known_for_department: string | null
+  role: CreditRole
+  job: string | null
+  character_name: string | null
+  // Position within the role, from 0
+  billing_order: number
+}
+
+export class TMDBError extends Error {
+  constructor(
+    message: string,
+    public status: number,
+    public endpoint: string
+  ) {
+    super(message)
+    this.name = 'TMDBError'
+  }
+}
+
+const defaultSleep = (ms: number) => new Promise<void>(resolve => setTimeout(resolve, ms))
+
+// Allows `capacity` requests in a burst, then `refillPerSecond` per second
+export class TokenBucket {
+  private tokens: number
+  private updatedAt: number
+
+  constructor(
+    private capacity: number,
+    private refillPerSecond: number,
+    private now: () => number = Date.now,
+    private sleep: (ms: number) => Promise<void> = defaultSleep
+  ) {
+    this.tokens = capacity
+    this.updatedAt = now()
+  }
+
+  private refill() {
+    const now = this.now()
+    const elapsed = (now - this.updatedAt) / 1000
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond)
+    this.updatedAt = now
+  }
+
+  // Resolves once a request may be made
+  async take(): Promise<void> {
+    this.refill()
+    while (this.tokens < 1) {
+      await this.sleep(Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000))
+      this.refill()
+    }
+    this.tokens -= 1
+  }
+}
+
+// Milliseconds to wait before retrying: Retry-After (seconds or an HTTP date) when
+// TMDB sends it, otherwise 1, 2, 4, ... seconds
+export function retryDelay(retryAfter: string | null, attempt: number, now = Date.now()): number {
+  if (retryAfter) {
+    const seconds = Number(retryAfter)
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+
+    const date = Date.parse(retryAfter)
+    if (!isNaN(date)) return Math.max(0, date - now)
+  }
+  return 1000 * 2 ** attempt
+}
+
+export class TMDBClient {
+  readonly stats: TMDBClientStats = { requests: 0, retries: 0, cacheHits: 0, cacheMisses: 0 }
+
+  private baseUrl: string
+  private imageBaseUrl: string
+  private posterSize: string
+  private backdropSize: string
+  private profileSize: string
+  private maxRetries: number
+  private cache: TMDBResponseCache | null
+  private fetch: typeof fetch
+  private now: () => number
+  private sleep: (ms: number) => Promise<void>
+  private log: (message: string) => void
+  private bucket: TokenBucket
+
+  constructor(private options: TMDBClientOptions) {
+    this.baseUrl = options.baseUrl || TMDB_BASE_URL
+    this.imageBaseUrl = options.imageBaseUrl || TMDB_IMAGE_BASE_URL
+    this.posterSize = options.posterSize || 'w500'
+    this.backdropSize = options.backdropSize || 'w1280'
+    this.profileSize = options.profileSize || 'w185'
+    this.maxRetries = options.maxRetries ?? 3
+    this.cache = options.cache || null
+    // Unbound, a global fetch throws "Illegal invocation" in some runtimes
+    this.fetch = options.fetch || ((input, init) => fetch(input, init))
+    this.now = options.now || Date.now
+    this.sleep = options.sleep || defaultSleep
+    this.log = options.log || (() => {})
+
+    const { capacity, refillPerSecond } = options.rateLimit || { capacity: 40, refillPerSecond: 4 }
+    this.bucket = new TokenBucket(capacity, refillPerSecond, this.now, this.sleep)
+  }
+
+  // GET an endpoint. Resolves to null for a 404; throws TMDBError for any other
+  // failure once the retries are used up.
+  async request<T>(
+    endpoint: string,
+    params: TMDBParams = {},
+    { bypassCache = false }: TMDBRequestOptions = {}
+  ): Promise<T | null> {
+    if (this.cache && !bypassCache) {
+      const cached = await this.cache.get(endpoint, params)
+      if (cached) {
+        this.stats.cacheHits++
+        return cached.status === 404 ? null : (cached.body as T)
+      }
+    }
+    if (this.cache) this.stats.cacheMisses++
+
+    const url = new URL(`${this.baseUrl}${endpoint}`)
+    url.searchParams.set('api_key', this.options.apiKey)
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== null && value !== undefined) url.searchParams.set(key, String(value))
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      await this.bucket.take()
+      this.stats.requests++
+      const response = await this.fetch(url.toString())
+
+      if (response.status === 404) {
+        await this.cache?.set(endpoint, params, { status: 404, body: null })
+        return null
+      }
+
+      if (response.ok) {
+        const body = (await response.json()) as T
+        await this.cache?.set(endpoint, params, { status: response.status, body })
+        return body
+      }
+
+      const retryable = response.status === 429 || response.status >= 500
+      if (!retryable || attempt >= this.maxRetries) {
+        throw new TMDBError(
+          `TMDB API Error: ${response.status} ${response.statusText}`,
+          response.status,
+          endpoint
+        )
+      }
+
+      const delay = retryDelay(response.headers.get('Retry-After'), attempt, this.now())
+      this.log(`TMDB ${endpoint} returned ${response.status}, retrying in ${delay}ms`)
+      this.stats.retries++
+      await this.sleep(delay)
+    }
+  }
+
+  // First page of search results. No year filter: the match scorer allows for release
+  // years that are a year or two off, which TMDB's year filter would drop.
+  async searchMovies(query: string, options?: TMDBRequestOptions): Promise<TMDBMovie[]> {
+    const page = await this.request<{ results?: TMDBMovie[] }>('/search/movie', { query }, options)
+    return page?.results || []
+  }
+
+  // Details with credits, videos, keywords and alternative titles; null if TMDB has no
+  // movie with that id
+  async getMovieDetails(
+    tmdbId: string | number,
+    options?: TMDBRequestOptions
+  ): Promise<TMDBMovie | null> {
+    return this.request<TMDBMovie>(
+      `/movie/${tmdbId}`,
+      { append_to_response: TMDB_DETAILS_APPEND },
+      options
+    )
+  }
+
+  // A collection with all of its parts; null if TMDB has no collection with that id
+  async getCollection(
+    collectionId: string | number,
+    options?: TMDBRequestOptions
+  ): Promise<TMDBCollection | null> {
+    return this.request<TMDBCollection>(`/collection/${collectionId}`, {}, options)
+  }
+
+  imageUrl(path: string | null | undefined, size: string): string | null {
+    return path ? `${this.imageBaseUrl}/${size}${path}` : null
+  }
+
+  posterUrl(path: string | null | undefined): string | null {
+    return this.imageUrl(path, this.posterSize)
+  }
+
+  backdropUrl(path: string | null | undefined): string | null {
+    return this.imageUrl(path, this.backdropSize)
+  }
+
+  profileUrl(path: string | null | undefined): string | null {
+    return this.imageUrl(path, this.profileSize)
+  }
+
+  // Every enriched movies column, null where TMDB has nothing. director is the names
+  // of the director credits, for code that predates movie_credits.
+  movieData(details: TMDBMovie): TMDBMovieData {
+    const directors = (details.credits?.crew || [])
+      .filter(person => person.job === 'Director')
+      .map(person => person.name)
+    const trailer = details.videos?.results?.find(
+      video => video.type === 'Trailer' && video.site === 'YouTube'
+    )
+
+    return {
+      tmdb_id: details.id.toString(),
+      poster_url: this.posterUrl(details.poster_path),
+      backdrop_url: this.backdropUrl(details.backdrop_path),
+      plot_summary: details.overview || null,
+      director: [...new Set(directors)].join(', ') || null,
+      genres: details.genres ? details.genres.map(genre => genre.name) : null,
+      country: details.production_countries?.[0]?.iso_3166_1 || null,
+      language: details.original_language || null,
+      budget: details.budget || null,
+      box_office: details.revenue || null,
+      runtime: details.runtime || null,
+      release_date: details.release_date || null,
+      original_title: details.original_title || null,
+      tagline: details.tagline || null,
+      imdb_id: details.imdb_id || null,
+      trailer_url: trailer ? `https://www.youtube.com/watch?v=${trailer.key}` : null,
+    }
+  }
+
+  // The top-billed cast and the crew in TMDB_CREW_JOBS, each role in TMDB's order
+  movieCredits(details: TMDBMovie): TMDBCredit[] {
+    const cast = (details.credits?.cast || [])
+      .slice()
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+      .slice(0, TMDB_CAST_LIMIT)
+      .map(
+        (person, index): TMDBCredit => ({
+          tmdb_id: person.id.toString(),
+          name: person.name,
+          profile_url: this.profileUrl(person.profile_path),
+          known_for_department: person.known_for_department || null,
+          role: 'cast',
+          job: null,
+          character_name: person.character || null,
+          billing_order: index,
+        })
+      )
+
+    const crew = Object.entries(TMDB_CREW_JOBS).flatMap(([role, jobs]) =>
+      (details.credits?.crew || [])
+        .filter(person => person.id !== undefined && jobs.includes(person.job))
+        .map(
+          (person, index): TMDBCredit => ({
+            tmdb_id: String(person.id),
+            name: person.name,
+            profile_url: this.profileUrl(person.profile_path),
+            known_for_department: person.known_for_department || null,
+            role: role as CreditRole,
+            job: person.job,
+            character_name: null,
+            billing_order: index,
+          })
+        )
+    )
+
+    return [...cast, ...crew]
+  }
+
+  collectionData(collection: TMDBCollection): TMDBCollectionData {
+    const parts = (collection.parts || [])
+      .slice()
+      .sort((a, b) => (a.release_date || '9999').localeCompare(b.release_date || '9999'))
+
+    return {
+      collection: {
+        tmdb_id: collection.id.toString(),
+        name: collection.name,
+        overview: collection.overview || null,
+        poster_url: this.posterUrl(collection.poster_path),
+        backdrop_url: this.backdropUrl(collection.backdrop_path),
+      },
+      parts: parts.map((part, index) => ({
+        tmdb_id: part.id.toString(),
+        title: part.title,
+        release_date: part.release_date || null,
+        poster_url: this.posterUrl(part.poster_path),
+        part_order: index,
+      })),
+    }
+  }
+}
+
+// movieData without the empty fields, for filling in a movie without clearing anything
+export function presentFields<T extends object>(data: T): Partial<T> {
+  return Object.fromEntries(
+    Object.entries(data).filter(
+      ([, value]) => value !== null && value !== undefined && value !== ''
+    )
+  ) as Partial<T>
+}
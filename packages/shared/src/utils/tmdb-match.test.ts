@@ -0,0 +1,130 @@
+import { describe, expect, it } from 'vitest'
+import {
+  isConfidentMatch,
+  MATCH_AUTO_ACCEPT_SCORE,
+  normalizeTitle,
+  scoreCandidates,
+  titleSimilarity,
+  type ScoredCandidate,
+  type TMDBMatchInput,
+} from './tmdb-match'
+
+function directedBy(name: string): TMDBMatchInput['credits'] {
+  return { crew: [{ job: 'Director', name }] }
+}
+
+function scored(...scores: number[]): ScoredCandidate[] {
+  return scores.map((score, index) => ({
+    tmdb_id: index + 1,
+    title: `Film ${index + 1}`,
+    original_title: null,
+    year: null,
+    popularity: 0,
+    poster_path: null,
+    score,
+    breakdown: { title: 1, year: 1, director: null, popularity: 0 },
+  }))
+}
+
+describe('normalizeTitle', () => {
+  it('drops accents, punctuation and a leading article', () => {
+    expect(normalizeTitle('The Thing')).toBe('thing')
+    expect(normalizeTitle('Amélie')).toBe('amelie')
+    expect(normalizeTitle('Fast & Furious')).toBe('fast and furious')
+    expect(normalizeTitle('  Se7en!  ')).toBe('se7en')
+  })
+})
+
+describe('titleSimilarity', () => {
+  it('is 1 for titles that normalize the same', () => {
+    expect(titleSimilarity('The Matrix', 'Matrix')).toBe(1)
+  })
+
+  it('is lower for related titles and 0 for unrelated ones', () => {
+    const sequel = titleSimilarity('The Matrix', 'The Matrix Reloaded')
+    expect(sequel).toBeGreaterThan(0.5)
+    expect(sequel).toBeLessThan(1)
+    expect(titleSimilarity('Heat', 'Jaws')).toBe(0)
+    expect(titleSimilarity('', 'Jaws')).toBe(0)
+  })
+})
+
+describe('scoreCandidates', () => {
+  const target = { title: 'The Thing', year: 1982, director: 'John Carpenter' }
+  const remake: TMDBMatchInput = {
+    id: 60935,
+    title: 'The Thing',
+    release_date: '2011-10-12',
+    popularity: 60,
+    credits: directedBy('Matthijs van Heijningen Jr.'),
+  }
+  const original: TMDBMatchInput = {
+    id: 1091,
+    title: 'The Thing',
+    release_date: '1982-06-25',
+    popularity: 30,
+    credits: directedBy('John Carpenter'),
+  }
+
+  it('ranks the right year and director above a more popular remake', () => {
+    const [best, runnerUp] = scoreCandidates(target, [remake, original])
+
+    expect(best.tmdb_id).toBe(1091)
+    expect(best.breakdown).toMatchObject({ title: 1, year: 1, director: 1 })
+    expect(runnerUp.tmdb_id).toBe(60935)
+    expect(runnerUp.breakdown).toMatchObject({ year: 0, director: 0, popularity: 1 })
+    expect(best.score).toBeGreaterThanOrEqual(MATCH_AUTO_ACCEPT_SCORE)
+  })
+
+  it('scores a release a year off lower than an exact year', () => {
+    const [candidate] = scoreCandidates(target, [{ ...original, release_date: '1983-01-01' }])
+    expect(candidate.breakdown.year).toBe(0.7)
+  })
+
+  it('treats a missing director as neutral', () => {
+    const [withoutTarget] = scoreCandidates({ ...target, director: null }, [original])
+    const [withoutCredits] = scoreCandidates(target, [{ ...original, credits: undefined }])
+
+    expect(withoutTarget.breakdown.director).toBeNull()
+    expect(withoutCredits.breakdown.director).toBeNull()
+    expect(withoutTarget.score).toBe(withoutCredits.score)
+  })
+
+  it('matches on the original and alternative titles', () => {
+    const candidate: TMDBMatchInput = {
+      id: 194,
+      title: 'Amélie',
+      original_title: "Le Fabuleux Destin d'Amélie Poulain",
+      release_date: '2001-04-25',
+      alternative_titles: { titles: [{ title: 'The Fabulous Destiny of Amélie Poulain' }] },
+    }
+
+    const [result] = scoreCandidates(
+      { title: 'The Fabulous Destiny of Amelie Poulain', year: 2001 },
+      [candidate]
+    )
+    expect(result.breakdown.title).toBe(1)
+  })
+
+  it('keeps scores between 0 and 1 when nothing is known', () => {
+    const [result] = scoreCandidates({ title: 'Heat', year: null }, [{ id: 1, title: 'Jaws' }])
+
+    expect(result.year).toBeNull()
+    expect(result.popularity).toBe(0)
+    expect(result.score).toBeGreaterThanOrEqual(0)
+    expect(result.score).toBeLessThanOrEqual(1)
+  })
+})
+
+describe('isConfidentMatch', () => {
+  it('accepts a clear winner', () => {
+    expect(isConfidentMatch(scored(0.95, 0.6))).toBe(true)
+    expect(isConfidentMatch(scored(0.85))).toBe(true)
+  })
+
+  it('rejects a low score, a close runner-up or no candidates', () => {
+    expect(isConfidentMatch(scored(0.75))).toBe(false)
+    expect(isConfidentMatch(scored(0.9, 0.88))).toBe(false)
+    expect(isConfidentMatch([])).toBe(false)
+  })
+})
@@ -0,0 +1,185 @@
+// TMDB match scoring
+//
+// TMDB search results are scored against what we know about a movie, so remakes and
+// films that share a title aren't linked just because TMDB listed them first. Scores
+// run from 0 to 1; only confident matches are applied automatically, the rest go to
+// the tmdb_match_candidates review queue.
+
+export const MATCH_AUTO_ACCEPT_SCORE = 0.8
+// The best candidate must also beat the runner-up by this much
+export const MATCH_MIN_MARGIN = 0.05
+// Candidates fetched in detail, scored and kept for review
+export const MATCH_CANDIDATE_LIMIT = 3
+
+const WEIGHTS = { title: 0.5, year: 0.25, director: 0.15, popularity: 0.1 }
+
+// What we know about the movie being matched
+export interface MatchTarget {
+  title: string
+  year: number | null
+  director?: string | null
+}
+
+// A TMDB search result or /movie/{id} details (with credits and alternative_titles)
+export interface TMDBMatchInput {
+  id: number
+  title: string
+  original_title?: string
+  release_date?: string
+  popularity?: number
+  poster_path?: string | null
+  alternative_titles?: { titles?: { title: string }[] }
+  credits?: { crew?: { job: string; name: string }[] }
+}
+
+export interface MatchScoreBreakdown {
+  title: number
+  year: number
+  // null when either side has no director to compare
+  director: number | null
+  popularity: number
+}
+
+export interface ScoredCandidate {
+  tmdb_id: number
+  title: string
+  original_title: string | null
+  year: number | null
+  popularity: number
+  poster_path: string | null
+  score: number
+  breakdown: MatchScoreBreakdown
+}
+
+// Lowercase, no accents or punctuation, "&" as "and", leading article dropped
+export function normalizeTitle(title: string): string {
+  return title
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^(the|a|an) /, '')
+}
+
+function bigrams(value: string): string[] {
+  const compact = value.replace(/ /g, '')
+  const pairs: string[] = []
+  for (let i = 0; i < compact.length - 1; i++) {
+    pairs.push(compact.slice(i, i + 2))
+  }
+  return pairs
+}
+
+// Dice coefficient over character bigrams of the normalized titles, 0-1
+export function titleSimilarity(a: string, b: string): number {
+  const left = normalizeTitle(a)
+  const right = normalizeTitle(b)
+  if (!left || !right) return 0
+  if (left === right) return 1
+
+  const leftPairs = bigrams(left)
+  const rightPairs = bigrams(right)
+  if (leftPairs.length === 0 || rightPairs.length === 0) return 0
+
+  const remaining = [...rightPairs]
+  let shared = 0
+  for (const pair of leftPairs) {
+    const index = remaining.indexOf(pair)
+    if (index !== -1) {
+      shared++
+      remaining.splice(index, 1)
+    }
+  }
+
+  return (2 * shared) / (leftPairs.length + rightPairs.length)
+}
+
+function releaseYear(candidate: TMDBMatchInput): number | null {
+  const year = candidate.release_date ? parseInt(candidate.release_date.slice(0, 4)) : NaN
+  return isNaN(year) ? null : year
+}
+
+// Festival premieres and regional releases are often a year off
+function yearScore(target: number | null, candidate: number | null): number {
+  if (target === null || candidate === null) return 0.5
+  const distance = Math.abs(target - candidate)
+  if (distance === 0) return 1
+  if (distance === 1) return 0.7
+  if (distance === 2) return 0.3
+  return 0
+}
+
+function directorScore(
+  target: string | null | undefined,
+  candidate: TMDBMatchInput
+): number | null {
+  const directors = (candidate.credits?.crew || [])
+    .filter(person => person.job === 'Director')
+    .map(person => normalizeTitle(person.name))
+  if (!target || directors.length === 0) return null
+
+  const wanted = target
+    .split(/,|\band\b/)
+    .map(normalizeTitle)
+    .filter(Boolean)
+  return wanted.some(name => directors.includes(name)) ? 1 : 0
+}
+
+export function candidateTitles(candidate: TMDBMatchInput): string[] {
+  const titles = [candidate.title, candidate.original_title || '']
+  for (const alternative of candidate.alternative_titles?.titles || []) {
+    titles.push(alternative.title)
+  }
+  return titles.filter(Boolean)
+}
+
+// Scores every candidate and returns them best first. Popularity is relative to the
+// most popular candidate, on a log scale.
+export function scoreCandidates(
+  target: MatchTarget,
+  candidates: TMDBMatchInput[]
+): ScoredCandidate[] {
+  const maxPopularity = Math.max(0, ...candidates.map(candidate => candidate.popularity || 0))
+
+  return candidates
+    .map(candidate => {
+      const year = releaseYear(candidate)
+      const popularity = candidate.popularity || 0
+      const breakdown: MatchScoreBreakdown = {
+        title: Math.max(
+          ...candidateTitles(candidate).map(title => titleSimilarity(target.title, title))
+        ),
+        year: yearScore(target.year, year),
+        director: directorScore(target.director, candidate),
+        popularity: maxPopularity > 0 ? Math.log1p(popularity) / Math.log1p(maxPopularity) : 0,
+      }
+
+      // Without a director to compare, that weight is neutral rather than a penalty
+      const score =
+        WEIGHTS.title * breakdown.title +
+        WEIGHTS.year * breakdown.year +
+        WEIGHTS.director * (breakdown.director ?? 0.5) +
+        WEIGHTS.popularity * breakdown.popularity
+
+      return {
+        tmdb_id: candidate.id,
+        title: candidate.title,
+        original_title: candidate.original_title || null,
+        year,
+        popularity,
+        poster_path: candidate.poster_path || null,
+        score: Math.round(score * 1000) / 1000,
+        breakdown,
+      }
+    })
+    .sort((a, b) => b.score - a.score || b.popularity - a.popularity)
+}
+
+// True when the best of `scored` (sorted best first) can be applied without review
+export function isConfidentMatch(scored: ScoredCandidate[]): boolean {
+  const [best, runnerUp] = scored
+  if (!best || best.score < MATCH_AUTO_ACCEPT_SCORE) return false
+  return !runnerUp || best.score - runnerUp.score >= MATCH_MIN_MARGIN
+}